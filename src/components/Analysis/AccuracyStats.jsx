@@ -1,5 +1,8 @@
 import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faRotateRight, faTriangleExclamation, faSpinner } from '@fortawesome/free-solid-svg-icons';
 import { useGameContext } from '../../contexts/GameContext';
+import useAnalysis from '../../hooks/useAnalysis';
 import { classificationColors } from '../../utils/boardUtils';
 
 const ClassificationCount = ({ classification, whiteCount, blackCount }) => {
@@ -28,13 +31,16 @@ const ClassificationCount = ({ classification, whiteCount, blackCount }) => {
 };
 
 const AccuracyStats = () => {
-  const { reportResults, currentPosition } = useGameContext();
+  const { reportResults, currentPosition, isAnalysisRunning } = useGameContext();
+  const { retryUnanalysedPositions } = useAnalysis();
   
   if (!reportResults) {
     return null;
   }
   
   const { accuracies, classifications } = reportResults;
+  const unanalysedCount = reportResults.unanalysedPositions?.length || 0;
+  const pendingCount = reportResults.pendingPositions || 0;
   const opening = currentPosition?.opening;
   
   return (
@@ -52,6 +58,30 @@ const AccuracyStats = () => {
           </div>
         </div>
         
+        {pendingCount > 0 && (
+          <div className="text-xs bg-secondary-800/60 py-1.5 px-3 mb-2 rounded border border-secondary-600 text-secondary-300">
+            <FontAwesomeIcon icon={faSpinner} className="mr-1.5 text-primary-400 animate-spin" />
+            Provisional: {pendingCount} {pendingCount === 1 ? 'position is' : 'positions are'} still being analysed
+          </div>
+        )}
+        
+        {unanalysedCount > 0 && (
+          <div className="flex items-center justify-between gap-2 text-xs bg-secondary-800/60 py-1.5 px-3 mb-2 rounded border border-secondary-600 text-secondary-300">
+            <span>
+              <FontAwesomeIcon icon={faTriangleExclamation} className="mr-1.5 text-yellow-400" />
+              {unanalysedCount} {unanalysedCount === 1 ? 'move was' : 'moves were'} not analysed and left out of accuracy
+            </span>
+            <button
+              className="flex items-center gap-1 bg-secondary-600 hover:bg-secondary-500 text-secondary-100 px-2 py-0.5 rounded disabled:opacity-50"
+              onClick={retryUnanalysedPositions}
+              disabled={isAnalysisRunning}
+            >
+              <FontAwesomeIcon icon={faRotateRight} />
+              Retry
+            </button>
+          </div>
+        )}
+        
         {opening && (
           <div className="text-sm bg-secondary-700 py-1.5 px-3 rounded border border-secondary-600 text-center">
             Opening: <span className="text-primary-300">{opening}</span>
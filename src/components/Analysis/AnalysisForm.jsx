@@ -1,6 +1,14 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useGameContext } from '../../contexts/GameContext';
 import useAnalysis from '../../hooks/useAnalysis';
+import EngineSettings from './EngineSettings';
+import PgnDiagnostics from './PgnDiagnostics';
+import { SearchLimit } from '../../utils/constants';
+import { isPositionEvaluated } from '../../services/analysisService';
+import { getResumableSession, deleteSession } from '../../services/sessionService';
+import { splitPgnGames, createPositionPgn, normaliseFen } from '../../utils/pgnGames';
+import { parseAnnotatedPgn } from '../../utils/pgnTreeParser';
+import { DEFAULT_POSITION } from 'chess.js';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { 
   faMagnifyingGlass, 
@@ -13,27 +21,70 @@ import {
   faChessPawn,
   faSpinner,
   faChessKnight,
-  faCircleExclamation
+  faCircleExclamation,
+  faBan,
+  faPlay,
+  faXmark,
+  faListCheck
 } from '@fortawesome/free-solid-svg-icons';
 
-const AnalysisForm = ({ onShowGameSelect, pgnText, setPgnText, onDepthChange }) => {
+const AnalysisForm = ({ 
+  onShowGameSelect, 
+  pgnText, 
+  setPgnText, 
+  onDepthChange, 
+  onQueuePgn, 
+  onShowPgnGames,
+  analyseRequest,
+  setAnalyseRequest
+}) => {
   const { 
     isAnalysisRunning, 
     analysisProgress, 
     analysisStatus,
     evaluatedPositions,
-    reportResults
+    reportResults,
+    engineSettings,
+    setEngineSettings
   } = useGameContext();
   
-  const { analyzePgn, generateFinalReport, loadSavedAnalysis, error } = useAnalysis();
+  const { 
+    analyzePgn, 
+    resumeAnalysis, 
+    cancelAnalysis, 
+    generateFinalReport, 
+    loadSavedAnalysis, 
+    error 
+  } = useAnalysis();
   
   const [loadType, setLoadType] = useState('pgn');
   const [username, setUsername] = useState('');
-  const [depth, setDepth] = useState(20);
+  const [showEngineSettings, setShowEngineSettings] = useState(false);
+  const depth = engineSettings.depth;
   const [showArrows, setShowArrows] = useState(true);
   const [statusMessage, setStatusMessage] = useState('');
   const [captchaToken, setCaptchaToken] = useState('');
   const [showCaptcha, setShowCaptcha] = useState(false);
+  const [resumableSession, setResumableSession] = useState(null);
+  const [pgnCheck, setPgnCheck] = useState(null);
+  const pgnInputRef = useRef(null);
+  
+  // Diagnostics only describe the PGN they were read from
+  useEffect(() => {
+    setPgnCheck(check => (check?.pgn === pgnText ? check : null));
+  }, [pgnText]);
+  
+  // Offer to continue an analysis interrupted by a reload
+  useEffect(() => {
+    getResumableSession().then(setResumableSession);
+  }, []);
+  
+  // Starting any analysis replaces the unfinished session
+  useEffect(() => {
+    if (isAnalysisRunning) {
+      setResumableSession(null);
+    }
+  }, [isAnalysisRunning]);
   
   // Load saved preferences
   useEffect(() => {
@@ -69,6 +120,8 @@ const AnalysisForm = ({ onShowGameSelect, pgnText, setPgnText, onDepthChange })
     
     if (newLoadType === 'json') {
       setStatusMessage('Enter JSON from saved analysis');
+    } else if (newLoadType === 'fen') {
+      setStatusMessage('Enter the FEN of a position to analyse');
     } else {
       setStatusMessage('');
     }
@@ -91,16 +144,131 @@ const AnalysisForm = ({ onShowGameSelect, pgnText, setPgnText, onDepthChange })
       return;
     }
     
+    // A single position is analysed as a game without moves
+    if (loadType === 'fen') {
+      let fen;
+      try {
+        fen = normaliseFen(pgnText);
+      } catch (error) {
+        setStatusMessage(`Invalid FEN: ${error.message}`);
+        return;
+      }
+      
+      try {
+        await analyzePgn(createPositionPgn(fen), depth);
+      } catch (error) {
+        console.error('Analysis error:', error);
+      }
+      return;
+    }
+    
     if (!pgnText.trim()) {
       setStatusMessage('Please enter PGN to analyze');
       return;
     }
     
+    checkAndAnalysePgn(pgnText);
+  };
+  
+  const startPgnAnalysis = useCallback(async (pgn) => {
+    setPgnCheck(null);
+    
     try {
-      await analyzePgn(pgnText, depth);
+      await analyzePgn(pgn, depth);
     } catch (error) {
       console.error('Analysis error:', error);
     }
+  }, [analyzePgn, depth]);
+  
+  /**
+   * Analyse a PGN, first showing anything the parser had to skip or repair
+   * @param {string} pgn - PGN to analyse
+   */
+  const checkAndAnalysePgn = useCallback((pgn) => {
+    // A file of several games asks which one to analyse
+    const games = splitPgnGames(pgn);
+    if (games.length > 1 && onShowPgnGames) {
+      onShowPgnGames(games);
+      return;
+    }
+    
+    let parsed;
+    try {
+      parsed = parseAnnotatedPgn(pgn);
+    } catch (error) {
+      setStatusMessage(`Invalid PGN: ${error.message}`);
+      return;
+    }
+    
+    const { diagnostics, positions } = parsed;
+    const hasDiagnostics = diagnostics.illegalMove 
+      || diagnostics.skippedMoves.length > 0 
+      || diagnostics.repairedMoves.length > 0 
+      || diagnostics.missingHeaders.length > 0;
+    
+    if (hasDiagnostics) {
+      setPgnCheck({
+        pgn,
+        diagnostics,
+        canAnalyse: positions.length > 1 || positions[0].fen !== DEFAULT_POSITION
+      });
+      return;
+    }
+    
+    startPgnAnalysis(pgn);
+  }, [onShowPgnGames, startPgnAnalysis]);
+  
+  // Games picked from an archive or a multi-game PGN go through the same checks,
+  // shown in the PGN box so they can be fixed
+  useEffect(() => {
+    if (!analyseRequest) return;
+    
+    setAnalyseRequest(null);
+    setLoadType('pgn');
+    checkAndAnalysePgn(analyseRequest.pgn);
+  }, [analyseRequest, setAnalyseRequest, checkAndAnalysePgn]);
+  
+  // Put the cursor on the first move the parser complained about
+  const handleFixPgn = () => {
+    const { illegalMove, skippedMoves, repairedMoves } = pgnCheck.diagnostics;
+    const location = illegalMove || skippedMoves[0] || repairedMoves[0];
+    const input = pgnInputRef.current;
+    
+    setPgnCheck(null);
+    if (!input) return;
+    
+    input.focus();
+    if (location) {
+      const offset = pgnText
+        .split('\n')
+        .slice(0, location.line - 1)
+        .reduce((total, line) => total + line.length + 1, location.column - 1);
+      
+      input.setSelectionRange(offset, offset + location.move.length);
+    }
+  };
+  
+  const handleQueue = () => {
+    if (!pgnText.trim()) {
+      setStatusMessage('Please enter PGN to queue');
+      return;
+    }
+    
+    const count = onQueuePgn(pgnText);
+    setStatusMessage(`${count} ${count === 1 ? 'game' : 'games'} added to the analysis queue`);
+  };
+  
+  const handleResume = async () => {
+    try {
+      await resumeAnalysis(resumableSession);
+    } catch (error) {
+      console.error('Resume error:', error);
+    }
+  };
+  
+  const handleDiscardSession = () => {
+    deleteSession(resumableSession.id);
+    setResumableSession(null);
   };
   
   const handleCaptchaSubmit = async (token) => {
@@ -133,6 +301,8 @@ const AnalysisForm = ({ onShowGameSelect, pgnText, setPgnText, onDepthChange })
       return "Opening PGN file and extracting moves";
     } else if (analysisStatus.includes("Evaluating")) {
       return "Analyzing each position with Stockfish";
+    } else if (analysisStatus.includes("Deepening")) {
+      return "Re-analysing uncertain moves at full depth";
     } else if (analysisStatus.includes("Generating")) {
       return "Creating move quality classifications and reports";
     } else if (analysisStatus.includes("complete")) {
@@ -144,6 +314,36 @@ const AnalysisForm = ({ onShowGameSelect, pgnText, setPgnText, onDepthChange })
   return (
     // Changed gap-3 to gap-2 for more compact mobile layout
     <div className="flex flex-col gap-2">
+      {/* Unfinished analysis from a previous visit */}
+      {resumableSession && !isAnalysisRunning && (
+        <div className="flex items-center justify-between gap-2 p-2 bg-secondary-800 rounded-lg border border-primary-600 text-sm">
+          <div className="min-w-0">
+            <div className="font-medium text-primary-300 truncate">
+              Resume analysis of {resumableSession.whitePlayer?.username} vs {resumableSession.blackPlayer?.username}
+            </div>
+            <div className="text-xs text-secondary-400">
+              {Math.max(resumableSession.positions.filter(isPositionEvaluated).length - 1, 0)} of {resumableSession.positions.length - 1} moves evaluated
+            </div>
+          </div>
+          <div className="flex gap-1 shrink-0">
+            <button
+              className="flex items-center gap-1 text-xs bg-primary-600 hover:bg-primary-700 text-white px-2 py-1 rounded"
+              onClick={handleResume}
+            >
+              <FontAwesomeIcon icon={faPlay} />
+              Resume
+            </button>
+            <button
+              className="text-xs bg-secondary-700 hover:bg-secondary-600 text-secondary-300 px-2 py-1 rounded"
+              onClick={handleDiscardSession}
+              title="Discard the unfinished analysis"
+            >
+              <FontAwesomeIcon icon={faXmark} />
+            </button>
+          </div>
+        </div>
+      )}
+      
       {/* Source selection */}
       <div className="flex gap-1">
         <select 
@@ -157,15 +357,16 @@ const AnalysisForm = ({ onShowGameSelect, pgnText, setPgnText, onDepthChange })
           <option value="chesscom">Chess.com</option>
           <option value="lichess">Lichess.org</option>
           <option value="json">JSON</option>
+          <option value="fen">FEN</option>
         </select>
         
         {/* Depth setting */}
         <div className="relative group">
           <select
             value={depth}
-            onChange={(e) => setDepth(parseInt(e.target.value))}
-            className="bg-secondary-700 text-white text-sm rounded-l-none font-mono p-2 border border-secondary-600 focus:outline-none focus:ring-1 focus:ring-primary-500"
-            disabled={isAnalysisRunning}
+            onChange={(e) => setEngineSettings({ depth: parseInt(e.target.value) })}
+            className="bg-secondary-700 text-white text-sm rounded-l-none font-mono p-2 border border-secondary-600 focus:outline-none focus:ring-1 focus:ring-primary-500 disabled:opacity-50"
+            disabled={isAnalysisRunning || engineSettings.searchLimit !== SearchLimit.DEPTH}
           >
             <option value="14">14 {/* Fast */}</option>
             <option value="16">16 {/* Standard */}</option>
@@ -176,11 +377,30 @@ const AnalysisForm = ({ onShowGameSelect, pgnText, setPgnText, onDepthChange })
             Analysis depth
           </div>
         </div>
+        
+        <button
+          className={`px-2.5 rounded border border-secondary-600 text-sm ${showEngineSettings ? 'bg-primary-600 text-white' : 'bg-secondary-700 text-secondary-300 hover:text-white'}`}
+          onClick={() => setShowEngineSettings(!showEngineSettings)}
+          title="Engine settings"
+        >
+          <FontAwesomeIcon icon={faGear} />
+        </button>
       </div>
       
+      {showEngineSettings && <EngineSettings />}
+      
       {/* PGN or JSON input - reduced min-height for mobile */}
-      {(loadType === 'pgn' || loadType === 'json') ? (
+      {loadType === 'fen' ? (
+        <input
+          value={pgnText}
+          onChange={(e) => setPgnText(e.target.value)}
+          placeholder="Enter FEN..."
+          className="w-full bg-secondary-800 text-white placeholder-secondary-400 border border-secondary-600 rounded-md p-2 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-primary-500 focus:border-primary-500"
+          disabled={isAnalysisRunning}
+        />
+      ) : (loadType === 'pgn' || loadType === 'json') ? (
         <textarea
+          ref={pgnInputRef}
           value={pgnText}
           onChange={(e) => setPgnText(e.target.value)}
           placeholder={loadType === 'pgn' ? 'Enter PGN...' : 'Enter JSON...'}
@@ -207,18 +427,42 @@ const AnalysisForm = ({ onShowGameSelect, pgnText, setPgnText, onDepthChange })
       )}
       
       {/* Action buttons - more compact */}
-      <button 
-        className="btn-accent flex items-center justify-center gap-2 py-1.5 sm:py-2 px-4 rounded-md bg-accent-600 hover:bg-accent-700 text-white font-medium transition-colors duration-200 ${isAnalysisRunning ? 'opacity-70 cursor-not-allowed' : ''}"
-        onClick={handleAnalysisStart}
-        disabled={isAnalysisRunning}
-      >
-        {isAnalysisRunning ? (
-          <FontAwesomeIcon icon={faSpinner} className="animate-spin" />
-        ) : (
-          <FontAwesomeIcon icon={faMagnifyingGlass} />
+      <div className="flex gap-1">
+        <button 
+          className="btn-accent flex-grow flex items-center justify-center gap-2 py-1.5 sm:py-2 px-4 rounded-md bg-accent-600 hover:bg-accent-700 text-white font-medium transition-colors duration-200 ${isAnalysisRunning ? 'opacity-70 cursor-not-allowed' : ''}"
+          onClick={handleAnalysisStart}
+          disabled={isAnalysisRunning}
+        >
+          {isAnalysisRunning ? (
+            <FontAwesomeIcon icon={faSpinner} className="animate-spin" />
+          ) : (
+            <FontAwesomeIcon icon={faMagnifyingGlass} />
+          )}
+          <span className="font-semibold">Analyze Game</span>
+        </button>
+        
+        {/* Every game of the PGN goes to the background queue */}
+        {loadType === 'pgn' && onQueuePgn && (
+          <button
+            className="flex items-center gap-1.5 px-3 rounded-md bg-secondary-700 hover:bg-secondary-600 border border-secondary-600 text-secondary-200 text-sm"
+            onClick={handleQueue}
+            title="Analyse every game of this PGN in the background"
+          >
+            <FontAwesomeIcon icon={faListCheck} />
+            Queue
+          </button>
         )}
-        <span className="font-semibold">Analyze Game</span>
-      </button>
+      </div>
+      
+      {/* What the parser changed, to accept or fix before analysing */}
+      {pgnCheck && loadType === 'pgn' && !isAnalysisRunning && (
+        <PgnDiagnostics
+          diagnostics={pgnCheck.diagnostics}
+          canAnalyse={pgnCheck.canAnalyse}
+          onAccept={() => startPgnAnalysis(pgnCheck.pgn)}
+          onFix={handleFixPgn}
+        />
+      )}
       
       {/* Enhanced progress indicator - reduced padding on mobile */}
       {isAnalysisRunning && (
@@ -239,9 +483,19 @@ const AnalysisForm = ({ onShowGameSelect, pgnText, setPgnText, onDepthChange })
             {getStageDescription()}
           </div>
           
-          <div className="text-xs text-secondary-500 mt-1 sm:mt-2 text-center">
-            Analysis at depth {depth} takes approximately {depth <= 14 ? "1-2" : depth <= 16 ? "2-3" : depth <= 18 ? "3-5" : "5-8"} minutes for a full game
-          </div>
+          {engineSettings.searchLimit === SearchLimit.DEPTH && (
+            <div className="text-xs text-secondary-500 mt-1 sm:mt-2 text-center">
+              Analysis at depth {depth} takes approximately {depth <= 14 ? "1-2" : depth <= 16 ? "2-3" : depth <= 18 ? "3-5" : "5-8"} minutes for a full game
+            </div>
+          )}
+          
+          <button
+            className="mt-2 flex items-center gap-1.5 text-xs bg-secondary-700 hover:bg-secondary-600 text-secondary-200 px-3 py-1 rounded-md transition-colors"
+            onClick={cancelAnalysis}
+          >
+            <FontAwesomeIcon icon={faBan} />
+            Cancel
+          </button>
         </div>
       )}
       
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { useGameContext } from '../../contexts/GameContext';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faListCheck,
+  faClock,
+  faSpinner,
+  faCheck,
+  faTriangleExclamation,
+  faBan,
+  faXmark,
+  faBookOpen,
+  faTrash
+} from '@fortawesome/free-solid-svg-icons';
+import useAnalysis from '../../hooks/useAnalysis';
+import { BatchStatus } from '../../utils/constants';
+import { getLibraryGames, deleteLibraryGame } from '../../services/libraryService';
+
+const statusIcons = {
+  [BatchStatus.QUEUED]: { icon: faClock, className: 'text-secondary-400' },
+  [BatchStatus.RUNNING]: { icon: faSpinner, className: 'text-primary-400 animate-spin' },
+  [BatchStatus.DONE]: { icon: faCheck, className: 'text-accent-400' },
+  [BatchStatus.FAILED]: { icon: faTriangleExclamation, className: 'text-yellow-400' },
+  [BatchStatus.CANCELLED]: { icon: faBan, className: 'text-secondary-500' }
+};
+
+/**
+ * Short description of a queued game's state
+ * @param {object} game - Queue entry
+ * @returns {string} - Status text
+ */
+const getStatusText = (game) => {
+  switch (game.status) {
+    case BatchStatus.RUNNING:
+      return `${Math.round(game.progress)}%`;
+    case BatchStatus.DONE:
+      return 'In library';
+    case BatchStatus.FAILED:
+      return game.error || 'Failed';
+    case BatchStatus.CANCELLED:
+      return 'Cancelled';
+    default:
+      return 'Queued';
+  }
+};
+
+/**
+ * Background analysis queue and the library of finished reports
+ * @param {Function} onCancelGame - Stops or removes a queued game
+ */
+const BatchQueue = ({ onCancelGame }) => {
+  const { batchQueue, clearFinishedBatchGames, isAnalysisRunning } = useGameContext();
+  const { loadSavedAnalysis } = useAnalysis();
+  const [libraryGames, setLibraryGames] = useState([]);
+
+  const finishedCount = batchQueue.filter(game => game.status === BatchStatus.DONE).length;
+  const hasFinished = batchQueue.some(game =>
+    game.status !== BatchStatus.QUEUED && game.status !== BatchStatus.RUNNING
+  );
+
+  // Reload the library whenever another queued game lands in it
+  useEffect(() => {
+    getLibraryGames().then(setLibraryGames);
+  }, [finishedCount]);
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteLibraryGame(id);
+      setLibraryGames(games => games.filter(game => game.id !== id));
+    } catch (error) {
+      console.warn("Could not delete library game:", error);
+    }
+  };
+
+  if (batchQueue.length === 0 && libraryGames.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card bg-secondary-700/50 border-secondary-600 text-sm">
+      {batchQueue.length > 0 && (
+        <div className="flex flex-col gap-1.5 mb-3">
+          <div className="flex items-center justify-between">
+            <h3 className="font-medium text-primary-300 flex items-center gap-1.5">
+              <FontAwesomeIcon icon={faListCheck} className="text-primary-400" />
+              Analysis Queue
+            </h3>
+            {hasFinished && (
+              <button
+                className="text-xs text-secondary-300 hover:text-white"
+                onClick={clearFinishedBatchGames}
+              >
+                Clear finished
+              </button>
+            )}
+          </div>
+
+          {batchQueue.map(game => {
+            const status = statusIcons[game.status];
+            const isPending = game.status === BatchStatus.QUEUED || game.status === BatchStatus.RUNNING;
+
+            return (
+              <div
+                key={game.id}
+                className="flex items-center gap-2 py-1 px-2 bg-secondary-800/60 rounded border border-secondary-600"
+              >
+                <FontAwesomeIcon icon={status.icon} className={status.className} />
+                <span className="truncate flex-grow">
+                  {game.white.username} vs {game.black.username}
+                </span>
+                <span className="text-xs text-secondary-400 shrink-0 truncate max-w-[40%]" title={game.error || undefined}>
+                  {getStatusText(game)}
+                </span>
+                {isPending && (
+                  <button
+                    className="text-secondary-400 hover:text-white"
+                    onClick={() => onCancelGame(game.id)}
+                    title="Remove from queue"
+                  >
+                    <FontAwesomeIcon icon={faXmark} />
+                  </button>
+                )}
+              </div>
+            );
+          })}
+
+          {isAnalysisRunning && batchQueue.some(game => game.status === BatchStatus.QUEUED) && (
+            <div className="text-xs text-secondary-400">
+              Paused while the displayed game is analysed.
+            </div>
+          )}
+        </div>
+      )}
+
+      {libraryGames.length > 0 && (
+        <div className="flex flex-col gap-1.5">
+          <h3 className="font-medium text-primary-300 flex items-center gap-1.5">
+            <FontAwesomeIcon icon={faBookOpen} className="text-primary-400" />
+            Library
+          </h3>
+
+          <div className="flex flex-col gap-1 max-h-48 overflow-y-auto">
+            {libraryGames.map(game => (
+              <div
+                key={game.id}
+                className="flex items-center gap-2 py-1 px-2 bg-secondary-800/60 rounded border border-secondary-600"
+              >
+                <button
+                  className="truncate flex-grow text-left hover:text-primary-300 disabled:opacity-50"
+                  onClick={() => loadSavedAnalysis(game.analysis)}
+                  disabled={isAnalysisRunning}
+                  title="Open this report"
+                >
+                  {game.white.username} vs {game.black.username}
+                </button>
+                <span className="text-xs font-mono text-secondary-400 shrink-0">
+                  {game.accuracies.white.toFixed(1)} / {game.accuracies.black.toFixed(1)}
+                </span>
+                <button
+                  className="text-secondary-400 hover:text-white"
+                  onClick={() => handleDelete(game.id)}
+                  title="Delete from library"
+                >
+                  <FontAwesomeIcon icon={faTrash} />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchQueue;
@@ -1,7 +1,39 @@
 import React, { useEffect, useState } from 'react';
 import { useGameContext } from '../../contexts/GameContext';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faMagnifyingGlassPlus } from '@fortawesome/free-solid-svg-icons';
 import { classificationColors } from '../../utils/boardUtils';
 import { determineMoveQuality } from '../../utils/moveQualityUtils';
+import { SearchLimit } from '../../utils/constants';
+import useAnalysis from '../../hooks/useAnalysis';
+
+// Kedalaman maksimum untuk analisis ulang satu langkah
+const MAX_DEEPEN_DEPTH = 30;
+
+// Batas waktu per posisi untuk analisis ulang (ms)
+const DEEPEN_MOVETIMES = [5000, 15000, 30000];
+
+/**
+ * Pilihan batas pencarian untuk memperdalam satu langkah
+ * @param {number} depth - Kedalaman analisis saat ini
+ * @returns {Array<object>} - Label dan batas pencarian
+ */
+const getDeepenOptions = (depth) => {
+  const depths = [depth + 4, depth + 8]
+    .map(candidate => Math.min(candidate, MAX_DEEPEN_DEPTH))
+    .filter((candidate, index, all) => candidate > depth && all.indexOf(candidate) === index);
+  
+  return [
+    ...depths.map(candidate => ({
+      label: `Depth ${candidate}`,
+      limit: { searchLimit: SearchLimit.DEPTH, depth: candidate }
+    })),
+    ...DEEPEN_MOVETIMES.map(movetime => ({
+      label: `${movetime / 1000}s per position`,
+      limit: { searchLimit: SearchLimit.MOVETIME, movetime }
+    }))
+  ];
+};
 
 // Klasifikasi langkah terbaik yang tidak memerlukan alternatif
 const bestClassifications = [
@@ -41,13 +73,17 @@ const ClassificationDisplay = () => {
   const { 
     reportResults, 
     currentMoveIndex, 
-    positions 
+    positions,
+    isAnalysisRunning
   } = useGameContext();
   
+  const { deepenMove } = useAnalysis();
+  
   const [iconSrc, setIconSrc] = useState('/static/media/book.png');
   const [message, setMessage] = useState('');
   const [alternativeMessage, setAlternativeMessage] = useState('');
   const [messageColor, setMessageColor] = useState('#a88764');
+  const [deepenChoice, setDeepenChoice] = useState(0);
   
   useEffect(() => {
     if (!reportResults || currentMoveIndex <= 0) {
@@ -65,6 +101,24 @@ const ClassificationDisplay = () => {
       return;
     }
     
+    // Langkah tanpa data engine tidak diklasifikasikan
+    if (currentPosition.unanalysed) {
+      setIconSrc('');
+      setMessage(`${currentPosition.move?.san || 'This move'} was not analysed.`);
+      setMessageColor('#94a3b8'); // secondary-400
+      setAlternativeMessage('');
+      return;
+    }
+    
+    // Engine belum selesai untuk salah satu posisi langkah ini
+    if (!currentPosition.topLines || !lastPosition.topLines) {
+      setIconSrc('');
+      setMessage(`${currentPosition.move?.san || 'This move'} is being analysed...`);
+      setMessageColor('#94a3b8'); // secondary-400
+      setAlternativeMessage('');
+      return;
+    }
+    
     // Tentukan klasifikasi kualitas langkah
     let classification = currentPosition.classification;
     
@@ -122,15 +176,22 @@ const ClassificationDisplay = () => {
     return null;
   }
   
+  const currentPosition = reportResults?.positions[currentMoveIndex];
+  const canDeepen = currentPosition?.topLines && !currentPosition.unanalysed;
+  const deepenOptions = getDeepenOptions(currentPosition?.requestedDepth || 16);
+  const selectedOption = deepenOptions[deepenChoice] || deepenOptions[0];
+  
   return (
     <div className="card bg-secondary-700/50 border-secondary-600">
       <div className="flex flex-col gap-2">
         <div className="flex items-center gap-2">
-          <img 
-            src={iconSrc}
-            alt="Classification"
-            className="w-6 h-6"
-          />
+          {iconSrc && (
+            <img 
+              src={iconSrc}
+              alt="Classification"
+              className="w-6 h-6"
+            />
+          )}
           <div className="font-medium" style={{ color: messageColor }}>
             {message}
           </div>
@@ -141,6 +202,31 @@ const ClassificationDisplay = () => {
             {alternativeMessage}
           </div>
         )}
+        
+        {canDeepen && (
+          <div className="flex items-center gap-2 text-xs">
+            <select
+              value={deepenChoice}
+              onChange={(e) => setDeepenChoice(parseInt(e.target.value))}
+              className="bg-secondary-700 text-white font-mono p-1 rounded border border-secondary-600 focus:outline-none focus:ring-1 focus:ring-primary-500"
+              disabled={isAnalysisRunning}
+              aria-label="Deepening limit"
+            >
+              {deepenOptions.map((option, index) => (
+                <option key={option.label} value={index}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              className="flex items-center gap-1 bg-secondary-600 hover:bg-secondary-500 text-secondary-100 px-2 py-1 rounded disabled:opacity-50"
+              onClick={() => deepenMove(currentMoveIndex, selectedOption.limit)}
+              disabled={isAnalysisRunning}
+              title="Search this move again with a stronger limit"
+            >
+              <FontAwesomeIcon icon={faMagnifyingGlassPlus} />
+              Deepen
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import { useGameContext } from '../../contexts/GameContext';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faGear, faRotateLeft, faTrash } from '@fortawesome/free-solid-svg-icons';
+import { SearchLimit, DEFAULT_ENGINE_SETTINGS } from '../../utils/constants';
+import { getEvaluationCacheSize, clearEvaluationCache, evictEvaluations } from '../../services/evalCacheService';
+
+const HASH_SIZES = [16, 32, 64, 128, 256];
+const QUICK_DEPTHS = [8, 10, 12, 14];
+const CACHE_LIMITS = [0, 1000, 5000, 10000, 50000];
+const MAX_THREADS = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+
+/**
+ * Panel for the persisted engine profile: lines, threads, hash and search limit
+ */
+const EngineSettings = () => {
+  const { engineSettings, setEngineSettings, isAnalysisRunning } = useGameContext();
+  const [cacheSize, setCacheSize] = useState(null);
+
+  // Refresh the cached position count when the panel opens or an analysis ends
+  useEffect(() => {
+    if (isAnalysisRunning) return;
+    getEvaluationCacheSize().then(setCacheSize);
+  }, [isAnalysisRunning]);
+
+  const handleCacheLimitChange = async (e) => {
+    const cacheLimit = parseInt(e.target.value);
+    setEngineSettings({ cacheLimit });
+
+    try {
+      if (cacheLimit > 0) {
+        await evictEvaluations(cacheLimit);
+      }
+      setCacheSize(await getEvaluationCacheSize());
+    } catch (error) {
+      console.warn("Could not trim evaluation cache:", error);
+    }
+  };
+
+  const handleClearCache = async () => {
+    try {
+      await clearEvaluationCache();
+      setCacheSize(0);
+    } catch (error) {
+      console.warn("Could not clear evaluation cache:", error);
+    }
+  };
+
+  // Cap numeric settings, ignoring anything that isn't a number
+  const handleNumberChange = (key, max) => (e) => {
+    const value = parseInt(e.target.value);
+    if (isNaN(value)) return;
+
+    setEngineSettings({ [key]: Math.min(value, max) });
+  };
+
+  // Raise typed values to the minimum only once editing is done
+  const handleNumberBlur = (key, min) => () => {
+    if (engineSettings[key] < min) {
+      setEngineSettings({ [key]: min });
+    }
+  };
+
+  const selectClass = "bg-secondary-700 text-white text-sm font-mono p-1.5 rounded border border-secondary-600 focus:outline-none focus:ring-1 focus:ring-primary-500";
+
+  return (
+    <div className="p-2 sm:p-3 bg-secondary-800 rounded-lg border border-secondary-700 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium text-primary-300 flex items-center gap-1.5">
+          <FontAwesomeIcon icon={faGear} className="text-primary-400" />
+          Engine Settings
+        </h3>
+
+        <button
+          className="flex items-center gap-1 text-xs text-secondary-300 hover:text-white disabled:opacity-50"
+          onClick={() => setEngineSettings(DEFAULT_ENGINE_SETTINGS)}
+          disabled={isAnalysisRunning}
+          title="Restore default settings"
+        >
+          <FontAwesomeIcon icon={faRotateLeft} />
+          Reset
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 items-center">
+        <label htmlFor="engine-multipv" className="text-secondary-300">Lines (MultiPV)</label>
+        <select
+          id="engine-multipv"
+          value={engineSettings.multiPv}
+          onChange={handleNumberChange('multiPv', 5)}
+          className={selectClass}
+          disabled={isAnalysisRunning}
+        >
+          {[1, 2, 3, 4, 5].map(count => (
+            <option key={count} value={count}>{count}</option>
+          ))}
+        </select>
+
+        <label htmlFor="engine-threads" className="text-secondary-300">Threads per worker</label>
+        <select
+          id="engine-threads"
+          value={engineSettings.threads}
+          onChange={handleNumberChange('threads', MAX_THREADS)}
+          className={selectClass}
+          disabled={isAnalysisRunning}
+        >
+          {Array.from({ length: MAX_THREADS }, (_, i) => i + 1).map(count => (
+            <option key={count} value={count}>{count}</option>
+          ))}
+        </select>
+
+        <label htmlFor="engine-hash" className="text-secondary-300">Hash (MB)</label>
+        <select
+          id="engine-hash"
+          value={engineSettings.hash}
+          onChange={handleNumberChange('hash', 1024)}
+          className={selectClass}
+          disabled={isAnalysisRunning}
+        >
+          {HASH_SIZES.map(size => (
+            <option key={size} value={size}>{size}</option>
+          ))}
+        </select>
+
+        <label htmlFor="engine-limit" className="text-secondary-300">Search limit</label>
+        <select
+          id="engine-limit"
+          value={engineSettings.searchLimit}
+          onChange={(e) => setEngineSettings({ searchLimit: e.target.value })}
+          className={selectClass}
+          disabled={isAnalysisRunning}
+        >
+          <option value={SearchLimit.DEPTH}>Depth</option>
+          <option value={SearchLimit.MOVETIME}>Time per move</option>
+          <option value={SearchLimit.NODES}>Nodes</option>
+        </select>
+
+        {engineSettings.searchLimit === SearchLimit.MOVETIME && (
+          <>
+            <label htmlFor="engine-movetime" className="text-secondary-300">Time (ms)</label>
+            <input
+              id="engine-movetime"
+              type="number"
+              min="100"
+              max="60000"
+              step="100"
+              value={engineSettings.movetime}
+              onChange={handleNumberChange('movetime', 60000)}
+              onBlur={handleNumberBlur('movetime', 100)}
+              className={selectClass}
+              disabled={isAnalysisRunning}
+            />
+          </>
+        )}
+
+        {engineSettings.searchLimit === SearchLimit.NODES && (
+          <>
+            <label htmlFor="engine-nodes" className="text-secondary-300">Nodes</label>
+            <input
+              id="engine-nodes"
+              type="number"
+              min="10000"
+              max="100000000"
+              step="10000"
+              value={engineSettings.nodes}
+              onChange={handleNumberChange('nodes', 100000000)}
+              onBlur={handleNumberBlur('nodes', 10000)}
+              className={selectClass}
+              disabled={isAnalysisRunning}
+            />
+          </>
+        )}
+
+        {engineSettings.searchLimit === SearchLimit.DEPTH && (
+          <>
+            <label htmlFor="engine-adaptive" className="text-secondary-300">Two-pass depth</label>
+            <input
+              id="engine-adaptive"
+              type="checkbox"
+              checked={engineSettings.adaptiveDepth}
+              onChange={(e) => setEngineSettings({ adaptiveDepth: e.target.checked })}
+              className="justify-self-start accent-primary-500"
+              disabled={isAnalysisRunning}
+              title="Search every move quickly, then only uncertain moves at full depth"
+            />
+          </>
+        )}
+
+        {engineSettings.searchLimit === SearchLimit.DEPTH && engineSettings.adaptiveDepth && (
+          <>
+            <label htmlFor="engine-quick-depth" className="text-secondary-300">Quick pass depth</label>
+            <select
+              id="engine-quick-depth"
+              value={engineSettings.quickDepth}
+              onChange={handleNumberChange('quickDepth', 20)}
+              className={selectClass}
+              disabled={isAnalysisRunning}
+            >
+              {QUICK_DEPTHS.map(depth => (
+                <option key={depth} value={depth}>{depth}</option>
+              ))}
+            </select>
+          </>
+        )}
+
+        <label htmlFor="engine-cache" className="text-secondary-300">Cache (positions)</label>
+        <select
+          id="engine-cache"
+          value={engineSettings.cacheLimit}
+          onChange={handleCacheLimitChange}
+          className={selectClass}
+          disabled={isAnalysisRunning}
+        >
+          {CACHE_LIMITS.map(limit => (
+            <option key={limit} value={limit}>{limit ? limit : 'Off'}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center justify-between mt-2 text-xs text-secondary-400">
+        <span>{cacheSize === null ? 'Counting cached positions...' : `${cacheSize} positions cached`}</span>
+        <button
+          className="flex items-center gap-1 text-secondary-300 hover:text-white disabled:opacity-50"
+          onClick={handleClearCache}
+          disabled={isAnalysisRunning || !cacheSize}
+        >
+          <FontAwesomeIcon icon={faTrash} />
+          Clear cache
+        </button>
+      </div>
+
+      {engineSettings.searchLimit === SearchLimit.DEPTH && (
+        <div className="text-xs text-secondary-400 mt-2">
+          Depth is chosen next to the game source.
+          {engineSettings.adaptiveDepth && ' Moves are searched at the quick depth first and uncertain ones are deepened to it.'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EngineSettings;
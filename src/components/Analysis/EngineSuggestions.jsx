@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { useGameContext } from '../../contexts/GameContext';
-import { formatEvaluation } from '../../utils/evalUtils';
+import { formatEvaluation, formatWdl, getWdlPercentages } from '../../utils/evalUtils';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { 
   faChessKnight, 
@@ -11,13 +11,46 @@ import {
   faPlay,
   faStop,
   faCirclePlay,
-  faTrophy
+  faTrophy,
+  faRotateRight,
+  faInfinity,
+  faSpinner
 } from '@fortawesome/free-solid-svg-icons';
 import { Chess } from 'chess.js';
 import { convertUciToSan } from '../../utils/analysisHelpers';
+import { EngineProvenance } from '../../utils/constants';
+import useAnalysis from '../../hooks/useAnalysis';
+import useLiveAnalysis from '../../hooks/useLiveAnalysis';
 import { playSound, SOUND_TYPES, playSoundForMove } from '../../utils/soundService';
 
-const EngineSuggestion = ({ line, showMove, expanded, onToggleExpand, onViewLine, isActive }) => {
+/**
+ * Shorten large counts for display, e.g. 1534000 -> "1.5M"
+ * @param {number} count - Count to format
+ * @returns {string} - Formatted count
+ */
+const formatCount = (count) => {
+  if (count >= 1000000) return (count / 1000000).toFixed(1) + "M";
+  if (count >= 1000) return Math.round(count / 1000) + "k";
+  return String(count || 0);
+};
+
+/**
+ * Win/draw/loss chances as a thin three-part bar
+ */
+const WdlBar = ({ wdl }) => {
+  const percentages = getWdlPercentages(wdl);
+  if (!percentages) return null;
+  
+  return (
+    <div className="flex h-1.5 mx-2 mb-2 rounded-full overflow-hidden" title={formatWdl(wdl)}>
+      <div className="bg-white" style={{ width: `${percentages.white}%` }}></div>
+      <div className="bg-secondary-400" style={{ width: `${percentages.draw}%` }}></div>
+      <div className="bg-secondary-900" style={{ width: `${percentages.black}%` }}></div>
+    </div>
+  );
+};
+
+const EngineSuggestion = ({ line, showMove, expanded, onToggleExpand, onViewLine, isActive, canView = true }) => {
   // Determine color based on evaluation
   const isPositive = line.evaluation.value >= 0;
   const evalType = line.evaluation.type;
@@ -51,7 +84,10 @@ const EngineSuggestion = ({ line, showMove, expanded, onToggleExpand, onViewLine
           className="flex items-center gap-2 flex-grow cursor-pointer hover:bg-secondary-600/50 p-1 rounded transition-colors"
           onClick={onToggleExpand}
         >
-          <div className={`${bgColor} ${textColor} px-2 py-0.5 rounded font-mono text-sm font-medium border ${borderColor}`}>
+          <div 
+            className={`${bgColor} ${textColor} px-2 py-0.5 rounded font-mono text-sm font-medium border ${borderColor}`}
+            title={formatWdl(line.wdl) || undefined}
+          >
             {formatEvaluation(line.evaluation)}
           </div>
           
@@ -76,21 +112,28 @@ const EngineSuggestion = ({ line, showMove, expanded, onToggleExpand, onViewLine
           />
         </div>
         
-        <button
-          className={`p-1.5 rounded-md text-xs ${
-            isActive 
-              ? 'bg-primary-500 hover:bg-primary-600 text-white' 
-              : 'bg-secondary-600 hover:bg-secondary-500 text-secondary-200'
-          }`}
-          onClick={handleViewLineClick}
-          title={isActive ? "Hide this variation" : "Show this variation on board"}
-        >
-          <FontAwesomeIcon icon={isActive ? faStop : faPlay} />
-        </button>
+        {canView && (
+          <button
+            className={`p-1.5 rounded-md text-xs ${
+              isActive 
+                ? 'bg-primary-500 hover:bg-primary-600 text-white' 
+                : 'bg-secondary-600 hover:bg-secondary-500 text-secondary-200'
+            }`}
+            onClick={handleViewLineClick}
+            title={isActive ? "Hide this variation" : "Show this variation on board"}
+          >
+            <FontAwesomeIcon icon={isActive ? faStop : faPlay} />
+          </button>
+        )}
       </div>
       
+      <WdlBar wdl={line.wdl} />
+      
       {expanded && line.futureMoves && (
         <div className="p-2 pt-0 border-t border-secondary-600 bg-secondary-800/50">
+          {line.wdl && (
+            <div className="text-xs text-secondary-400 mt-2">{formatWdl(line.wdl)}</div>
+          )}
           <div className="text-xs text-secondary-400 mb-1 mt-2">Continuation:</div>
           <div className="pl-2 border-l-2 border-primary-600/30 flex flex-wrap gap-1.5">
             {line.futureMoves.map((move, idx) => (
@@ -123,9 +166,18 @@ const EngineSuggestions = () => {
     engineMoveIndex,
     isViewingEngineLine,
     soundEnabled,
-    prevEngineMoveIndex
+    prevEngineMoveIndex,
+    isAnalysisRunning,
+    liveAnalysisEnabled,
+    toggleLiveAnalysis
   } = useGameContext();
   
+  const { retryUnanalysedPositions } = useAnalysis();
+  
+  // Streamed lines of the displayed position while live mode is on
+  const liveAnalysis = useLiveAnalysis();
+  const isLive = liveAnalysisEnabled && !isAnalysisRunning;
+  
   const [suggestions, setSuggestions] = useState([]);
   const [expandedLines, setExpandedLines] = useState({});
   const [actualDepth, setActualDepth] = useState(0);
@@ -216,14 +268,18 @@ const EngineSuggestions = () => {
       return;
     }
     
-    if (!currentPosition || !currentPosition.topLines) {
+    // Live lines belong to the displayed position, stored lines to the game position
+    const sourceFen = isLive ? liveAnalysis?.fen : currentPosition?.fen;
+    const sourceLines = isLive ? liveAnalysis?.lines : currentPosition?.topLines;
+    
+    if (!sourceFen || !sourceLines) {
       setSuggestions([]);
       setActualDepth(0);
       return;
     }
     
     // Sort lines by ID and filter out invalid ones
-    const validLines = currentPosition.topLines
+    const validLines = sourceLines
       .filter(line => line && line.evaluation && !(line.evaluation.type === 'mate' && line.evaluation.value === 0))
       .sort((a, b) => a.id - b.id);
     
@@ -234,7 +290,7 @@ const EngineSuggestions = () => {
         try {
           // Only convert if not already converted
           const { moveSAN, futureMoves } = convertUciToSan(
-            currentPosition.fen, 
+            sourceFen, 
             line.moveUCI, 
             line.futureMoveUCIs || []
           );
@@ -272,8 +328,12 @@ const EngineSuggestions = () => {
         setActualDepth(validLines[0].actualDepth || validLines[0].depth || 0);
       }
       
+      // A live search has no target depth
+      if (isLive) {
+        setDepthRequested(validLines[0].actualDepth || validLines[0].depth || 0);
+      }
       // If the position has a stored requested depth, show it
-      if (currentPosition.requestedDepth) {
+      else if (currentPosition.requestedDepth) {
         setDepthRequested(currentPosition.requestedDepth);
       } else {
         // Otherwise make a guess based on actual depth
@@ -285,7 +345,7 @@ const EngineSuggestions = () => {
       }
     }
     
-  }, [currentPosition, activeEngineLine, engineMoveIndex, isCheckmate]);
+  }, [currentPosition, activeEngineLine, engineMoveIndex, isCheckmate, isLive, liveAnalysis]);
   
   const toggleLineExpand = (lineId) => {
     setExpandedLines(prev => ({
@@ -317,6 +377,67 @@ const EngineSuggestions = () => {
     );
   }
   
+  // Switches between stored lines and a live search of the displayed position
+  const liveToggle = (
+    <button
+      className={`text-xs rounded px-1.5 py-0.5 flex items-center gap-1 disabled:opacity-50 ${
+        liveAnalysisEnabled 
+          ? 'bg-accent-600 text-white' 
+          : 'bg-secondary-600 text-secondary-300 hover:text-white'
+      }`}
+      onClick={toggleLiveAnalysis}
+      disabled={isAnalysisRunning}
+      title={liveAnalysisEnabled ? "Stop live analysis" : "Analyse the displayed position live"}
+    >
+      <FontAwesomeIcon icon={faInfinity} />
+      Live
+    </button>
+  );
+  
+  // The engine failed on this position: say so rather than showing nothing
+  if (!isLive && currentPosition?.engineProvenance === EngineProvenance.UNAVAILABLE) {
+    return (
+      <div className="card bg-secondary-700/50 border-secondary-600">
+        <div className="flex flex-col gap-3">
+          <div className="flex justify-between items-center">
+            <h3 className="font-medium text-primary-300 flex items-center gap-1.5">
+              <FontAwesomeIcon icon={faChessKnight} className="text-primary-400" />
+              Engine Analysis
+            </h3>
+            {liveToggle}
+          </div>
+          
+          <div className="flex items-center justify-between gap-2 text-sm py-2 px-3 bg-secondary-800/50 rounded border border-secondary-600 text-secondary-300">
+            <span>This position was not analysed.</span>
+            <button
+              className="flex items-center gap-1 text-xs bg-secondary-600 hover:bg-secondary-500 text-secondary-100 px-2 py-1 rounded disabled:opacity-50"
+              onClick={retryUnanalysedPositions}
+              disabled={isAnalysisRunning}
+            >
+              <FontAwesomeIcon icon={faRotateRight} />
+              Retry
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+  
+  // Live mode keeps the card visible until the first lines arrive
+  if (!suggestions.length && isLive) {
+    return (
+      <div className="card bg-secondary-700/50 border-secondary-600">
+        <div className="flex justify-between items-center">
+          <h3 className="font-medium text-primary-300 flex items-center gap-1.5">
+            <FontAwesomeIcon icon={faSpinner} className="text-primary-400 animate-spin" />
+            Searching...
+          </h3>
+          {liveToggle}
+        </div>
+      </div>
+    );
+  }
+  
   if (!suggestions.length) {
     return null;
   }
@@ -335,6 +456,11 @@ const EngineSuggestions = () => {
             )}
           </h3>
           <div className="flex items-center gap-2">
+            {isLive && liveAnalysis && (
+              <div className="text-xs font-mono text-secondary-400" title="Nodes searched and nodes per second">
+                {formatCount(liveAnalysis.nodes)} · {formatCount(liveAnalysis.nps)}/s
+              </div>
+            )}
             <div className="text-xs rounded px-1.5 py-0.5 bg-secondary-600 text-secondary-300 flex items-center gap-1">
               <span>Depth:</span>
               <span className="font-mono">
@@ -342,13 +468,17 @@ const EngineSuggestions = () => {
                   `${actualDepth}/${depthRequested}` : 
                   actualDepth}
               </span>
-              {currentPosition.isCriticalPosition && 
+              {!isLive && currentPosition.isCriticalPosition && 
                 <span className="text-primary-400 ml-1" title="Critical position analyzed at full depth">★</span>
               }
-              {currentPosition.worker === "cloud" && 
+              {!isLive && currentPosition.engineProvenance === EngineProvenance.PARTIAL && 
+                <span className="text-yellow-400 ml-1" title="Search was cut short before reaching the requested depth">partial</span>
+              }
+              {!isLive && currentPosition.worker === "cloud" && 
                 <span className="text-accent-400 ml-1" title="Analysis from cloud database">☁</span>
               }
             </div>
+            {liveToggle}
           </div>
         </div>
         
@@ -362,6 +492,7 @@ const EngineSuggestions = () => {
               onToggleExpand={() => toggleLineExpand(line.id)}
               onViewLine={handleViewLine}
               isActive={activeEngineLine?.id === line.id}
+              canView={!isLive || liveAnalysis?.fen === currentPosition?.fen}
             />
           ))}
         </div>
@@ -0,0 +1,83 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCircleInfo } from '@fortawesome/free-solid-svg-icons';
+import { useGameContext } from '../../contexts/GameContext';
+import { parseTimeControl } from '../../utils/clockUtils';
+
+// Tags shown in the panel, in order, with their labels
+const infoTags = [
+  ['Event', 'Event'],
+  ['Site', 'Site'],
+  ['Date', 'Date'],
+  ['Round', 'Round'],
+  ['Result', 'Result'],
+  ['TimeControl', 'Time control'],
+  ['Termination', 'Termination'],
+  ['ECO', 'ECO']
+];
+
+/**
+ * Whether a tag holds a value, PGN writing unknown values as "?" or "????.??.??"
+ * @param {string} value - Tag value
+ * @returns {boolean} - Whether there is something to show
+ */
+const isKnown = (value) => !!value && !/^[?.*\-\s]*$/.test(value);
+
+/**
+ * Readable form of a tag value
+ * @param {string} tag - Tag name
+ * @param {string} value - Tag value
+ * @returns {React.ReactNode} - Value to display
+ */
+const formatTagValue = (tag, value) => {
+  if (tag === 'TimeControl') {
+    const timeControl = parseTimeControl(value);
+    if (!timeControl) return value;
+
+    const minutes = timeControl.base / 60;
+    return `${Number.isInteger(minutes) ? minutes : minutes.toFixed(1)} min + ${timeControl.increment} s`;
+  }
+
+  if (tag === 'Site' && /^https?:\/\//.test(value)) {
+    return (
+      <a href={value} target="_blank" rel="noopener noreferrer" className="text-primary-400 hover:underline break-all">
+        {value}
+      </a>
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Tag pairs of the reviewed game, so a review can be told apart from others
+ */
+const GameInfo = () => {
+  const { gameHeaders } = useGameContext();
+
+  const rows = infoTags.filter(([tag]) => isKnown(gameHeaders?.[tag]));
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card bg-secondary-700/50 border-secondary-600 text-sm">
+      <h3 className="font-medium flex items-center gap-1.5 mb-2">
+        <FontAwesomeIcon icon={faCircleInfo} className="text-secondary-400" />
+        Game Info
+      </h3>
+
+      <dl className="grid grid-cols-[auto,1fr] gap-x-3 gap-y-0.5">
+        {rows.map(([tag, label]) => (
+          <React.Fragment key={tag}>
+            <dt className="text-secondary-400">{label}</dt>
+            <dd className="text-secondary-100 min-w-0">{formatTagValue(tag, gameHeaders[tag])}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+export default GameInfo;
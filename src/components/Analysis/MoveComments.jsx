@@ -0,0 +1,141 @@
+import React from 'react';
+import { useGameContext } from '../../contexts/GameContext';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faComment, faCodeBranch } from '@fortawesome/free-solid-svg-icons';
+import { formatNags, getCommentText } from '../../utils/pgnTreeParser';
+import { formatSignedEvaluation } from '../../utils/evalUtils';
+
+/**
+ * Move number prefix read from the position after the move
+ * @param {string} fen - FEN after the move
+ * @param {boolean} isFirst - Black moves only get a number when they start a line
+ * @returns {string} - e.g. "12." or "12...", empty for a black move inside a line
+ */
+const getMoveNumber = (fen, isFirst) => {
+  const [, turn, , , , fullmove] = fen.split(' ');
+
+  // White to move means black just played, and the fullmove counter has moved on
+  if (turn === 'w') {
+    return isFirst ? `${parseInt(fullmove) - 1}...` : '';
+  }
+
+  return `${fullmove}.`;
+};
+
+/**
+ * Readable comments of a node, without embedded commands like [%clk]
+ * @param {Array<string>} comments - Raw comments
+ * @returns {Array<string>} - Non-empty comment texts
+ */
+const getCommentTexts = (comments = []) => {
+  return comments.map(getCommentText).filter(Boolean);
+};
+
+/**
+ * Clickable moves of a line
+ * @param {Array<object>} moves - Move tree nodes
+ * @param {number} activeIndex - Highlighted move, -1 for none
+ * @param {Function} onSelect - Called with the index of the clicked move
+ * @param {boolean} showEvaluations - Follow each evaluated move with the engine's evaluation
+ */
+export const MoveLine = ({ moves, activeIndex = -1, onSelect, showEvaluations = false }) => (
+  <span className="font-mono">
+    {moves.map((node, index) => (
+      <React.Fragment key={index}>
+        {index > 0 && ' '}
+        <button
+          className={`rounded px-0.5 hover:bg-secondary-600 ${index === activeIndex ? 'bg-primary-700 text-white' : 'text-secondary-200'}`}
+          onClick={() => onSelect(index)}
+        >
+          {getMoveNumber(node.fen, index === 0)}{node.san}{formatNags(node.nags)}
+          {showEvaluations && node.topLines?.[0]?.evaluation && (
+            <span className="ml-1 text-xs text-secondary-400">
+              {formatSignedEvaluation(node.topLines[0].evaluation)}
+            </span>
+          )}
+        </button>
+      </React.Fragment>
+    ))}
+  </span>
+);
+
+/**
+ * Comments, NAGs and variations the PGN gave for the displayed move
+ */
+const MoveComments = () => {
+  const {
+    currentPosition,
+    currentMoveIndex,
+    activeSideLine,
+    enterSideLine
+  } = useGameContext();
+
+  const node = activeSideLine
+    ? activeSideLine.moves[activeSideLine.moveIndex]
+    : currentPosition;
+
+  // Variations played on the board have their own panel
+  if (!node || activeSideLine?.userVariationId) return null;
+
+  const san = node.san || node.move?.san;
+  const comments = getCommentTexts([...(node.commentsBefore || []), ...(node.comments || [])]);
+  const variations = node.variations || [];
+
+  if (!activeSideLine && comments.length === 0 && variations.length === 0 && !node.nags?.length) {
+    return null;
+  }
+
+  // A variation replaces the displayed move, so it branches from the position before it
+  const handleSelectVariationMove = (variation, index) => {
+    if (activeSideLine) {
+      const { baseIndex, moves, moveIndex } = activeSideLine;
+      enterSideLine(baseIndex, moves.slice(0, moveIndex).concat(variation), moveIndex + index);
+    } else {
+      enterSideLine(currentMoveIndex - 1, variation, index);
+    }
+  };
+
+  return (
+    <div className="card bg-secondary-700/50 border-secondary-600 text-sm">
+      {activeSideLine && (
+        <div className="mb-2 flex items-start gap-1.5">
+          <FontAwesomeIcon icon={faCodeBranch} className="text-secondary-400 mt-1" />
+          <MoveLine
+            moves={activeSideLine.moves}
+            activeIndex={activeSideLine.moveIndex}
+            onSelect={index => enterSideLine(activeSideLine.baseIndex, activeSideLine.moves, index)}
+          />
+        </div>
+      )}
+
+      {san && (
+        <div className="font-medium text-secondary-100 mb-1">
+          {getMoveNumber(node.fen, true)} {san}{formatNags(node.nags)}
+        </div>
+      )}
+
+      {comments.map((comment, index) => (
+        <div key={index} className="flex items-start gap-1.5 text-secondary-300 mb-1">
+          <FontAwesomeIcon icon={faComment} className="text-secondary-500 mt-1" />
+          <span className="italic">{comment}</span>
+        </div>
+      ))}
+
+      {variations.length > 0 && (
+        <div className="flex flex-col gap-1 mt-1">
+          <div className="text-xs text-secondary-400">Alternatives in the PGN</div>
+          {variations.map((variation, index) => (
+            <div key={index} className="pl-2 border-l-2 border-secondary-600">
+              <MoveLine
+                moves={variation}
+                onSelect={moveIndex => handleSelectVariationMove(variation, moveIndex)}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MoveComments;
@@ -0,0 +1,184 @@
+import React, { useRef, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faListOl, faBook } from '@fortawesome/free-solid-svg-icons';
+import { useGameContext } from '../../contexts/GameContext';
+import { Classification } from '../../utils/constants';
+import { classificationColors } from '../../utils/boardUtils';
+import { formatSignedEvaluation } from '../../utils/evalUtils';
+import { formatNags } from '../../utils/pgnTreeParser';
+
+/**
+ * Pair the moves of a game into numbered rows of white and black moves
+ * @param {Array<object>} positions - Report positions
+ * @returns {Array<object>} - Rows: { number, white, black } with position indices, null for a missing move
+ */
+const buildRows = (positions) => {
+  const rows = [];
+
+  positions.slice(1).forEach((position, offset) => {
+    const [, turn, , , , fullmove] = positions[offset].fen.split(' ');
+    const lastRow = rows[rows.length - 1];
+
+    if (turn === 'b' && lastRow && lastRow.black === null) {
+      lastRow.black = offset + 1;
+    } else {
+      rows.push({
+        number: parseInt(fullmove),
+        white: turn === 'w' ? offset + 1 : null,
+        black: turn === 'b' ? offset + 1 : null
+      });
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Split rows into runs of book moves and runs of played moves
+ * @param {Array<object>} rows - Rows from buildRows
+ * @param {Array<object>} positions - Report positions
+ * @returns {Array<object>} - Groups: { isBook, opening, rows }
+ */
+const groupRows = (rows, positions) => {
+  const groups = [];
+
+  for (const row of rows) {
+    const indices = [row.white, row.black].filter(index => index !== null);
+    const isBook = indices.every(index => positions[index].classification === Classification.BOOK);
+    const lastGroup = groups[groups.length - 1];
+
+    if (lastGroup && lastGroup.isBook === isBook) {
+      lastGroup.rows.push(row);
+    } else {
+      groups.push({ isBook, rows: [row] });
+    }
+  }
+
+  // A book run is named after the last opening it reaches
+  for (const group of groups) {
+    if (!group.isBook) continue;
+
+    group.opening = group.rows
+      .flatMap(row => [row.white, row.black])
+      .filter(index => index !== null)
+      .reduce((name, index) => positions[index].opening || name, null);
+  }
+
+  return groups;
+};
+
+/**
+ * One move of the notation: classification icon, SAN and evaluation
+ */
+const MoveCell = React.forwardRef(({ position, isActive, onSelect }, ref) => {
+  if (!position) {
+    return <div className="px-1.5 py-0.5 text-secondary-500">...</div>;
+  }
+
+  const classification = position.classification;
+  const evaluation = position.topLines?.[0]?.evaluation || position.playedMoveEvaluation?.evaluation;
+
+  return (
+    <button
+      ref={ref}
+      className={`flex items-center gap-1 px-1.5 py-0.5 rounded text-left min-w-0 ${isActive ? 'bg-primary-700 text-white' : 'hover:bg-secondary-600 text-secondary-100'}`}
+      onClick={onSelect}
+    >
+      {classification && (
+        <img
+          src={`/static/media/${classification}.png`}
+          alt={classification}
+          title={classification}
+          className="w-4 h-4 shrink-0"
+        />
+      )}
+      <span
+        className="font-mono truncate"
+        style={{ color: !isActive && classification !== Classification.BOOK ? classificationColors[classification] : undefined }}
+      >
+        {position.move?.san}{formatNags(position.nags)}
+      </span>
+      <span className={`ml-auto text-xs font-mono ${isActive ? 'text-primary-200' : 'text-secondary-400'}`}>
+        {formatSignedEvaluation(evaluation)}
+      </span>
+    </button>
+  );
+});
+
+/**
+ * Notation of the whole game in two columns; clicking a move jumps to it
+ */
+const MoveList = () => {
+  const { reportResults, currentMoveIndex, traverseMoves, activeSideLine } = useGameContext();
+  const listRef = useRef(null);
+  const activeMoveRef = useRef(null);
+
+  // Keep the current move in view without scrolling the page
+  useEffect(() => {
+    const list = listRef.current;
+    const activeMove = activeMoveRef.current;
+    if (!list || !activeMove) return;
+
+    if (activeMove.offsetTop < list.scrollTop) {
+      list.scrollTop = activeMove.offsetTop;
+    } else if (activeMove.offsetTop + activeMove.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = activeMove.offsetTop + activeMove.offsetHeight - list.clientHeight;
+    }
+  }, [currentMoveIndex]);
+
+  if (!reportResults || reportResults.positions.length <= 1) {
+    return null;
+  }
+
+  const positions = reportResults.positions;
+  const groups = groupRows(buildRows(positions), positions);
+
+  const renderMove = (index) => {
+    // The board shows a side line rather than this move
+    const isActive = index === currentMoveIndex && !activeSideLine;
+
+    return (
+      <MoveCell
+        ref={isActive ? activeMoveRef : undefined}
+        position={index === null ? null : positions[index]}
+        isActive={isActive}
+        onSelect={() => traverseMoves(index - currentMoveIndex)}
+      />
+    );
+  };
+
+  return (
+    <div className="card bg-secondary-700/50 border-secondary-600 text-sm">
+      <h3 className="font-medium flex items-center gap-1.5 mb-2">
+        <FontAwesomeIcon icon={faListOl} className="text-secondary-400" />
+        Moves
+      </h3>
+
+      <div ref={listRef} className="relative max-h-64 overflow-y-auto pr-1">
+        {groups.map((group, groupIndex) => (
+          <div
+            key={groupIndex}
+            className={group.isBook ? 'border-l-2 border-secondary-500 bg-secondary-800/40 rounded-r mb-1 pb-0.5' : ''}
+          >
+            {group.isBook && (
+              <div className="flex items-center gap-1.5 px-1.5 pt-1 text-xs text-secondary-400">
+                <FontAwesomeIcon icon={faBook} />
+                <span className="truncate">{group.opening || 'Book moves'}</span>
+              </div>
+            )}
+
+            {group.rows.map(row => (
+              <div key={`${row.number}-${row.white ?? row.black}`} className="grid grid-cols-[2rem,1fr,1fr] items-center gap-0.5">
+                <div className="text-right pr-1 text-xs text-secondary-500 font-mono">{row.number}.</div>
+                {renderMove(row.white)}
+                {row.black !== null ? renderMove(row.black) : <div />}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MoveList;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTriangleExclamation, faPlay, faPen } from '@fortawesome/free-solid-svg-icons';
+import { describeIllegalMove } from '../../utils/pgnTreeParser';
+
+// Moves listed per group before the rest are only counted
+const MAX_LISTED_MOVES = 5;
+
+/**
+ * Moves the parser skipped or repaired, with where they were read from
+ * @param {string} title - Group title
+ * @param {Array<object>} moves - Diagnostics entries: { move, line, column, san, reason }
+ */
+const MoveGroup = ({ title, moves }) => {
+  if (moves.length === 0) return null;
+
+  return (
+    <div className="mb-1.5">
+      <div className="text-secondary-200">{title} ({moves.length})</div>
+      <ul className="pl-4 list-disc text-xs text-secondary-400 space-y-0.5">
+        {moves.slice(0, MAX_LISTED_MOVES).map((entry, index) => (
+          <li key={index}>
+            <span className="font-mono text-secondary-200">{entry.move}</span>
+            {entry.san && <> read as <span className="font-mono text-secondary-200">{entry.san}</span></>}
+            {entry.reason && <>, {entry.reason}</>}
+            {' '}at line {entry.line}, column {entry.column}
+          </li>
+        ))}
+        {moves.length > MAX_LISTED_MOVES && (
+          <li>and {moves.length - MAX_LISTED_MOVES} more</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * What the parser had to change in a PGN, shown before its analysis starts
+ * @param {object} diagnostics - Diagnostics returned by parseAnnotatedPgn
+ * @param {boolean} canAnalyse - Whether anything is left to analyse
+ * @param {Function} onAccept - Analyse the game as it was read
+ * @param {Function} onFix - Go back to the PGN to correct it
+ */
+const PgnDiagnostics = ({ diagnostics, canAnalyse, onAccept, onFix }) => {
+  const { illegalMove, skippedMoves, repairedMoves, missingHeaders } = diagnostics;
+
+  return (
+    <div className="p-2 sm:p-3 rounded-lg border border-yellow-400/50 bg-yellow-400/10 text-sm">
+      <div className="flex items-center gap-2 font-medium text-yellow-400 mb-1.5">
+        <FontAwesomeIcon icon={faTriangleExclamation} />
+        <span>Check your PGN before the analysis</span>
+      </div>
+
+      {illegalMove && (
+        <div className="mb-1.5 text-secondary-200">
+          {describeIllegalMove(illegalMove)}.{' '}
+          {canAnalyse ? 'The game is analysed up to this move.' : 'There are no moves before it to analyse.'}
+        </div>
+      )}
+
+      <MoveGroup title="Skipped moves" moves={skippedMoves} />
+      <MoveGroup title="Repaired moves" moves={repairedMoves} />
+
+      {missingHeaders.length > 0 && (
+        <div className="mb-1.5 text-secondary-200">
+          Missing headers: <span className="text-secondary-400">{missingHeaders.join(', ')}</span>
+        </div>
+      )}
+
+      <div className="flex gap-1 mt-2">
+        <button
+          className="flex-1 flex items-center justify-center gap-1.5 bg-primary-600 hover:bg-primary-700 text-white py-1.5 rounded-md text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={onAccept}
+          disabled={!canAnalyse}
+        >
+          <FontAwesomeIcon icon={faPlay} />
+          Analyse anyway
+        </button>
+        <button
+          className="flex-1 flex items-center justify-center gap-1.5 bg-secondary-700 hover:bg-secondary-600 text-secondary-200 py-1.5 rounded-md text-sm"
+          onClick={onFix}
+        >
+          <FontAwesomeIcon icon={faPen} />
+          Fix PGN
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PgnDiagnostics;
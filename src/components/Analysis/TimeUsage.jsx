@@ -0,0 +1,139 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faClock, faHourglassEnd, faBrain } from '@fortawesome/free-solid-svg-icons';
+import { useGameContext } from '../../contexts/GameContext';
+import { classificationColors } from '../../utils/boardUtils';
+import { formatClock } from '../../utils/clockUtils';
+
+// Height of the time per move chart, in pixels
+const CHART_HEIGHT = 48;
+
+/**
+ * Move label such as "12." or "12..." followed by the move
+ * @param {object} position - Position after the move
+ * @returns {string} - e.g. "12... Qxd4"
+ */
+const getMoveLabel = (position) => {
+  const [, turn, , , , fullmove] = position.fen.split(' ');
+  const number = turn === 'w' ? `${parseInt(fullmove) - 1}...` : `${fullmove}.`;
+  return `${number} ${position.move?.san || ''}`;
+};
+
+/**
+ * Time spent on every move, remaining clocks, time trouble phases and the
+ * mistakes tied to the clock
+ */
+const TimeUsage = () => {
+  const { reportResults, currentMoveIndex, traverseMoves } = useGameContext();
+  const timeAnalysis = reportResults?.timeAnalysis;
+
+  if (!timeAnalysis) {
+    return null;
+  }
+
+  const positions = reportResults.positions;
+  const currentPosition = positions[currentMoveIndex];
+  const longestMove = Math.max(...positions.map(position => position.timeSpent || 0), 1);
+
+  // Whether a move was played in a time trouble phase
+  const isInTimeTrouble = (index) => timeAnalysis.phases.some(
+    phase => index >= phase.startIndex && index <= phase.endIndex
+  );
+
+  const goToMove = (index) => traverseMoves(index - currentMoveIndex);
+
+  return (
+    <div className="card bg-secondary-700/50 border-secondary-600 text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-medium flex items-center gap-1.5">
+          <FontAwesomeIcon icon={faClock} className="text-secondary-400" />
+          Time Usage
+        </h3>
+        {typeof currentPosition?.clock === 'number' && (
+          <div className="text-xs text-secondary-300 font-mono">
+            {currentPosition.timeSpent !== null && `${formatClock(currentPosition.timeSpent)} spent, `}
+            {formatClock(currentPosition.clock)} left
+          </div>
+        )}
+      </div>
+
+      {/* Time per move; white's moves grow up from the middle, black's grow down */}
+      <div className="flex w-full bg-secondary-800 rounded overflow-hidden" style={{ height: CHART_HEIGHT * 2 }}>
+        {positions.slice(1).map((position, offset) => {
+          const index = offset + 1;
+          const isWhiteMove = position.fen.includes(' b ');
+          const bar = (
+            <div
+              className={`w-full ${index === currentMoveIndex ? 'bg-primary-400' : isWhiteMove ? 'bg-secondary-100' : 'bg-secondary-500'}`}
+              style={{ height: Math.max((position.timeSpent || 0) / longestMove * CHART_HEIGHT, 1) }}
+            />
+          );
+
+          return (
+            <button
+              key={index}
+              className={`flex-1 flex flex-col ${isInTimeTrouble(index) ? 'bg-red-500/20' : ''}`}
+              onClick={() => goToMove(index)}
+              title={`${getMoveLabel(position)}: ${formatClock(position.timeSpent)} spent, ${formatClock(position.clock)} left`}
+            >
+              <div className="flex-1 w-full flex items-end">{isWhiteMove && bar}</div>
+              <div className="flex-1 w-full flex items-start">{!isWhiteMove && bar}</div>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex justify-between text-xs text-secondary-400 mt-1.5">
+        {['white', 'black'].map(colour => timeAnalysis.averageTimeSpent[colour] !== undefined && (
+          <span key={colour}>
+            {colour === 'white' ? 'White' : 'Black'} average: {formatClock(timeAnalysis.averageTimeSpent[colour])} per move
+          </span>
+        ))}
+      </div>
+
+      {timeAnalysis.phases.length > 0 && (
+        <div className="mt-2 text-xs text-secondary-300">
+          {timeAnalysis.phases.map((phase, index) => (
+            <div key={index} className="flex items-center gap-1.5">
+              <FontAwesomeIcon icon={faHourglassEnd} className="text-red-400" />
+              <span>
+                {phase.colour === 'white' ? 'White' : 'Black'} in time trouble from{' '}
+                <button className="underline hover:text-white" onClick={() => goToMove(phase.startIndex)}>
+                  {getMoveLabel(positions[phase.startIndex])}
+                </button>
+                {phase.endIndex !== phase.startIndex && <> to {getMoveLabel(positions[phase.endIndex])}</>}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {timeAnalysis.flaggedMoves.length > 0 && (
+        <div className="mt-2 flex flex-col gap-1">
+          <div className="text-xs text-secondary-400">Mistakes and the clock</div>
+          {timeAnalysis.flaggedMoves.map(flagged => (
+            <button
+              key={flagged.index}
+              className="flex items-center gap-1.5 text-left text-xs rounded px-1.5 py-1 bg-secondary-800/60 hover:bg-secondary-600"
+              onClick={() => goToMove(flagged.index)}
+            >
+              <FontAwesomeIcon
+                icon={flagged.reason === 'lowClock' ? faHourglassEnd : faBrain}
+                className={flagged.reason === 'lowClock' ? 'text-red-400' : 'text-yellow-400'}
+              />
+              <span className="font-mono text-secondary-100">{getMoveLabel(positions[flagged.index])}</span>
+              <span style={{ color: classificationColors[flagged.classification] }}>{flagged.classification}</span>
+              <span className="text-secondary-400">
+                {flagged.reason === 'lowClock'
+                  ? `with ${formatClock(flagged.clock)} left`
+                  : `after a ${formatClock(flagged.timeSpent)} think`}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimeUsage;
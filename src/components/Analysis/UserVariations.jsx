@@ -0,0 +1,77 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faChessBoard, faMicrochip, faTrash } from '@fortawesome/free-solid-svg-icons';
+import { useGameContext } from '../../contexts/GameContext';
+import useAnalysis from '../../hooks/useAnalysis';
+import { MoveLine } from './MoveComments';
+
+/**
+ * Variations played on the board from the displayed game position, with
+ * their evaluations once the engine has looked at them
+ */
+const UserVariations = () => {
+  const {
+    reportResults,
+    currentMoveIndex,
+    activeSideLine,
+    userVariations,
+    enterSideLine,
+    deleteUserVariation,
+    isAnalysisRunning
+  } = useGameContext();
+  const { evaluateUserVariation } = useAnalysis();
+
+  if (!reportResults) return null;
+
+  // Inside a user variation the list stays on the position it branched from
+  const activeId = activeSideLine?.userVariationId;
+  const baseIndex = activeId ? activeSideLine.baseIndex : currentMoveIndex;
+  const variations = userVariations.filter(variation => variation.baseIndex === baseIndex);
+
+  if (variations.length === 0) return null;
+
+  return (
+    <div className="card bg-secondary-700/50 border-secondary-600 text-sm">
+      <h3 className="font-medium flex items-center gap-1.5 mb-2">
+        <FontAwesomeIcon icon={faChessBoard} className="text-secondary-400" />
+        Your Variations
+      </h3>
+
+      <div className="flex flex-col gap-1">
+        {variations.map(variation => {
+          const isEvaluated = variation.moves.every(node => node.topLines);
+
+          return (
+            <div key={variation.id} className="flex items-start gap-1.5 pl-2 border-l-2 border-secondary-600">
+              <div className="flex-1 min-w-0">
+                <MoveLine
+                  moves={variation.moves}
+                  activeIndex={variation.id === activeId ? activeSideLine.moveIndex : -1}
+                  onSelect={index => enterSideLine(variation.baseIndex, variation.moves, index, variation.id)}
+                  showEvaluations
+                />
+              </div>
+              <button
+                className="p-1 text-secondary-400 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                onClick={() => evaluateUserVariation(variation.id)}
+                disabled={isAnalysisRunning || isEvaluated}
+                title={isEvaluated ? 'Evaluated' : 'Evaluate with the engine'}
+              >
+                <FontAwesomeIcon icon={faMicrochip} />
+              </button>
+              <button
+                className="p-1 text-secondary-400 hover:text-red-400"
+                onClick={() => deleteUserVariation(variation.id)}
+                title="Delete variation"
+              >
+                <FontAwesomeIcon icon={faTrash} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default UserVariations;
@@ -3,10 +3,17 @@ import useChessboard from '../../hooks/useChessboard';
 import { useGameContext } from '../../contexts/GameContext';
 import EvaluationBar from './EvaluationBar';
 import BoardControls from './BoardControls';
-import { BOARD_SIZE } from '../../utils/boardUtils';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faCirclePlay, faChessKnight } from '@fortawesome/free-solid-svg-icons';
 
+// Pieces a pawn can promote to, queen first
+const PROMOTION_PIECES = [
+  { type: 'q', name: 'queen' },
+  { type: 'r', name: 'rook' },
+  { type: 'b', name: 'bishop' },
+  { type: 'n', name: 'knight' }
+];
+
 const Board = () => {
   const { 
     boardFlipped, 
@@ -15,11 +22,23 @@ const Board = () => {
     isViewingEngineLine,
     activeEngineLine,
     displayPosition,
-    clearActiveEngineLine
+    clearActiveEngineLine,
+    isViewingSideLine,
+    activeSideLine,
+    exitSideLine
   } = useGameContext();
   
   const [showSuggestionArrows, setShowSuggestionArrows] = useState(true);
-  const { canvasRef, handleBoardClick } = useChessboard(showSuggestionArrows);
+  const {
+    canvasRef,
+    handlePointerDown,
+    handlePointerMove,
+    handlePointerUp,
+    handlePointerCancel,
+    pendingPromotion,
+    choosePromotion,
+    cancelPromotion
+  } = useChessboard(showSuggestionArrows);
 
   // Get profiles based on board orientation
   const bottomPlayerProfile = boardFlipped ? blackPlayer : whitePlayer;
@@ -28,73 +47,117 @@ const Board = () => {
   return (
     // Added h-auto to prevent vertical stretching
     <div className="card h-auto flex flex-col items-center p-2">
-      <div className="flex w-full max-w-xl">
-        <div className="flex"> 
+      <div className="w-full max-w-xl">
+        {/* The evaluation bar stretches to the player bars and the board */}
+        <div className="flex">
           <EvaluationBar />
-        </div>
-        
-        <div className="flex-1 flex flex-col">
-          {/* Top player */}
-          <div className="py-1.5 px-3 bg-secondary-700 rounded-t-md flex justify-between items-center h-[36px]">
-            <div className="flex items-center gap-2">
-              <div className="w-3 h-3 rounded-full bg-secondary-400"></div>
-              <span className="text-sm sm:text-base font-medium text-secondary-100">{topPlayerProfile.username}</span>
+          
+          <div className="flex-1 flex flex-col min-w-0">
+            {/* Top player */}
+            <div className="py-1.5 px-3 bg-secondary-700 rounded-t-md flex justify-between items-center h-[36px]">
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 rounded-full bg-secondary-400"></div>
+                <span className="text-sm sm:text-base font-medium text-secondary-100">{topPlayerProfile.username}</span>
+              </div>
+              <span className="text-sm font-mono bg-secondary-600 py-0.5 px-2 rounded text-secondary-200">
+                {topPlayerProfile.rating}
+              </span>
             </div>
-            <span className="text-sm font-mono bg-secondary-600 py-0.5 px-2 rounded text-secondary-200">
-              {topPlayerProfile.rating}
-            </span>
-          </div>
           
-          {/* Chess board */}
-          <div className="relative">
-            <canvas 
-              id="chess-board"
-              ref={canvasRef}
-              width={BOARD_SIZE}
-              height={BOARD_SIZE}
-              onClick={handleBoardClick}
-              className="w-full h-auto cursor-pointer border border-secondary-600 shadow-lg"
-            />
+            {/* Chess board */}
+            <div className="relative">
+              {/* Sized by its container; useChessboard matches the pixels to the screen */}
+              <canvas 
+                ref={canvasRef}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerCancel}
+                onContextMenu={event => event.preventDefault()}
+                className="block w-full aspect-square cursor-pointer touch-none border border-secondary-600 shadow-lg"
+              />
+              
+              {/* Piece picker for a pawn reaching the last rank */}
+              {pendingPromotion && (
+                <div 
+                  className="absolute inset-0 bg-secondary-900/60 flex items-center justify-center"
+                  onClick={cancelPromotion}
+                  onKeyDown={event => event.key === 'Escape' && cancelPromotion()}
+                >
+                  <div className="flex gap-1 bg-secondary-700 p-2 rounded-md shadow-lg" onClick={event => event.stopPropagation()}>
+                    {PROMOTION_PIECES.map(({ type, name }, index) => (
+                      <button
+                        key={type}
+                        onClick={() => choosePromotion(type)}
+                        className="w-14 h-14 p-1 rounded bg-secondary-600 hover:bg-secondary-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        title={`Promote to ${name}`}
+                        aria-label={`Promote to ${name}`}
+                        autoFocus={index === 0}
+                      >
+                        <img src={`/static/media/${pendingPromotion.colour}_${name}.svg`} alt="" className="w-full h-full" />
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
             
-            {/* Overlay for engine variation */}
-            {isViewingEngineLine && (
-              <div className="absolute top-2 left-2 right-2 bg-primary-900/80 text-white px-3 py-2 rounded-md flex items-center justify-between shadow-md">
-                <div className="flex items-center gap-2">
-                  <FontAwesomeIcon icon={faChessKnight} className="text-primary-300" />
-                  <span className="text-sm font-medium">
-                    Viewing engine line: {activeEngineLine?.moveSAN || 'Variation'}
-                  </span>
+              {/* Overlay for engine variation */}
+              {isViewingEngineLine && (
+                <div className="absolute top-2 left-2 right-2 bg-primary-900/80 text-white px-3 py-2 rounded-md flex items-center justify-between shadow-md">
+                  <div className="flex items-center gap-2">
+                    <FontAwesomeIcon icon={faChessKnight} className="text-primary-300" />
+                    <span className="text-sm font-medium">
+                      Viewing engine line: {activeEngineLine?.moveSAN || 'Variation'}
+                    </span>
+                  </div>
+                  <button 
+                    onClick={clearActiveEngineLine}
+                    className="text-xs bg-primary-700 hover:bg-primary-600 px-2 py-1 rounded"
+                  >
+                    Back to game
+                  </button>
                 </div>
-                <button 
-                  onClick={clearActiveEngineLine}
-                  className="text-xs bg-primary-700 hover:bg-primary-600 px-2 py-1 rounded"
-                >
-                  Back to game
-                </button>
-              </div>
-            )}
-          </div>
-          
-          {/* Bottom player */}
-          <div className="py-1.5 px-3 bg-secondary-700 rounded-b-md flex justify-between items-center h-[36px]">
-            <div className="flex items-center gap-2">
-              <div className="w-3 h-3 rounded-full bg-white"></div>
-              <span className="text-sm sm:text-base font-medium text-secondary-100">{bottomPlayerProfile.username}</span>
+              )}
+            
+              {isViewingSideLine && (
+                <div className="absolute top-2 left-2 right-2 bg-secondary-900/80 text-white px-3 py-2 rounded-md flex items-center justify-between shadow-md">
+                  <div className="flex items-center gap-2">
+                    <FontAwesomeIcon icon={faChessKnight} className="text-secondary-300" />
+                    <span className="text-sm font-medium">
+                      {activeSideLine?.userVariationId ? 'Your variation' : 'Viewing side line'}: {displayPosition?.move?.san}
+                    </span>
+                  </div>
+                  <button 
+                    onClick={exitSideLine}
+                    className="text-xs bg-secondary-700 hover:bg-secondary-600 px-2 py-1 rounded"
+                  >
+                    Back to game
+                  </button>
+                </div>
+              )}
             </div>
-            <span className="text-sm font-mono bg-secondary-600 py-0.5 px-2 rounded text-secondary-200">
-              {bottomPlayerProfile.rating}
-            </span>
-          </div>
           
-          {/* Board controls with minimal margin */}
-          <div className="mt-1 mb-0">
-            <BoardControls 
-              showSuggestionArrows={showSuggestionArrows} 
-              setShowSuggestionArrows={setShowSuggestionArrows} 
-              onSave={() => {}}
-            />
+            {/* Bottom player */}
+            <div className="py-1.5 px-3 bg-secondary-700 rounded-b-md flex justify-between items-center h-[36px]">
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 rounded-full bg-white"></div>
+                <span className="text-sm sm:text-base font-medium text-secondary-100">{bottomPlayerProfile.username}</span>
+              </div>
+              <span className="text-sm font-mono bg-secondary-600 py-0.5 px-2 rounded text-secondary-200">
+                {bottomPlayerProfile.rating}
+              </span>
+            </div>
           </div>
         </div>
+        
+        {/* Board controls with minimal margin, lined up with the board */}
+        <div className="mt-1 mb-0 ml-8">
+          <BoardControls 
+            showSuggestionArrows={showSuggestionArrows} 
+            setShowSuggestionArrows={setShowSuggestionArrows} 
+            onSave={() => {}}
+          />
+        </div>
       </div>
     </div>
   );
@@ -1,7 +1,7 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useGameContext } from '../../contexts/GameContext';
-import { BOARD_SIZE } from '../../utils/boardUtils';
 import { Chess } from 'chess.js';
+import { formatWdl } from '../../utils/evalUtils';
 
 const formatEval = (evaluation) => {
   if (!evaluation) return "0.0";
@@ -33,18 +33,7 @@ const EvaluationBar = () => {
   const [showWhiteText, setShowWhiteText] = useState(true);
   const [showBlackText, setShowBlackText] = useState(false);
   const [originalEval, setOriginalEval] = useState(null); // Store original evaluation
-  
-  // Reference to the chessboard to match its height
-  const boardRef = useRef(null);
-  
-  // Effect for finding the chessboard
-  useEffect(() => {
-    // Find the chessboard element
-    const chessboard = document.getElementById('chess-board');
-    if (chessboard) {
-      boardRef.current = chessboard;
-    }
-  }, []);
+  const [wdl, setWdl] = useState(null); // Win/draw/loss chances shown in the tooltip
   
   // Store the original evaluation when entering engine line view
   useEffect(() => {
@@ -71,6 +60,7 @@ const EvaluationBar = () => {
   
   useEffect(() => {
     let evaluation = { type: "cp", value: 0 };
+    let lineWdl = null;
     
     try {
       // Check for checkmate
@@ -100,6 +90,11 @@ const EvaluationBar = () => {
       else if (isViewingEngineLine && activeEngineLine?.evaluation) {
         evaluation = activeEngineLine.evaluation;
         
+        // Only the line's starting position has real chances from the engine
+        if (engineMoveIndex === 0) {
+          lineWdl = activeEngineLine.wdl;
+        }
+        
         // Apply a small delta based on engineMoveIndex to show progression
         // This only works for cp evaluations, not mate
         if (evaluation.type === "cp" && activeEngineLine.futureMoves && engineMoveIndex > 0) {
@@ -124,14 +119,17 @@ const EvaluationBar = () => {
           }
         }
       } 
-      // Otherwise use normal position evaluation
+      // Otherwise use normal position evaluation, or that of an evaluated side line move
       else {
-        const position = reportResults?.positions?.[currentMoveIndex];
+        const position = displayPosition?.topLines
+          ? displayPosition
+          : reportResults?.positions?.[currentMoveIndex];
         
         if (position?.topLines?.length > 0) {
           const topLine = position.topLines.find(line => line.id === 1);
           if (topLine?.evaluation) {
             evaluation = topLine.evaluation;
+            lineWdl = topLine.wdl;
           }
         }
       }
@@ -141,6 +139,7 @@ const EvaluationBar = () => {
     
     // Format display value
     setEvalDisplay(formatEval(evaluation));
+    setWdl(lineWdl || null);
     
     // Calculate bar heights
     let whitePercent = 50; // Default to equal position
@@ -204,34 +203,10 @@ const EvaluationBar = () => {
     setShowBlackText(!whiteWinning);
   }, [currentMoveIndex, reportResults, isViewingEngineLine, activeEngineLine, engineMoveIndex, displayPosition]);
   
-  // Find the player info bars to get their height
-  const getPlayerBarsHeight = () => {
-    const playerBars = document.querySelectorAll('.bg-secondary-700.rounded-t-md, .bg-secondary-700.rounded-b-md');
-    let totalHeight = 0;
-    
-    if (playerBars && playerBars.length) {
-      playerBars.forEach(bar => {
-        totalHeight += bar.offsetHeight;
-      });
-    }
-    
-    return totalHeight || 72; // default to 72px if we can't find the bars
-  };
-  
-  const getBarHeight = () => {
-    if (boardRef.current) {
-      const playerBarsHeight = getPlayerBarsHeight();
-      return boardRef.current.offsetHeight + playerBarsHeight;
-    }
-    return BOARD_SIZE + 72; // Default fallback
-  };
-  
-  const barHeight = getBarHeight();
-  
   return (
     <div 
-      className="w-6 mr-2 rounded-md overflow-hidden shadow-inner flex flex-col border border-secondary-600 relative" 
-      style={{ height: `${barHeight}px` }}
+      className="w-6 mr-2 shrink-0 rounded-md overflow-hidden shadow-inner flex flex-col border border-secondary-600 relative" 
+      title={wdl ? `${evalDisplay}\n${formatWdl(wdl)}` : evalDisplay}
     >
       {/* Black section */}
       <div 
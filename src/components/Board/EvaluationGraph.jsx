@@ -2,6 +2,7 @@ import React, { useRef, useEffect, useState } from 'react';
 import { useGameContext } from '../../contexts/GameContext';
 import { classificationColors, getSemiTransparentColor } from '../../utils/boardUtils';
 import { Chess } from 'chess.js';
+import { getWdlPercentages } from '../../utils/evalUtils';
 
 const EvaluationGraph = () => {
   const { 
@@ -254,11 +255,14 @@ const EvaluationGraph = () => {
       const classification = position?.classification;
       
       if (classification && position) {
+        // Win/draw/loss chances of the position, when the engine reported them
+        const wdl = getWdlPercentages(position.topLines?.find(line => line.id === 1)?.wdl);
+        
         // Draw tooltip background
         const tooltipX = mousePos.x + 10;
         const tooltipY = mousePos.y - 20;
         const tooltipWidth = 150;
-        const tooltipHeight = 40;
+        const tooltipHeight = wdl ? 55 : 40;
         
         ctx.fillStyle = "rgba(255, 255, 255, 0.95)";
         ctx.strokeStyle = "#64748b"; // secondary-500
@@ -279,8 +283,8 @@ const EvaluationGraph = () => {
         ctx.font = "12px 'Inter', sans-serif";
         ctx.textAlign = "left";
         
-        // Player name
-        const playerName = hoverIndex % 2 === 0 
+        // Player name: white to move means black just played, whatever position the game started from
+        const playerName = position.fen.includes(" w ") 
           ? blackPlayer.username 
           : whitePlayer.username;
         
@@ -297,6 +301,16 @@ const EvaluationGraph = () => {
           adjustedX + 10, 
           adjustedY + 35
         );
+        
+        if (wdl) {
+          ctx.fillStyle = "#475569"; // secondary-600
+          ctx.font = "11px 'Inter', sans-serif";
+          ctx.fillText(
+            `W ${wdl.white}%  D ${wdl.draw}%  B ${wdl.black}%`,
+            adjustedX + 10,
+            adjustedY + 50
+          );
+        }
       }
     }
   }, [
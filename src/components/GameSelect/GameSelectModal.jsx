@@ -6,11 +6,12 @@ import {
   faSpinner,
   faChessKnight,
   faClock,
-  faXmark
+  faXmark,
+  faListCheck
 } from '@fortawesome/free-solid-svg-icons';
 import { fetchChessComGames, fetchLichessGames } from '../../services/apiService';
 
-const GameListing = ({ game, onSelect }) => {
+const GameListing = ({ game, onSelect, selected, onToggleSelected }) => {
   // Format player names and ratings for display
   const getPlayersString = () => {
     if (game.type === 'chesscom') {
@@ -42,6 +43,15 @@ const GameListing = ({ game, onSelect }) => {
       onClick={() => onSelect(game.pgn)}
     >
       <div className="flex items-center mb-1 sm:mb-0">
+        {/* Ticking a game queues it instead of opening it */}
+        <input
+          type="checkbox"
+          checked={selected}
+          onChange={onToggleSelected}
+          onClick={(e) => e.stopPropagation()}
+          className="mr-3 accent-primary-500"
+          aria-label="Select for batch analysis"
+        />
         <div className="bg-primary-700 text-white rounded-md p-1.5 mr-3">
           <FontAwesomeIcon icon={faClock} className="text-sm" />
         </div>
@@ -54,8 +64,9 @@ const GameListing = ({ game, onSelect }) => {
   );
 };
 
-const GameSelectModal = ({ isOpen, onClose, onSelectGame, source, username }) => {
+const GameSelectModal = ({ isOpen, onClose, onSelectGame, onQueueGames, source, username }) => {
   const [games, setGames] = useState([]);
+  const [selectedGames, setSelectedGames] = useState([]);
   const [loading, setLoading] = useState(false);
   const [period, setPeriod] = useState({
     year: new Date().getFullYear(),
@@ -107,6 +118,7 @@ const GameSelectModal = ({ isOpen, onClose, onSelectGame, source, username }) =>
         }
         
         setGames(fetchedGames);
+        setSelectedGames([]);
       } catch (error) {
         console.error('Error fetching games:', error);
         setGames([]);
@@ -145,6 +157,18 @@ const GameSelectModal = ({ isOpen, onClose, onSelectGame, source, username }) =>
     });
   };
   
+  const toggleSelected = (index) => {
+    setSelectedGames(prev => prev.includes(index) 
+      ? prev.filter(selected => selected !== index) 
+      : [...prev, index]
+    );
+  };
+  
+  const handleQueueSelected = () => {
+    onQueueGames(selectedGames.sort((a, b) => a - b).map(index => games[index].pgn));
+    setSelectedGames([]);
+  };
+  
   if (!isOpen) {
     return null;
   }
@@ -214,15 +238,26 @@ const GameSelectModal = ({ isOpen, onClose, onSelectGame, source, username }) =>
                   key={index}
                   game={game}
                   onSelect={onSelectGame}
+                  selected={selectedGames.includes(index)}
+                  onToggleSelected={() => toggleSelected(index)}
                 />
               ))}
             </div>
           )}
         </div>
         
-        <div className="p-4 border-t border-secondary-700">
+        <div className="p-4 border-t border-secondary-700 flex gap-2">
+          {selectedGames.length > 0 && (
+            <button 
+              className="flex-1 flex items-center justify-center gap-2 bg-primary-600 hover:bg-primary-700 text-white py-2 rounded-md transition-colors"
+              onClick={handleQueueSelected}
+            >
+              <FontAwesomeIcon icon={faListCheck} />
+              Queue {selectedGames.length} {selectedGames.length === 1 ? 'game' : 'games'}
+            </button>
+          )}
           <button 
-            className="w-full bg-secondary-700 hover:bg-secondary-600 py-2 rounded-md transition-colors"
+            className="flex-1 bg-secondary-700 hover:bg-secondary-600 py-2 rounded-md transition-colors"
             onClick={onClose}
           >
             Cancel
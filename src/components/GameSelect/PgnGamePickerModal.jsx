@@ -0,0 +1,117 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faChessKnight,
+  faXmark,
+  faMagnifyingGlass,
+  faFileImport,
+  faListCheck
+} from '@fortawesome/free-solid-svg-icons';
+import { readPgnHeaders } from '../../utils/pgnGames';
+
+// Tags shown for each game, in column order
+const columns = ['Event', 'Round', 'White', 'Black', 'Result'];
+
+const PgnGameRow = ({ pgn, onLoad, onAnalyse }) => {
+  const headers = readPgnHeaders(pgn);
+
+  return (
+    <tr className="border-b border-secondary-700 hover:bg-secondary-700/60">
+      {columns.map(column => (
+        <td key={column} className="py-2 px-2 truncate max-w-[10rem]" title={headers[column]}>
+          {headers[column] || '?'}
+        </td>
+      ))}
+      <td className="py-2 px-2">
+        <div className="flex gap-1 justify-end">
+          <button
+            className="bg-secondary-600 hover:bg-secondary-500 p-1.5 rounded transition-colors"
+            onClick={() => onLoad(pgn)}
+            title="Load this game into the PGN box"
+          >
+            <FontAwesomeIcon icon={faFileImport} />
+          </button>
+          <button
+            className="bg-primary-600 hover:bg-primary-700 text-white p-1.5 rounded transition-colors"
+            onClick={() => onAnalyse(pgn)}
+            title="Analyse this game"
+          >
+            <FontAwesomeIcon icon={faMagnifyingGlass} />
+          </button>
+        </div>
+      </td>
+    </tr>
+  );
+};
+
+/**
+ * Picker for the games of a multi-game PGN
+ */
+const PgnGamePickerModal = ({ games, onClose, onLoadGame, onAnalyseGame, onQueueAll }) => {
+  if (!games) {
+    return null;
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+      <div className="bg-secondary-800 rounded-xl shadow-2xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center p-4 border-b border-secondary-700">
+          <div className="flex items-center gap-2">
+            <FontAwesomeIcon icon={faChessKnight} className="text-xl text-primary-400" />
+            <h2 className="text-xl font-bold">{games.length} Games in PGN</h2>
+          </div>
+
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-white bg-secondary-700 hover:bg-secondary-600 rounded-full p-1.5 transition-colors"
+          >
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4">
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs text-secondary-400 uppercase">
+              <tr>
+                {columns.map(column => (
+                  <th key={column} className="py-1 px-2 font-medium">{column}</th>
+                ))}
+                <th className="py-1 px-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {games.map((pgn, index) => (
+                <PgnGameRow
+                  key={index}
+                  pgn={pgn}
+                  onLoad={onLoadGame}
+                  onAnalyse={onAnalyseGame}
+                />
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="p-4 border-t border-secondary-700 flex gap-2">
+          {onQueueAll && (
+            <button
+              className="flex-1 flex items-center justify-center gap-2 bg-primary-600 hover:bg-primary-700 text-white py-2 rounded-md transition-colors"
+              onClick={() => onQueueAll(games)}
+            >
+              <FontAwesomeIcon icon={faListCheck} />
+              Queue all games
+            </button>
+          )}
+          <button
+            className="flex-1 bg-secondary-700 hover:bg-secondary-600 py-2 rounded-md transition-colors"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PgnGamePickerModal;
@@ -2,22 +2,32 @@ import React, { useState } from 'react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faChessKnight, faLightbulb } from '@fortawesome/free-solid-svg-icons';
 import useAnalysis from '../../hooks/useAnalysis';
+import useBatchAnalysis from '../../hooks/useBatchAnalysis';
 import AnalysisForm from '../Analysis/AnalysisForm';
+import GameInfo from '../Analysis/GameInfo';
 import AccuracyStats from '../Analysis/AccuracyStats';
 import ClassificationDisplay from '../Analysis/ClassificationDisplay';
 import EngineSuggestions from '../Analysis/EngineSuggestions';
+import MoveComments from '../Analysis/MoveComments';
+import UserVariations from '../Analysis/UserVariations';
+import MoveList from '../Analysis/MoveList';
+import TimeUsage from '../Analysis/TimeUsage';
 import EvaluationGraph from '../Board/EvaluationGraph';
+import BatchQueue from '../Analysis/BatchQueue';
 import GameSelectModal from '../GameSelect/GameSelectModal';
+import PgnGamePickerModal from '../GameSelect/PgnGamePickerModal';
 import { useGameContext } from '../../contexts/GameContext';
 
 const ReviewPanel = () => {
   const { reportResults } = useGameContext();
-  const { saveAnalysis, analyzePgn } = useAnalysis();
+  const { saveAnalysis, exportPgn } = useAnalysis();
+  const { queuePgn, cancelBatchGame } = useBatchAnalysis();
   const [showGameSelect, setShowGameSelect] = useState(false);
   const [selectSource, setSelectSource] = useState('');
   const [selectUsername, setSelectUsername] = useState('');
   const [pgnText, setPgnText] = useState('');
-  const [currentDepth, setCurrentDepth] = useState(20); // Add state for depth
+  const [pgnGames, setPgnGames] = useState(null); // Games of a multi-game PGN awaiting a choice
+  const [analyseRequest, setAnalyseRequest] = useState(null); // Game to check and analyse: { pgn }
   
   const handleShowGameSelect = (source, username) => {
     setSelectSource(source);
@@ -32,14 +42,29 @@ const ReviewPanel = () => {
     // Close the game select modal
     setShowGameSelect(false);
     
-    // Start analysis automatically with current depth value
-    setTimeout(() => {
-      analyzePgn(pgn, currentDepth); // Use currentDepth here
-    }, 100);
+    // Start analysis automatically, once the parser's findings are accepted
+    setAnalyseRequest({ pgn });
   };
   
-  const handleDepthChange = (depth) => {
-    setCurrentDepth(depth);
+  const handleQueueGames = (pgns) => {
+    queuePgn(pgns.join('\n\n'));
+    setShowGameSelect(false);
+  };
+  
+  const handleLoadPgnGame = (pgn) => {
+    setPgnText(pgn);
+    setPgnGames(null);
+  };
+  
+  const handleAnalysePgnGame = (pgn) => {
+    setPgnText(pgn);
+    setPgnGames(null);
+    setAnalyseRequest({ pgn });
+  };
+  
+  const handleQueuePgnGames = (games) => {
+    queuePgn(games.join('\n\n'));
+    setPgnGames(null);
   };
   
   const handleSaveAnalysis = () => {
@@ -58,12 +83,21 @@ const ReviewPanel = () => {
         </h2>
         
         {reportResults && (
-          <button 
-            onClick={handleSaveAnalysis}
-            className="btn-primary text-xs px-2 py-1"
-          >
-            Save Report
-          </button>
+          <div className="flex gap-1">
+            <button 
+              onClick={exportPgn}
+              className="btn-secondary text-xs px-2 py-1"
+              title="Download the review as annotated PGN"
+            >
+              Export PGN
+            </button>
+            <button 
+              onClick={handleSaveAnalysis}
+              className="btn-primary text-xs px-2 py-1"
+            >
+              Save Report
+            </button>
+          </div>
         )}
       </div>
       
@@ -72,18 +106,28 @@ const ReviewPanel = () => {
           onShowGameSelect={handleShowGameSelect} 
           pgnText={pgnText}
           setPgnText={setPgnText}
-          onDepthChange={handleDepthChange} 
+          onQueuePgn={queuePgn}
+          onShowPgnGames={setPgnGames}
+          analyseRequest={analyseRequest}
+          setAnalyseRequest={setAnalyseRequest}
         />
       </div>
       
+      <BatchQueue onCancelGame={cancelBatchGame} />
+      
       {reportResults ? (
         // Removed max-height and overflow constraints
         // Changed to a standard div without scrolling behavior
         <div className="flex flex-col gap-2 pt-1">
+          <GameInfo />
           <AccuracyStats />
           <ClassificationDisplay />
+          <MoveComments />
+          <UserVariations />
           <EngineSuggestions />
+          <MoveList />
           <EvaluationGraph />
+          <TimeUsage />
         </div>
       ) : (
         <div className="flex flex-col items-center justify-center text-center p-2 text-secondary-400">
@@ -99,9 +143,18 @@ const ReviewPanel = () => {
         isOpen={showGameSelect}
         onClose={() => setShowGameSelect(false)}
         onSelectGame={handleSelectGame}
+        onQueueGames={handleQueueGames}
         source={selectSource}
         username={selectUsername}
       />
+      
+      <PgnGamePickerModal
+        games={pgnGames}
+        onClose={() => setPgnGames(null)}
+        onLoadGame={handleLoadPgnGame}
+        onAnalyseGame={handleAnalysePgnGame}
+        onQueueAll={handleQueuePgnGames}
+      />
     </div>
   );
 };
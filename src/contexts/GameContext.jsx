@@ -1,5 +1,74 @@
-import { Chess } from 'chess.js';
 import React, { createContext, useContext, useState, useReducer, useEffect } from 'react';
+import { DEFAULT_ENGINE_SETTINGS, BatchStatus } from '../utils/constants';
+import { playMove } from '../utils/chess960';
+
+// localStorage key of the user's engine profile
+const ENGINE_SETTINGS_KEY = 'chess-site-engine-settings';
+
+/**
+ * Load the saved engine profile, falling back to the defaults
+ * @returns {object} - Engine settings
+ */
+const loadEngineSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ENGINE_SETTINGS_KEY));
+    return { ...DEFAULT_ENGINE_SETTINGS, ...saved };
+  } catch (e) {
+    console.warn("Could not load engine settings:", e);
+    return { ...DEFAULT_ENGINE_SETTINGS };
+  }
+};
+
+/**
+ * Play an engine line from a position, move by move
+ * @param {string} fen - Position the line starts from
+ * @param {object} line - Engine line: moveUCI, futureMoves and futureMoveUCIs
+ * @param {number} futureMoveCount - How many of the future moves to play
+ * @returns {Array<object>} - Moves played: { san, uci, fen }, stopping at the first that fails
+ */
+const playEngineLine = (fen, line, futureMoveCount) => {
+  const moves = [];
+  
+  // Chess960 castling needs playMove rather than chess.js
+  const first = line.moveUCI ? playMove(fen, line.moveUCI) : null;
+  if (!first) {
+    console.warn(`Failed to apply initial engine move ${line.moveUCI}`);
+    return moves;
+  }
+  moves.push(first);
+  
+  const futureMoves = line.futureMoves || [];
+  for (let i = 0; i < futureMoveCount && i < futureMoves.length; i++) {
+    const previousFen = moves[moves.length - 1].fen;
+    
+    // First try applying the move directly (SAN format), then its UCI form if we have it
+    const result = playMove(previousFen, futureMoves[i])
+      || (line.futureMoveUCIs?.[i] && playMove(previousFen, line.futureMoveUCIs[i]));
+    
+    if (!result) {
+      console.warn(`Failed to apply future move at index ${i}: ${futureMoves[i]}`);
+      // Stop applying moves if one fails
+      break;
+    }
+    moves.push(result);
+  }
+  
+  return moves;
+};
+
+/**
+ * Move tree node for a move played on the board, shaped like a PGN side line move
+ * @param {object} move - Move from playMove: san, uci and fen
+ * @returns {object} - Node: { san, uci, fen, comments, nags, variations }
+ */
+const createMoveNode = ({ san, uci, fen }) => ({
+  san,
+  uci,
+  fen,
+  comments: [],
+  nags: [],
+  variations: []
+});
 
 // Initial state
 const initialState = {
@@ -10,6 +79,7 @@ const initialState = {
   boardFlipped: false,
   whitePlayer: { username: "White Player", rating: "?" },
   blackPlayer: { username: "Black Player", rating: "?" },
+  gameHeaders: {}, // Tag pairs of the reviewed game: Event, Site, Date, Round, Result...
   isAnalysisRunning: false,
   analysisProgress: 0,
   analysisStatus: '',
@@ -19,7 +89,13 @@ const initialState = {
   engineMoveIndex: 0, // Track position in engine line sequence
   prevEngineMoveIndex: 0, // Track previous engine move index for sound
   soundEnabled: true,  // Sound enabled by default
-  soundVolume: 0.5     // Default volume (0.0 to 1.0)
+  soundVolume: 0.5,    // Default volume (0.0 to 1.0)
+  engineSettings: loadEngineSettings(), // MultiPV, threads, hash and search limit
+  liveAnalysisEnabled: false, // Run an infinite search on the displayed position
+  batchQueue: [], // Games waiting for or going through background analysis
+  activeSideLine: null, // Side line being viewed: { baseIndex, moves, moveIndex, userVariationId }
+  userVariations: [], // Lines played on the board: { id, baseIndex, moves }
+  boardAnnotations: {} // Arrows and highlights drawn on the board, keyed by FEN: { arrows, squares }
 };
 
 // Reducer function to handle state changes
@@ -30,7 +106,8 @@ function gameReducer(state, action) {
     case 'SET_REPORT_RESULTS':
       return { ...state, reportResults: action.payload };
     case 'SET_CURRENT_MOVE_INDEX':
-      return { ...state, currentMoveIndex: action.payload };
+      // Jumping to a game move leaves any side line
+      return { ...state, currentMoveIndex: action.payload, activeSideLine: null };
     case 'SET_PREV_MOVE_INDEX':
       return { ...state, prevMoveIndex: action.payload };
     case 'FLIP_BOARD':
@@ -42,6 +119,7 @@ function gameReducer(state, action) {
     case 'SET_ACTIVE_ENGINE_LINE':
       return { 
         ...state, 
+        activeSideLine: null,
         activeEngineLine: action.payload,
         engineMoveIndex: 0, // Reset to start of line
         prevEngineMoveIndex: 0 // Reset previous index too
@@ -85,6 +163,8 @@ function gameReducer(state, action) {
         whitePlayer: action.payload.whitePlayer,
         blackPlayer: action.payload.blackPlayer
       };
+    case 'SET_GAME_HEADERS':
+      return { ...state, gameHeaders: action.payload };
     case 'SET_ANALYSIS_RUNNING':
       return { ...state, isAnalysisRunning: action.payload };
     case 'SET_ANALYSIS_PROGRESS':
@@ -97,6 +177,105 @@ function gameReducer(state, action) {
       return { ...state, soundEnabled: !state.soundEnabled };
     case 'SET_SOUND_VOLUME':
       return { ...state, soundVolume: action.payload };
+    case 'TOGGLE_LIVE_ANALYSIS':
+      return { ...state, liveAnalysisEnabled: !state.liveAnalysisEnabled };
+    case 'SET_ENGINE_SETTINGS':
+      return { ...state, engineSettings: { ...state.engineSettings, ...action.payload } };
+    case 'ENTER_SIDE_LINE':
+      return {
+        ...state,
+        activeSideLine: action.payload,
+        activeEngineLine: null,
+        engineMoveIndex: 0,
+        prevEngineMoveIndex: 0
+      };
+    case 'SET_SIDE_LINE_MOVE_INDEX':
+      if (state.activeSideLine) {
+        return {
+          ...state,
+          activeSideLine: {
+            ...state.activeSideLine,
+            moveIndex: Math.max(Math.min(action.payload, state.activeSideLine.moves.length - 1), 0)
+          }
+        };
+      }
+      return state;
+    case 'EXIT_SIDE_LINE':
+      return { ...state, activeSideLine: null };
+    case 'SET_USER_VARIATIONS':
+      return { ...state, userVariations: action.payload };
+    case 'SAVE_USER_VARIATION': {
+      const { variation, moveIndex } = action.payload;
+      const exists = state.userVariations.some(existing => existing.id === variation.id);
+      
+      return {
+        ...state,
+        userVariations: exists
+          ? state.userVariations.map(existing => existing.id === variation.id ? variation : existing)
+          : [...state.userVariations, variation],
+        // The board follows the line to the move just played
+        activeSideLine: {
+          baseIndex: variation.baseIndex,
+          moves: variation.moves,
+          moveIndex,
+          userVariationId: variation.id
+        },
+        activeEngineLine: null,
+        engineMoveIndex: 0,
+        prevEngineMoveIndex: 0
+      };
+    }
+    case 'SET_USER_VARIATION_EVALUATIONS': {
+      const { id, evaluations } = action.payload;
+      
+      // Evaluations line up with the moves they were run on; moves played since keep none
+      const withEvaluations = (moves) => moves.map((node, index) =>
+        evaluations[index] ? { ...node, ...evaluations[index] } : node
+      );
+      
+      return {
+        ...state,
+        userVariations: state.userVariations.map(variation =>
+          variation.id === id ? { ...variation, moves: withEvaluations(variation.moves) } : variation
+        ),
+        activeSideLine: state.activeSideLine?.userVariationId === id
+          ? { ...state.activeSideLine, moves: withEvaluations(state.activeSideLine.moves) }
+          : state.activeSideLine
+      };
+    }
+    case 'SET_BOARD_ANNOTATIONS':
+      return { ...state, boardAnnotations: action.payload };
+    case 'SET_POSITION_ANNOTATIONS':
+      return {
+        ...state,
+        boardAnnotations: { ...state.boardAnnotations, [action.payload.fen]: action.payload.annotations }
+      };
+    case 'DELETE_USER_VARIATION':
+      return {
+        ...state,
+        userVariations: state.userVariations.filter(variation => variation.id !== action.payload),
+        activeSideLine: state.activeSideLine?.userVariationId === action.payload
+          ? null
+          : state.activeSideLine
+      };
+    case 'QUEUE_BATCH_GAMES':
+      return { ...state, batchQueue: [...state.batchQueue, ...action.payload] };
+    case 'UPDATE_BATCH_GAME':
+      return {
+        ...state,
+        batchQueue: state.batchQueue.map(game => 
+          game.id === action.payload.id ? { ...game, ...action.payload.changes } : game
+        )
+      };
+    case 'REMOVE_BATCH_GAME':
+      return { ...state, batchQueue: state.batchQueue.filter(game => game.id !== action.payload) };
+    case 'CLEAR_FINISHED_BATCH_GAMES':
+      return { 
+        ...state, 
+        batchQueue: state.batchQueue.filter(game => 
+          game.status === BatchStatus.QUEUED || game.status === BatchStatus.RUNNING
+        ) 
+      };
     case 'RESET_ANALYSIS':
       return {
         ...state,
@@ -110,7 +289,10 @@ function gameReducer(state, action) {
         evaluatedPositions: [],
         activeEngineLine: null,
         engineMoveIndex: 0,
-        prevEngineMoveIndex: 0
+        prevEngineMoveIndex: 0,
+        activeSideLine: null,
+        userVariations: [],
+        boardAnnotations: {}
       };
     default:
       return state;
@@ -124,13 +306,22 @@ const GameContext = createContext();
 export const GameProvider = ({ children }) => {
   const [state, dispatch] = useReducer(gameReducer, initialState);
   
+  // Persist the engine profile between visits
+  useEffect(() => {
+    try {
+      localStorage.setItem(ENGINE_SETTINGS_KEY, JSON.stringify(state.engineSettings));
+    } catch (e) {
+      console.warn("Could not save engine settings:", e);
+    }
+  }, [state.engineSettings]);
+  
   // Get current position based on move index from reportResults, fall back to positions
   const currentPosition = state.reportResults?.positions?.[state.currentMoveIndex] || 
                           state.positions[state.currentMoveIndex] || null;
   
-  // Function to traverse moves
+  // Function to traverse moves, also allowed while the report is still filling in
   const traverseMoves = (moveCount) => {
-    if (state.isAnalysisRunning || !state.reportResults) return;
+    if (!state.reportResults) return;
     
     const previousMoveIndex = state.currentMoveIndex;
     const positionsArray = state.reportResults?.positions || state.positions;
@@ -144,9 +335,11 @@ export const GameProvider = ({ children }) => {
     dispatch({ type: 'SET_CURRENT_MOVE_INDEX', payload: newIndex });
   };
   
-  // Handle moves based on whether we're viewing an engine line or not
+  // Handle moves based on whether we're viewing an engine line, a side line or the game
   const handleNextMove = () => {
-    if (state.activeEngineLine) {
+    if (state.activeSideLine) {
+      dispatch({ type: 'SET_SIDE_LINE_MOVE_INDEX', payload: state.activeSideLine.moveIndex + 1 });
+    } else if (state.activeEngineLine) {
       dispatch({ type: 'INCREMENT_ENGINE_MOVE_INDEX' });
     } else {
       traverseMoves(1);
@@ -154,7 +347,12 @@ export const GameProvider = ({ children }) => {
   };
   
   const handlePrevMove = () => {
-    if (state.activeEngineLine && state.engineMoveIndex > 0) {
+    if (state.activeSideLine && state.activeSideLine.moveIndex > 0) {
+      dispatch({ type: 'SET_SIDE_LINE_MOVE_INDEX', payload: state.activeSideLine.moveIndex - 1 });
+    } else if (state.activeSideLine) {
+      // Stepping back from the first side line move lands on the game position it branched from
+      dispatch({ type: 'SET_CURRENT_MOVE_INDEX', payload: state.activeSideLine.baseIndex });
+    } else if (state.activeEngineLine && state.engineMoveIndex > 0) {
       dispatch({ type: 'DECREMENT_ENGINE_MOVE_INDEX' });
     } else if (state.activeEngineLine) {
       // If we're at the start of an engine line, go back to the game
@@ -167,6 +365,21 @@ export const GameProvider = ({ children }) => {
   // Get the position to display based on whether we're showing an engine line
   // Fix for the getDisplayPosition function in GameContext.jsx
 const getDisplayPosition = () => {
+  if (state.activeSideLine) {
+    const { moves, moveIndex } = state.activeSideLine;
+    const node = moves[moveIndex];
+    
+    return {
+      fen: node.fen,
+      move: { san: node.san, uci: node.uci },
+      comments: node.comments,
+      nags: node.nags,
+      variations: node.variations,
+      topLines: node.topLines,
+      isSideLine: true
+    };
+  }
+  
   if (!state.activeEngineLine) {
     return currentPosition;
   }
@@ -176,60 +389,15 @@ const getDisplayPosition = () => {
     const basePosition = currentPosition;
     if (!basePosition) return null;
     
-    // Create a chess instance to apply engine moves
-    const chess = new Chess(basePosition.fen);
-    
-    // Apply the initial engine move
-    const line = state.activeEngineLine;
-    if (line.moveUCI) {
-      const from = line.moveUCI.slice(0, 2);
-      const to = line.moveUCI.slice(2, 4);
-      const promotion = line.moveUCI.length > 4 ? line.moveUCI.slice(4) : undefined;
-      
-      try {
-        chess.move({ from, to, promotion });
-      } catch (moveError) {
-        console.warn("Failed to apply initial engine move:", moveError);
-        return currentPosition;
-      }
-    }
-    
-    // Apply future moves up to engineMoveIndex
-    if (line.futureMoves && state.engineMoveIndex > 0) {
-      for (let i = 0; i < state.engineMoveIndex && i < line.futureMoves.length; i++) {
-        try {
-          // First try applying the move directly (SAN format)
-          chess.move(line.futureMoves[i]);
-        } catch (sanMoveError) {
-          // If that fails and we have UCI format, try that
-          if (line.futureMoveUCIs && line.futureMoveUCIs[i]) {
-            try {
-              const futureMoveUCI = line.futureMoveUCIs[i];
-              const from = futureMoveUCI.slice(0, 2);
-              const to = futureMoveUCI.slice(2, 4);
-              const promotion = futureMoveUCI.length > 4 ? futureMoveUCI.slice(4) : undefined;
-              
-              chess.move({ from, to, promotion });
-            } catch (uciMoveError) {
-              console.warn(`Failed to apply future move at index ${i}:`, uciMoveError);
-              // Stop applying moves if one fails
-              break;
-            }
-          } else {
-            console.warn(`Failed to apply future move at index ${i}:`, sanMoveError);
-            // Stop applying moves if one fails
-            break;
-          }
-        }
-      }
-    }
+    const moves = playEngineLine(basePosition.fen, state.activeEngineLine, state.engineMoveIndex);
+    if (moves.length === 0) return currentPosition;
     
     // Return a position object with the calculated FEN
     return {
       ...basePosition,
-      fen: chess.fen(),
+      fen: moves[moves.length - 1].fen,
       isEngineLine: true,
-      activeVariation: line.id,
+      activeVariation: state.activeEngineLine.id,
       variationDepth: state.engineMoveIndex
     };
   } catch (error) {
@@ -239,6 +407,58 @@ const getDisplayPosition = () => {
 }
   const displayPosition = getDisplayPosition();
   
+  /**
+   * Play a move on the displayed position. The game's own next move steps
+   * along the game; anything else is kept as a user variation, extending the
+   * one being viewed when it is played from its last move
+   * @param {object} move - Move: { from, to, promotion }
+   * @returns {object|null} - Move played, null when it is illegal
+   */
+  const playUserMove = (move) => {
+    if (!state.reportResults || !displayPosition?.fen) return null;
+    
+    const result = playMove(displayPosition.fen, move);
+    if (!result) return null;
+    
+    const node = createMoveNode(result);
+    const newVariation = (baseIndex, moves) => ({
+      id: `variation-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      baseIndex,
+      moves
+    });
+    let variation;
+    
+    if (state.activeSideLine) {
+      const { baseIndex, moves, moveIndex, userVariationId } = state.activeSideLine;
+      
+      if (moves[moveIndex + 1]?.uci === result.uci) {
+        dispatch({ type: 'SET_SIDE_LINE_MOVE_INDEX', payload: moveIndex + 1 });
+        return result;
+      }
+      
+      variation = userVariationId && moveIndex === moves.length - 1
+        ? { id: userVariationId, baseIndex, moves: [...moves, node] }
+        : newVariation(baseIndex, [...moves.slice(0, moveIndex + 1), node]);
+    } else if (state.activeEngineLine) {
+      const lineMoves = playEngineLine(currentPosition.fen, state.activeEngineLine, state.engineMoveIndex);
+      variation = newVariation(state.currentMoveIndex, [...lineMoves.map(createMoveNode), node]);
+    } else {
+      if (state.reportResults.positions[state.currentMoveIndex + 1]?.move?.uci === result.uci) {
+        traverseMoves(1);
+        return result;
+      }
+      
+      variation = newVariation(state.currentMoveIndex, [node]);
+    }
+    
+    dispatch({
+      type: 'SAVE_USER_VARIATION',
+      payload: { variation, moveIndex: variation.moves.length - 1 }
+    });
+    
+    return result;
+  };
+  
   // Expose state and dispatch functions
   const value = {
     ...state,
@@ -247,14 +467,18 @@ const getDisplayPosition = () => {
     dispatch,
     traverseMoves,
     goToStart: () => {
-      if (state.activeEngineLine) {
+      if (state.activeSideLine) {
+        dispatch({ type: 'SET_SIDE_LINE_MOVE_INDEX', payload: 0 });
+      } else if (state.activeEngineLine) {
         dispatch({ type: 'SET_ENGINE_MOVE_INDEX', payload: 0 });
       } else {
         traverseMoves(-Infinity);
       }
     },
     goToEnd: () => {
-      if (state.activeEngineLine && state.activeEngineLine.futureMoves) {
+      if (state.activeSideLine) {
+        dispatch({ type: 'SET_SIDE_LINE_MOVE_INDEX', payload: Infinity });
+      } else if (state.activeEngineLine && state.activeEngineLine.futureMoves) {
         dispatch({ 
           type: 'SET_ENGINE_MOVE_INDEX', 
           payload: state.activeEngineLine.futureMoves.length 
@@ -277,12 +501,42 @@ const getDisplayPosition = () => {
     }),
     clearActiveEngineLine: () => dispatch({ type: 'CLEAR_ACTIVE_ENGINE_LINE' }),
     isViewingEngineLine: !!state.activeEngineLine,
+    // PGN side lines
+    enterSideLine: (baseIndex, moves, moveIndex = 0, userVariationId = null) => dispatch({
+      type: 'ENTER_SIDE_LINE',
+      payload: { baseIndex, moves, moveIndex, userVariationId }
+    }),
+    exitSideLine: () => dispatch({ type: 'EXIT_SIDE_LINE' }),
+    isViewingSideLine: !!state.activeSideLine,
+    // Variations played on the board
+    playUserMove,
+    deleteUserVariation: (id) => dispatch({ type: 'DELETE_USER_VARIATION', payload: id }),
+    // Arrows and highlights drawn on the board
+    setPositionAnnotations: (fen, annotations) => dispatch({
+      type: 'SET_POSITION_ANNOTATIONS',
+      payload: { fen, annotations }
+    }),
     // Sound functionality
     toggleSound: () => dispatch({ type: 'TOGGLE_SOUND' }),
     setSoundVolume: (volume) => dispatch({ 
       type: 'SET_SOUND_VOLUME', 
       payload: Math.min(Math.max(volume, 0), 1) 
     }),
+    // Live analysis
+    toggleLiveAnalysis: () => dispatch({ type: 'TOGGLE_LIVE_ANALYSIS' }),
+    // Engine profile
+    setEngineSettings: (settings) => dispatch({
+      type: 'SET_ENGINE_SETTINGS',
+      payload: settings
+    }),
+    // Batch analysis queue
+    queueBatchGames: (games) => dispatch({ type: 'QUEUE_BATCH_GAMES', payload: games }),
+    updateBatchGame: (id, changes) => dispatch({
+      type: 'UPDATE_BATCH_GAME',
+      payload: { id, changes }
+    }),
+    removeBatchGame: (id) => dispatch({ type: 'REMOVE_BATCH_GAME', payload: id }),
+    clearFinishedBatchGames: () => dispatch({ type: 'CLEAR_FINISHED_BATCH_GAMES' }),
   };
   
   return (
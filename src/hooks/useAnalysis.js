@@ -1,12 +1,47 @@
 import { useState, useCallback } from 'react';
 import { useGameContext } from '../contexts/GameContext';
 import { parsePgn, generateReport } from '../services/apiService';
-import { evaluatePositions, generateAnalysisReport } from '../services/analysisService';
-import { parsePgnToPositions } from '../utils/pgnParser';
-import { parseSimplePgn } from '../utils/simplePgnParser';
-import { tryExactMatch } from '../utils/robustPgnParser';
-import { Chess } from 'chess.js';
-import Stockfish from '../services/stockfishService';
+import { 
+  evaluatePositions, 
+  generateAnalysisReport, 
+  isPositionEvaluated, 
+  findUncertainPositions 
+} from '../services/analysisService';
+import { extractPlayerInfo, readPgnHeaders } from '../utils/pgnGames';
+import { parseAnnotatedPgn, describeIllegalMove } from '../utils/pgnTreeParser';
+import { exportAnnotatedPgn } from '../utils/pgnExport';
+import { collectAnnotations } from '../utils/boardAnnotations';
+import { createAbortError, isAbortError } from '../services/stockfishService';
+import { EngineProvenance, SearchLimit } from '../utils/constants';
+import { evaluateGamePositions, deepenUncertainPositions } from '../services/gameEvaluationService';
+import { createSession, saveSessionCheckpoint, deleteSession } from '../services/sessionService';
+
+// Controller of the analysis in progress, shared by every component using this hook
+let activeAnalysisController = null;
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} signal - Signal to check
+ */
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+};
+
+/**
+ * Player details of a game, from the parser when it found them, otherwise from the PGN headers
+ * @param {string} pgn - Game PGN
+ * @param {object} playerInfo - White and black details returned by a parser
+ * @returns {object} - whitePlayer and blackPlayer profiles
+ */
+const readPlayers = (pgn, playerInfo = null) => {
+  const { white, black } = playerInfo || extractPlayerInfo(pgn);
+  return { whitePlayer: white, blackPlayer: black };
+};
+
+// Minimum time between two progressive report updates while the engine runs
+const REPORT_REFRESH_MS = 500;
 
 /**
  * Hook to handle chess game analysis logic
@@ -19,11 +54,34 @@ const useAnalysis = () => {
     reportResults,
     whitePlayer, 
     blackPlayer,
-    showEngineMoves
+    gameHeaders,
+    showEngineMoves,
+    engineSettings,
+    userVariations,
+    boardAnnotations
   } = useGameContext();
   
   const [error, setError] = useState(null);
   
+  /**
+   * Generate a report from evaluated positions, some of which may still be pending
+   * @param {Array} positions - Positions evaluated so far
+   * @param {object} settings - Engine profile the positions were evaluated with, kept for retries
+   * @returns {object} - Analysis report
+   */
+  const buildReport = useCallback((positions, settings) => {
+    // Copies keep earlier reports unchanged when classifications are recomputed
+    const report = generateAnalysisReport(positions.map(position => ({ ...position })));
+    
+    // Add settings for engine moves visibility
+    report.settings = {
+      showEngineMoves: showEngineMoves
+    };
+    report.engineSettings = settings;
+    
+    return report;
+  }, [showEngineMoves]);
+  
   /**
    * Reset the analysis state
    */
@@ -33,346 +91,152 @@ const useAnalysis = () => {
   }, [dispatch]);
   
   /**
-   * Most direct method to parse PGN with chess.js
+   * Evaluate positions with the saved engine profile unless another is given
+   * @param {Array} positions - Array of positions to evaluate
+   * @param {number} depth - Evaluation depth
+   * @param {Function} progressCallback - Callback for progress updates
+   * @param {object} options - Options passed to evaluateGamePositions
+   * @returns {Promise<Array>} - Array of evaluated positions
+   */
+  const evaluateWithStockfish = useCallback((positions, depth, progressCallback, { settings = engineSettings, ...options } = {}) => {
+    return evaluateGamePositions(positions, depth, settings, progressCallback, options);
+  }, [engineSettings]);
+  
+  /**
+   * Evaluate the positions of a session that are still missing and publish the report.
+   * Each evaluated position is checkpointed so a reload can resume the session.
+   * @param {object} session - Session created by createSession, possibly restored
+   * @param {AbortSignal} signal - Stops the analysis; finished positions are kept
+   * @returns {Promise<Array>} - Evaluated positions
    */
-  const parseWithChessJs = (pgn) => {
+  const evaluateGame = useCallback(async (session, signal) => {
+    const { positions, depth, settings } = session;
+    
+    // Pending progressive report update
+    let reportTimer = null;
+    
     try {
-      // Format headers properly
-      const headerRegex = /\[(.*?)\s+"(.*?)"\]/g;
-      let match;
-      let headers = [];
-      
-      // Extract headers
-      while ((match = headerRegex.exec(pgn)) !== null) {
-        headers.push(`[${match[1]} "${match[2]}"]`);
-      }
-      
-      // Format headers with newlines
-      const formattedHeaders = headers.join('\n') + '\n\n';
-      
-      // Extract moves and clean them
-      let movesText = pgn.replace(/\[(.*?)\s+"(.*?)"\]/g, '').trim();
-      movesText = movesText
-        .replace(/\{[^}]*\}/g, '') // Remove comments
-        .replace(/\$\d+/g, '')     // Remove NAGs
-        .replace(/\s+/g, ' ')      // Normalize whitespace
-        .trim();
-      
-      // Create properly formatted PGN
-      const formattedPgn = formattedHeaders + movesText;
-      
-      // Now parse with chess.js
-      const chess = new Chess();
+      dispatch({ type: 'SET_POSITIONS', payload: positions });
+      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Evaluating positions...' });
+      saveSessionCheckpoint(session);
       
-      if (!chess.loadPgn(formattedPgn, { sloppy: true })) {
-        throw new Error('chess.js could not load the PGN');
-      }
+      // The report fills in move by move so the game can be reviewed while the engine runs
+      let latestEvaluated = positions;
+      const publishPartialReport = () => {
+        reportTimer = null;
+        dispatch({ type: 'SET_REPORT_RESULTS', payload: buildReport(latestEvaluated, settings) });
+      };
       
-      // Extract player info from headers
-      const headerObj = chess.header();
-      const playerInfo = {
-        white: {
-          username: headerObj.White || 'White Player',
-          rating: headerObj.WhiteElo || '?'
-        },
-        black: {
-          username: headerObj.Black || 'Black Player',
-          rating: headerObj.BlackElo || '?'
+      // Progress of one pass, scaled into its share of the bar
+      const trackPass = (start, share) => (progress, evaluatedSoFar) => {
+        dispatch({ type: 'SET_ANALYSIS_PROGRESS', payload: start + progress * share / 100 });
+        saveSessionCheckpoint({ ...session, positions: evaluatedSoFar });
+        
+        latestEvaluated = evaluatedSoFar;
+        if (!reportTimer) {
+          reportTimer = setTimeout(publishPartialReport, REPORT_REFRESH_MS);
         }
       };
       
-      // Get move history
-      const history = chess.history({ verbose: true });
-      
-      // Reset chess instance
-      chess.reset();
-      
-      // Generate positions array
-      const positions = [{ fen: chess.fen() }];
+      // Two-pass mode searches every position shallowly first
+      const isTwoPass = settings.adaptiveDepth 
+        && settings.searchLimit === SearchLimit.DEPTH 
+        && settings.quickDepth < depth;
+      const firstPassShare = isTwoPass ? 70 : 100;
       
-      // Apply each move and record positions
-      for (const move of history) {
-        chess.move(move);
-        positions.push({
-          fen: chess.fen(),
-          move: {
-            san: move.san,
-            uci: move.from + move.to + (move.promotion || '')
-          }
-        });
-      }
+      // A resumed session only searches what it hadn't reached, starting from the first gap
+      const pendingIndices = positions
+        .map((position, index) => isPositionEvaluated(position) ? -1 : index)
+        .filter(index => index !== -1);
+      const doneShare = firstPassShare * (positions.length - pendingIndices.length) / positions.length;
       
-      // Update player info
-      dispatch({ 
-        type: 'SET_PLAYERS', 
-        payload: {
-          whitePlayer: playerInfo.white,
-          blackPlayer: playerInfo.black
-        }
-      });
+      // Use Stockfish for evaluation
+      let evaluated = await evaluateWithStockfish(
+        positions, 
+        isTwoPass ? settings.quickDepth : depth,
+        trackPass(doneShare, firstPassShare - doneShare),
+        { signal, indices: pendingIndices, settings }
+      );
       
-      return positions;
-    } catch (error) {
-      console.error('Direct chess.js parsing failed:', error);
-      throw error;
-    }
-  };
-
-  /**
-   * Fallback parser for problematic PGNs
-   */
-  const emergencyParsePgn = (pgn) => {
-    console.log("Attempting emergency parsing for problematic PGN");
-    
-    // Get player info from headers if available
-    const whiteMatch = pgn.match(/\[White\s+"([^"]+)"/);
-    const blackMatch = pgn.match(/\[Black\s+"([^"]+)"/);
-    const whiteEloMatch = pgn.match(/\[WhiteElo\s+"([^"]+)"/);
-    const blackEloMatch = pgn.match(/\[BlackElo\s+"([^"]+)"/);
-    
-    const playerInfo = {
-      white: {
-        username: whiteMatch ? whiteMatch[1] : 'White Player',
-        rating: whiteEloMatch ? whiteEloMatch[1] : '?'
-      },
-      black: {
-        username: blackMatch ? blackMatch[1] : 'Black Player',
-        rating: blackEloMatch ? blackEloMatch[1] : '?'
-      }
-    };
-    
-    // Reformat PGN more aggressively
-    const headerLines = [];
-    const headerMatches = pgn.matchAll(/\[(.*?)\s+"(.*?)"\]/g);
-    for (const match of headerMatches) {
-      headerLines.push(`[${match[1]} "${match[2]}"]`);
-    }
-    
-    const formattedHeaders = headerLines.join('\n') + '\n\n';
-    
-    // Clean up the PGN aggressively
-    let movesText = pgn.replace(/\[(.*?)\s+"(.*?)"\]/g, '').trim();
-    movesText = movesText
-      .replace(/\{[^}]*\}/g, '')      // Remove all comments
-      .replace(/\([^)]*\)/g, '')      // Remove variations
-      .replace(/\$\d+/g, '')          // Remove NAGs
-      .replace(/Cannot\s+move/gi, '') // Remove problematic text
-      .replace(/Invalid\s+move/gi, '')
-      .replace(/Illegal\s+move/gi, '')
-      .replace(/\s+(?:1-0|0-1|1\/2-1\/2|\*)\s*$/, '') // Remove result
-      .replace(/\s+/g, ' ')           // Normalize whitespace
-      .trim();
-    
-    const formattedPgn = formattedHeaders + movesText;
-    
-    // Try with the formatted PGN first
-    try {
-      const chess = new Chess();
-      if (chess.loadPgn(formattedPgn, { sloppy: true })) {
-        const history = chess.history({ verbose: true });
-        chess.reset();
+      // Second pass: only positions whose quick result is uncertain get the full depth
+      if (isTwoPass && !signal.aborted) {
+        const uncertainIndices = findUncertainPositions(buildReport(evaluated).positions);
         
-        const positions = [{ fen: chess.fen() }];
-        for (const move of history) {
-          chess.move(move);
-          positions.push({
-            fen: chess.fen(),
-            move: {
-              san: move.san,
-              uci: move.from + move.to + (move.promotion || '')
-            }
+        if (uncertainIndices.length > 0) {
+          dispatch({ 
+            type: 'SET_ANALYSIS_STATUS', 
+            payload: `Deepening ${uncertainIndices.length} critical positions...` 
           });
-        }
-        
-        // If we got at least some moves, return the positions
-        if (positions.length > 1) {
-          return { positions, playerInfo };
+          
+          evaluated = await deepenUncertainPositions(
+            evaluated,
+            uncertainIndices,
+            depth,
+            settings,
+            trackPass(70, 30),
+            { signal }
+          );
         }
       }
-    } catch (e) {
-      console.warn("Formatted PGN parsing failed:", e);
-    }
-    
-    // Extract raw moves using regex if formatted attempt failed
-    const chess = new Chess();
-    const positions = [{ fen: chess.fen() }];
-    
-    // Try multiple regex patterns to extract as many valid moves as possible
-    const patterns = [
-      // Standard algebraic notation pattern
-      /\b([KQRBNP]?[a-h]?[1-8]?x?[a-h][1-8](?:=[QRBNP])?[+#]?)\b/g,
       
-      // Numbered moves pattern
-      /\b\d+\.\s+([KQRBNP]?[a-h]?[1-8]?x?[a-h][1-8](?:=[QRBNP])?[+#]?)\s+(?:([KQRBNP]?[a-h]?[1-8]?x?[a-h][1-8](?:=[QRBNP])?[+#]?))?/g,
-    ];
-    
-    const allPotentialMoves = [];
-    
-    // Try all patterns to extract moves
-    for (const pattern of patterns) {
-      let match;
-      while ((match = pattern.exec(movesText)) !== null) {
-        // Extract all capturing groups (different patterns have different group structure)
-        for (let i = 1; i < match.length; i++) {
-          if (match[i]) allPotentialMoves.push(match[i]);
-        }
-      }
-    }
-    
-    // Try to apply each potential move
-    for (const moveText of allPotentialMoves) {
-      try {
-        const result = chess.move(moveText, { sloppy: true });
-        if (result) {
-          positions.push({
-            fen: chess.fen(),
-            move: {
-              san: result.san,
-              uci: result.from + result.to + (result.promotion || '')
-            }
-          });
-        }
-      } catch (e) {
-        // Skip invalid moves
-      }
-    }
-    
-    // If we got at least some moves, return the positions
-    if (positions.length > 1) {
-      return { positions, playerInfo };
-    }
-    
-    // If all else fails, create a simple demo game
-    console.log("Creating simple demo game as fallback");
-    
-    // Reset and create a simple demo game
-    chess.reset();
-    positions.length = 0;
-    positions.push({ fen: chess.fen() });
-    
-    // Standard opening moves
-    const demoMoves = ['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Nf6', 'd3', 'd6', 'Nc3', 'Bg4'];
-    
-    for (const move of demoMoves) {
-      try {
-        const result = chess.move(move, { sloppy: true });
-        positions.push({
-          fen: chess.fen(),
-          move: {
-            san: result.san,
-            uci: result.from + result.to + (result.promotion || '')
-          }
+      clearTimeout(reportTimer);
+      reportTimer = null;
+      
+      // Keep the report of what was evaluated before the cancel
+      if (signal.aborted) {
+        const evaluatedCount = evaluated.filter(isPositionEvaluated).length;
+        const hasEvaluatedMoves = evaluatedCount > 1;
+        
+        dispatch({ type: 'SET_EVALUATED_POSITIONS', payload: hasEvaluatedMoves ? evaluated : [] });
+        dispatch({ type: 'SET_REPORT_RESULTS', payload: hasEvaluatedMoves ? buildReport(evaluated, settings) : null });
+        dispatch({ 
+          type: 'SET_ANALYSIS_STATUS', 
+          payload: `Analysis cancelled after ${Math.max(evaluatedCount - 1, 0)} of ${positions.length - 1} moves.` 
         });
-      } catch (e) {
-        // Skip if any move fails
-        break;
-      }
-    }
-    
-    // Return the positions and player info
-    return { positions, playerInfo };
-  };
-
-  /**
- * Evaluate positions using Stockfish with improved PV line extraction
- * @param {Array} positions - Array of positions to evaluate
- * @param {number} depth - Evaluation depth
- * @param {Function} progressCallback - Callback for progress updates
- * @returns {Promise<Array>} - Array of evaluated positions
- */
-const evaluateWithStockfish = async (positions, depth, progressCallback) => {
-  const evaluatedPositions = [...positions];
-  const total = positions.length;
-  let completedCount = 0;
-  const maxWorkers =10; // Reduced from 4 to prevent resource overload
-  let activeWorkers = 0;
-  
-  // Import the processEngineLines helper
-  const { processEngineLines } = await import('../utils/analysisHelpers');
-  const Stockfish = (await import('../services/stockfishService')).default;
-  
-  return new Promise((resolve) => {
-    const processNextPosition = async (index) => {
-      if (index >= total) {
-        if (activeWorkers === 0) {
-          resolve(evaluatedPositions);
-        }
-        return;
+        dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: false });
+        
+        return evaluated;
       }
       
-      // Skip positions with missing move data (except first position)
-      if (!positions[index].move && index > 0) {
-        console.warn(`Position at index ${index} is missing move data, skipping...`);
-        completedCount++;
-        progressCallback((completedCount / total) * 100);
-        activeWorkers--;
-        processNextPosition(index + maxWorkers);
-        return;
-      }
+      dispatch({ type: 'SET_EVALUATED_POSITIONS', payload: evaluated });
+      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Generating report...' });
       
-      activeWorkers++;
-      const position = positions[index];
+      // Simulate CAPTCHA verification with delay
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      throwIfAborted(signal);
       
-      try {
-        console.log(`Analyzing position ${index} with Stockfish, target depth ${depth}`);
-        
-        // Create Stockfish engine instance
-        const engine = new Stockfish();
-        let lines = await engine.evaluate(position.fen, depth);
-        
-        // Process the engine lines to convert UCI to SAN and prepare future moves
-        lines = processEngineLines(position.fen, lines);
-        
-        evaluatedPositions[index] = {
-          ...position,
-          topLines: lines,
-          worker: "stockfish"
-        };
-        
-        completedCount++;
-        progressCallback((completedCount / total) * 100);
-      } catch (error) {
-        console.error(`Error evaluating position ${index}:`, error);
-        // If evaluation fails, provide a basic evaluation
-        if (!evaluatedPositions[index].topLines) {
-          evaluatedPositions[index] = {
-            ...position,
-            topLines: [
-              {
-                id: 1,
-                depth: depth / 2, // Reduce depth for fallback
-                moveUCI: position.move?.uci || "e2e4",
-                moveSAN: position.move?.san || "e4",
-                evaluation: { type: "cp", value: 0 },
-                futureMoves: []
-              },
-              {
-                id: 2,
-                depth: depth / 2,
-                moveUCI: "d2d4",
-                moveSAN: "d4",
-                evaluation: { type: "cp", value: -10 },
-                futureMoves: []
-              }
-            ],
-            worker: "fallback"
-          };
-        }
-        
-        completedCount++;
-        progressCallback((completedCount / total) * 100);
-      }
+      // Generate report client-side; the move being reviewed is left where it is
+      dispatch({ type: 'SET_REPORT_RESULTS', payload: buildReport(evaluated, settings) });
       
-      activeWorkers--;
-      processNextPosition(index + maxWorkers);
-    };
-    
-    // Start initial worker threads
-    for (let i = 0; i < Math.min(maxWorkers, positions.length); i++) {
-      processNextPosition(i);
+      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Analysis complete.' });
+      dispatch({ type: 'SET_ANALYSIS_PROGRESS', payload: 100 });
+      dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: false });
+      
+      return evaluated;
+    } finally {
+      clearTimeout(reportTimer);
     }
-  });
-};
+  }, [dispatch, buildReport, evaluateWithStockfish]);
+  
+  /**
+   * Report a failed or cancelled analysis
+   * @param {Error} error - Error thrown by the analysis
+   * @returns {null} - When the analysis was cancelled
+   */
+  const handleAnalysisError = useCallback((error) => {
+    if (isAbortError(error)) {
+      dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: false });
+      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Analysis cancelled.' });
+      return null;
+    }
+    
+    console.error('Analysis failed:', error);
+    setError(error.message || 'Analysis failed');
+    dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: false });
+    dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Error: ' + error.message });
+    throw error;
+  }, [dispatch]);
+  
   /**
    * Start the analysis process with a PGN
    * @param {string} pgn - The PGN to analyze
@@ -381,6 +245,13 @@ const evaluateWithStockfish = async (positions, depth, progressCallback) => {
   const analyzePgn = useCallback(async (pgn, depth = 16) => {
     if (isAnalysisRunning) return;
     
+    const controller = new AbortController();
+    const { signal } = controller;
+    activeAnalysisController = controller;
+    
+    // Checkpoints are dropped once the analysis ends, however it ends
+    let sessionId = null;
+    
     try {
       resetAnalysis();
       dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: true });
@@ -388,152 +259,279 @@ const evaluateWithStockfish = async (positions, depth, progressCallback) => {
       
       // Simulate a delay for parsing PGN to give feedback to user
       await new Promise(resolve => setTimeout(resolve, 1000));
+      throwIfAborted(signal);
       
-      // Try multiple parsing methods in sequence
-      let positions = null;
-      let parsedPositions = null;
-      let errorMessage = '';
-      
-      // Method 0: Try exact match for problematic PGNs first 
-      try {
-        const exactMatch = tryExactMatch(pgn);
-        if (exactMatch) {
-          parsedPositions = exactMatch;
-          positions = parsedPositions.positions;
-          
-          // Update player info
-          dispatch({ 
-            type: 'SET_PLAYERS', 
-            payload: {
-              whitePlayer: parsedPositions.playerInfo.white,
-              blackPlayer: parsedPositions.playerInfo.black
-            }
-          });
-          
-          console.log("Parsed with exact match parser:", positions.length);
+      // AnalysisForm has already shown the user what the parser had to repair or skip
+      const parsedPositions = parseAnnotatedPgn(pgn);
+      const { positions, diagnostics } = parsedPositions;
+      
+      // A game whose first move is illegal leaves nothing to analyse
+      if (diagnostics.illegalMove) {
+        if (positions.length <= 1) {
+          throw new Error(describeIllegalMove(diagnostics.illegalMove));
         }
-      } catch (exactMatchError) {
-        console.warn("Exact match parsing failed, continuing with standard parsers...");
+        
+        console.warn(`Analysing the game up to the first illegal move. ${describeIllegalMove(diagnostics.illegalMove)}`);
       }
       
-      // Jika exact match tidak berhasil, lanjutkan dengan metode standar
-      if (!positions) {
-        // Method 1: Simplest direct approach with chess.js
-        try {
-          positions = parseWithChessJs(pgn);
-          console.log("Parsed positions directly with chess.js:", positions.length);
-        } catch (directError) {
-          errorMessage += `Direct parsing: ${directError.message}. `;
-          console.warn("Direct chess.js parsing failed, trying simple parser...");
-          
-          // Method 2: Simple dedicated parser
-          try {
-            parsedPositions = parseSimplePgn(pgn);
-            positions = parsedPositions.positions;
-            
-            // Update player info
-            dispatch({ 
-              type: 'SET_PLAYERS', 
-              payload: {
-                whitePlayer: parsedPositions.playerInfo.white,
-                blackPlayer: parsedPositions.playerInfo.black
-              }
-            });
-            
-            console.log("Parsed with simple parser:", positions.length);
-          } catch (simpleError) {
-            errorMessage += `Simple parser: ${simpleError.message}. `;
-            console.warn("Simple parser failed, trying advanced parser...");
-            
-            // Method 3: Advanced complex parser
-            try {
-              parsedPositions = parsePgnToPositions(pgn);
-              positions = parsedPositions.positions;
-              
-              // Update player info
-              dispatch({ 
-                type: 'SET_PLAYERS', 
-                payload: {
-                  whitePlayer: parsedPositions.playerInfo.white,
-                  blackPlayer: parsedPositions.playerInfo.black
-                }
-              });
-              
-              console.log("Parsed with advanced parser:", positions.length);
-            } catch (advancedError) {
-              errorMessage += `Advanced parser: ${advancedError.message}.`;
-              console.warn("All standard parsers failed, trying emergency parser...");
-              
-              // Method 4: Emergency fallback parser
-              try {
-                parsedPositions = emergencyParsePgn(pgn);
-                positions = parsedPositions.positions;
-                
-                // Update player info
-                dispatch({ 
-                  type: 'SET_PLAYERS', 
-                  payload: {
-                    whitePlayer: parsedPositions.playerInfo.white,
-                    blackPlayer: parsedPositions.playerInfo.black
-                  }
-                });
-                
-                console.log("Parsed with emergency parser:", positions.length);
-              } catch (emergencyError) {
-                errorMessage += ` Emergency parser: ${emergencyError.message}.`;
-                throw new Error(`All parsing methods failed. ${errorMessage}`);
-              }
-            }
-          }
+      // Update player info
+      dispatch({ 
+        type: 'SET_PLAYERS', 
+        payload: {
+          whitePlayer: parsedPositions.playerInfo.white,
+          blackPlayer: parsedPositions.playerInfo.black
         }
+      });
+      dispatch({ type: 'SET_GAME_HEADERS', payload: parsedPositions.tree.headers });
+      dispatch({ type: 'SET_BOARD_ANNOTATIONS', payload: collectAnnotations(parsedPositions.positions) });
+      
+      // Checkpointed in IndexedDB so a reload can pick the analysis up again
+      const session = createSession({
+        pgn,
+        depth,
+        settings: engineSettings,
+        ...readPlayers(pgn, parsedPositions.playerInfo),
+        headers: parsedPositions.tree.headers,
+        positions
+      });
+      sessionId = session.id;
+      
+      return await evaluateGame(session, signal);
+    } catch (error) {
+      return handleAnalysisError(error);
+    } finally {
+      if (sessionId) {
+        deleteSession(sessionId);
       }
       
-      if (!positions || positions.length <= 1) {
-        throw new Error('Failed to extract moves from PGN');
+      if (activeAnalysisController === controller) {
+        activeAnalysisController = null;
       }
+    }
+  }, [dispatch, isAnalysisRunning, resetAnalysis, engineSettings, evaluateGame, handleAnalysisError]);
+  
+  /**
+   * Continue an analysis interrupted by a reload from its last checkpoint,
+   * using the depth and engine profile it was started with
+   * @param {object} session - Session returned by getResumableSession
+   */
+  const resumeAnalysis = useCallback(async (session) => {
+    if (isAnalysisRunning || !session) return;
+    
+    const controller = new AbortController();
+    const { signal } = controller;
+    activeAnalysisController = controller;
+    
+    try {
+      resetAnalysis();
+      dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: true });
+      dispatch({ 
+        type: 'SET_PLAYERS', 
+        payload: {
+          whitePlayer: session.whitePlayer,
+          blackPlayer: session.blackPlayer
+        }
+      });
+      dispatch({ type: 'SET_GAME_HEADERS', payload: session.headers || readPgnHeaders(session.pgn) });
+      dispatch({ type: 'SET_BOARD_ANNOTATIONS', payload: collectAnnotations(session.positions) });
       
-      dispatch({ type: 'SET_POSITIONS', payload: positions });
-      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Evaluating positions...' });
+      return await evaluateGame(session, signal);
+    } catch (error) {
+      return handleAnalysisError(error);
+    } finally {
+      deleteSession(session.id);
+      
+      if (activeAnalysisController === controller) {
+        activeAnalysisController = null;
+      }
+    }
+  }, [dispatch, isAnalysisRunning, resetAnalysis, evaluateGame, handleAnalysisError]);
+  
+  /**
+   * Cancel the running analysis. Positions evaluated so far are kept.
+   */
+  const cancelAnalysis = useCallback(() => {
+    if (activeAnalysisController) {
+      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Cancelling analysis...' });
+      activeAnalysisController.abort();
+    }
+  }, [dispatch]);
+  
+  /**
+   * Re-run the engine on the positions it could not analyse and rebuild the report
+   */
+  const retryUnanalysedPositions = useCallback(async () => {
+    if (isAnalysisRunning || !reportResults) return;
+    
+    const positions = reportResults.positions;
+    const indices = positions
+      .map((position, index) => position.engineProvenance === EngineProvenance.UNAVAILABLE ? index : -1)
+      .filter(index => index !== -1);
+    
+    if (indices.length === 0) return;
+    
+    const depth = positions[indices[0]].requestedDepth || 16;
+    
+    // Same profile as the rest of the report; older saved reports don't record one
+    const settings = reportResults.engineSettings || engineSettings;
+    
+    const controller = new AbortController();
+    const { signal } = controller;
+    activeAnalysisController = controller;
+    
+    try {
+      dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: true });
+      dispatch({ type: 'SET_ANALYSIS_PROGRESS', payload: 0 });
+      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: `Retrying ${indices.length} positions...` });
       
-      // Use Stockfish for evaluation
       const evaluated = await evaluateWithStockfish(
-        positions, 
+        positions,
         depth,
         (progress) => {
           dispatch({ type: 'SET_ANALYSIS_PROGRESS', payload: progress });
-        }
+        },
+        { signal, indices, settings }
       );
       
-      dispatch({ type: 'SET_EVALUATED_POSITIONS', payload: evaluated });
-      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Generating report...' });
+      // Positions retried before a cancel are kept; the rest stay unanalysed
+      const report = buildReport(evaluated, settings);
       
-      // Simulate CAPTCHA verification with delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
+      dispatch({ type: 'SET_EVALUATED_POSITIONS', payload: evaluated });
+      dispatch({ type: 'SET_REPORT_RESULTS', payload: report });
       
-      // Generate report client-side
-      const report = generateAnalysisReport(evaluated);
+      const stillUnanalysed = report.unanalysedPositions.length;
+      dispatch({ 
+        type: 'SET_ANALYSIS_STATUS', 
+        payload: signal.aborted
+          ? 'Retry cancelled.'
+          : stillUnanalysed > 0 
+            ? `${stillUnanalysed} moves still could not be analysed.` 
+            : 'Analysis complete.' 
+      });
+    } catch (error) {
+      console.error('Retry failed:', error);
+      setError(error.message || 'Retry failed');
+    } finally {
+      if (activeAnalysisController === controller) {
+        activeAnalysisController = null;
+      }
+      dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: false });
+    }
+  }, [dispatch, isAnalysisRunning, reportResults, engineSettings, buildReport, evaluateWithStockfish]);
+  
+  /**
+   * Search one move again with a stronger limit. Only the positions before and
+   * after the move are re-run; the report is then rebuilt from the stored lines.
+   * @param {number} moveIndex - Index of the position reached by the move
+   * @param {object} limit - Search limit overriding the profile, e.g. { searchLimit, depth } or { searchLimit, movetime }
+   */
+  const deepenMove = useCallback(async (moveIndex, limit) => {
+    if (isAnalysisRunning || !reportResults || moveIndex <= 0) return;
+    
+    const positions = reportResults.positions;
+    if (!positions[moveIndex]) return;
+    
+    const settings = { ...engineSettings, ...limit };
+    const moveSan = positions[moveIndex].move?.san || 'move';
+    
+    const controller = new AbortController();
+    const { signal } = controller;
+    activeAnalysisController = controller;
+    
+    try {
+      dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: true });
+      dispatch({ type: 'SET_ANALYSIS_PROGRESS', payload: 0 });
+      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: `Deepening ${moveSan}...` });
       
-      // Add settings for engine moves visibility
-      report.settings = {
-        showEngineMoves: showEngineMoves
-      };
+      const evaluated = await evaluateWithStockfish(
+        positions,
+        settings.depth,
+        (progress) => {
+          dispatch({ type: 'SET_ANALYSIS_PROGRESS', payload: progress });
+        },
+        { signal, indices: [moveIndex - 1, moveIndex], settings }
+      );
       
-      dispatch({ type: 'SET_REPORT_RESULTS', payload: report });
-      dispatch({ type: 'SET_CURRENT_MOVE_INDEX', payload: 0 });
+      // Half a deeper search would mix two depths in one classification
+      if (signal.aborted) {
+        dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Deepening cancelled.' });
+        return;
+      }
       
-      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Analysis complete.' });
-      dispatch({ type: 'SET_ANALYSIS_PROGRESS', payload: 100 });
+      dispatch({ type: 'SET_EVALUATED_POSITIONS', payload: evaluated });
+      dispatch({ type: 'SET_REPORT_RESULTS', payload: buildReport(evaluated, reportResults.engineSettings) });
+      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: `${moveSan} re-analysed.` });
+    } catch (error) {
+      console.error('Deepening failed:', error);
+      setError(error.message || 'Deepening failed');
+    } finally {
+      if (activeAnalysisController === controller) {
+        activeAnalysisController = null;
+      }
       dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: false });
+    }
+  }, [dispatch, isAnalysisRunning, reportResults, engineSettings, buildReport, evaluateWithStockfish]);
+  
+  /**
+   * Evaluate the moves of a user variation that have no engine lines yet.
+   * The variation is searched like a game starting from the position it branches from.
+   * @param {string} id - Id of the user variation
+   */
+  const evaluateUserVariation = useCallback(async (id) => {
+    const variation = userVariations.find(userVariation => userVariation.id === id);
+    if (isAnalysisRunning || !reportResults || !variation) return;
+    
+    const positions = [
+      { fen: reportResults.positions[variation.baseIndex].fen },
+      ...variation.moves.map(node => ({ fen: node.fen, move: { san: node.san, uci: node.uci } }))
+    ];
+    
+    // Moves evaluated before keep their lines
+    const indices = variation.moves
+      .map((node, index) => (node.topLines ? null : index + 1))
+      .filter(index => index !== null);
+    
+    if (indices.length === 0) return;
+    
+    const controller = new AbortController();
+    const { signal } = controller;
+    activeAnalysisController = controller;
+    
+    try {
+      dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: true });
+      dispatch({ type: 'SET_ANALYSIS_PROGRESS', payload: 0 });
+      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Evaluating your variation...' });
       
-      return evaluated;
+      const evaluated = await evaluateWithStockfish(
+        positions,
+        engineSettings.depth,
+        (progress) => {
+          dispatch({ type: 'SET_ANALYSIS_PROGRESS', payload: progress });
+        },
+        { signal, indices }
+      );
+      
+      // Each move stands on its own, so moves finished before a cancel are kept
+      const evaluations = variation.moves.map((node, index) => {
+        const { topLines, engineProvenance, requestedDepth } = evaluated[index + 1];
+        return topLines ? { topLines, engineProvenance, requestedDepth } : null;
+      });
+      
+      dispatch({ type: 'SET_USER_VARIATION_EVALUATIONS', payload: { id, evaluations } });
+      dispatch({
+        type: 'SET_ANALYSIS_STATUS',
+        payload: signal.aborted ? 'Variation evaluation cancelled.' : 'Variation evaluated.'
+      });
     } catch (error) {
-      console.error('Analysis failed:', error);
-      setError(error.message || 'Analysis failed');
+      console.error('Variation evaluation failed:', error);
+      setError(error.message || 'Variation evaluation failed');
+    } finally {
+      if (activeAnalysisController === controller) {
+        activeAnalysisController = null;
+      }
       dispatch({ type: 'SET_ANALYSIS_RUNNING', payload: false });
-      dispatch({ type: 'SET_ANALYSIS_STATUS', payload: 'Error: ' + error.message });
-      throw error;
     }
-  }, [dispatch, isAnalysisRunning, resetAnalysis, showEngineMoves]);
+  }, [dispatch, isAnalysisRunning, reportResults, engineSettings, userVariations, evaluateWithStockfish]);
   
   /**
    * Generate a final report from evaluated positions
@@ -579,7 +577,7 @@ const evaluateWithStockfish = async (positions, depth, progressCallback) => {
    */
   const loadSavedAnalysis = useCallback((analysisJson) => {
     try {
-      const { players, results, settings } = analysisJson;
+      const { players, results, settings, headers, userVariations, boardAnnotations } = analysisJson;
       
       if (!players || !results) {
         throw new Error('Invalid analysis file');
@@ -590,6 +588,9 @@ const evaluateWithStockfish = async (positions, depth, progressCallback) => {
         blackPlayer: players.black
       }});
       
+      // Reports saved before headers were kept only know the players
+      dispatch({ type: 'SET_GAME_HEADERS', payload: headers || {} });
+      
       // Load engine moves visibility setting if available
       if (settings && settings.showEngineMoves !== undefined) {
         dispatch({ 
@@ -601,6 +602,9 @@ const evaluateWithStockfish = async (positions, depth, progressCallback) => {
       dispatch({ type: 'SET_POSITIONS', payload: results.positions });
       dispatch({ type: 'SET_REPORT_RESULTS', payload: results });
       dispatch({ type: 'SET_CURRENT_MOVE_INDEX', payload: 0 });
+      dispatch({ type: 'SET_USER_VARIATIONS', payload: userVariations || [] });
+      // Files saved before drawing on the board still have the arrows of their PGN
+      dispatch({ type: 'SET_BOARD_ANNOTATIONS', payload: boardAnnotations || collectAnnotations(results.positions) });
       
       return true;
     } catch (error) {
@@ -623,7 +627,10 @@ const evaluateWithStockfish = async (positions, depth, progressCallback) => {
         white: whitePlayer,
         black: blackPlayer
       },
+      headers: gameHeaders,
       results: reportResults,
+      userVariations,
+      boardAnnotations,
       settings: {
         showEngineMoves: showEngineMoves
       }
@@ -636,13 +643,49 @@ const evaluateWithStockfish = async (positions, depth, progressCallback) => {
     window.open(url);
     
     return savedAnalysis;
-  }, [reportResults, whitePlayer, blackPlayer, showEngineMoves]);
+  }, [reportResults, whitePlayer, blackPlayer, gameHeaders, userVariations, boardAnnotations, showEngineMoves]);
+  
+  /**
+   * Download the reviewed game as annotated PGN
+   */
+  const exportPgn = useCallback(() => {
+    if (!reportResults) {
+      setError('No analysis to export');
+      return null;
+    }
+    
+    const pgn = exportAnnotatedPgn(
+      reportResults,
+      { white: whitePlayer, black: blackPlayer },
+      gameHeaders,
+      boardAnnotations
+    );
+    
+    const blob = new Blob([pgn], {"type": "application/x-chess-pgn"});
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${whitePlayer.username} vs ${blackPlayer.username}.pgn`.replace(/[\\/:*?"<>|]/g, '_');
+    link.click();
+    
+    // Revoke once the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    
+    return pgn;
+  }, [reportResults, whitePlayer, blackPlayer, gameHeaders, boardAnnotations]);
   
   return {
     analyzePgn,
+    cancelAnalysis,
+    retryUnanalysedPositions,
+    deepenMove,
+    evaluateUserVariation,
+    resumeAnalysis,
     generateFinalReport,
     loadSavedAnalysis,
     saveAnalysis,
+    exportPgn,
     error,
     isAnalysisRunning,
     resetAnalysis
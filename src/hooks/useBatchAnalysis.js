@@ -0,0 +1,136 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { useGameContext } from '../contexts/GameContext';
+import { analyseGamePgn } from '../services/batchAnalysisService';
+import { saveLibraryGame } from '../services/libraryService';
+import { isAbortError } from '../services/stockfishService';
+import { extractPlayerInfo, splitPgnGames } from '../utils/pgnGames';
+import { BatchStatus } from '../utils/constants';
+
+let nextBatchId = 1;
+
+/**
+ * Create a queue entry for a game
+ * @param {string} pgn - PGN of a single game
+ * @returns {object} - Queued game
+ */
+const createBatchGame = (pgn) => {
+  const { white, black } = extractPlayerInfo(pgn);
+
+  return {
+    id: `batch-${nextBatchId++}`,
+    pgn,
+    white,
+    black,
+    status: BatchStatus.QUEUED,
+    progress: 0,
+    error: null,
+    libraryId: null
+  };
+};
+
+/**
+ * Hook running the batch queue: queued games are analysed one after another
+ * in the background and each finished report goes into the local library.
+ * The queue gives way to the displayed game, whose analysis always runs first.
+ * Call it once, from the panel that stays mounted; other components get its
+ * functions as props.
+ * @returns {object} - Functions to queue games and cancel one
+ */
+const useBatchAnalysis = () => {
+  const {
+    batchQueue,
+    isAnalysisRunning,
+    engineSettings,
+    dispatch
+  } = useGameContext();
+
+  // Dispatched here: the context's actions are created again on every render and
+  // would re-run the effect below each time
+  const updateBatchGame = useCallback((id, changes) => {
+    dispatch({ type: 'UPDATE_BATCH_GAME', payload: { id, changes } });
+  }, [dispatch]);
+
+  // The game being analysed: { id, controller, cancelled }
+  const activeRef = useRef(null);
+
+  const runningGame = batchQueue.find(game => game.status === BatchStatus.RUNNING);
+  const nextGame = batchQueue.find(game => game.status === BatchStatus.QUEUED);
+
+  // Stop the background game when the displayed game is analysed; it goes back in the queue
+  useEffect(() => {
+    if (isAnalysisRunning) {
+      activeRef.current?.controller.abort();
+    }
+  }, [isAnalysisRunning]);
+
+  // Abort on unmount so no worker keeps searching for a queue nobody shows
+  useEffect(() => {
+    return () => activeRef.current?.controller.abort();
+  }, []);
+
+  // Start the next queued game once nothing else is running. Queue updates such
+  // as progress re-run this effect, but a running game keeps it from starting another.
+  useEffect(() => {
+    if (isAnalysisRunning || runningGame || !nextGame) return;
+
+    const active = { id: nextGame.id, controller: new AbortController(), cancelled: false };
+    activeRef.current = active;
+
+    updateBatchGame(nextGame.id, { status: BatchStatus.RUNNING, progress: 0, error: null });
+
+    analyseGamePgn(nextGame.pgn, engineSettings, {
+      signal: active.controller.signal,
+      onProgress: progress => updateBatchGame(nextGame.id, { progress })
+    })
+      .then(async (analysis) => {
+        const libraryId = await saveLibraryGame(analysis, nextGame.pgn);
+        updateBatchGame(nextGame.id, { status: BatchStatus.DONE, progress: 100, libraryId });
+      })
+      .catch(error => {
+        if (isAbortError(error)) {
+          updateBatchGame(nextGame.id, {
+            status: active.cancelled ? BatchStatus.CANCELLED : BatchStatus.QUEUED,
+            progress: 0
+          });
+          return;
+        }
+
+        console.error(`Batch analysis of ${nextGame.id} failed:`, error);
+        updateBatchGame(nextGame.id, { status: BatchStatus.FAILED, error: error.message || 'Analysis failed' });
+      })
+      .finally(() => {
+        if (activeRef.current === active) {
+          activeRef.current = null;
+        }
+      });
+  }, [isAnalysisRunning, runningGame, nextGame, engineSettings, updateBatchGame]);
+
+  /**
+   * Queue every game of a PGN file
+   * @param {string} pgn - One or more games
+   * @returns {number} - Number of games queued
+   */
+  const queuePgn = useCallback((pgn) => {
+    const games = splitPgnGames(pgn).map(createBatchGame);
+    dispatch({ type: 'QUEUE_BATCH_GAMES', payload: games });
+    return games.length;
+  }, [dispatch]);
+
+  /**
+   * Stop a queued or running game and drop it from the queue
+   * @param {string} id - Queue entry id
+   */
+  const cancelBatchGame = useCallback((id) => {
+    if (activeRef.current?.id === id) {
+      activeRef.current.cancelled = true;
+      activeRef.current.controller.abort();
+      return;
+    }
+
+    dispatch({ type: 'REMOVE_BATCH_GAME', payload: id });
+  }, [dispatch]);
+
+  return { queuePgn, cancelBatchGame };
+};
+
+export default useBatchAnalysis;
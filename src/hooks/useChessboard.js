@@ -1,18 +1,47 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Chess } from 'chess.js';
 import { useGameContext } from '../contexts/GameContext';
 import { 
-  BOARD_SIZE, 
   getBoardCoordinates, 
+  getSquare,
   startingPositionFen,
   drawArrow,
   classificationColors
 } from '../utils/boardUtils';
 import { initSounds, playSoundForMove, playSound, SOUND_TYPES } from '../utils/soundService';
+import { isChess960Position, toChessJsFen, playMove } from '../utils/chess960';
+import { annotationColours, getAnnotationColour, toggleArrow, toggleSquare } from '../utils/boardAnnotations';
 
 // Piece images cache
 const pieceImages = {};
 const classificationIcons = {};
 
+/**
+ * Squares the piece on a square can move to
+ * @param {string} fen - Displayed position
+ * @param {Chess} chess - The same position loaded in chess.js
+ * @param {string} square - Square of the piece, e.g. "e2"
+ * @returns {Array<string>} - Target squares
+ */
+const getLegalTargets = (fen, chess, square) => {
+  const targets = chess.moves({ square, verbose: true }).map(move => move.to);
+  const piece = chess.get(square);
+  
+  // chess.js has no Chess960 castling, which is played by taking your own rook
+  if (piece?.type === 'k' && isChess960Position(fen)) {
+    for (const file of "abcdefgh") {
+      const rookSquare = file + square[1];
+      const target = chess.get(rookSquare);
+      
+      if (target?.type === 'r' && target.color === piece.color && playMove(fen, { from: square, to: rookSquare })) {
+        targets.push(rookSquare);
+      }
+    }
+  }
+  
+  return targets;
+};
+
 /**
  * Hook to handle chess board rendering and interactions
  * @param {boolean} showSuggestionArrows - Whether to show suggestion arrows
@@ -28,12 +57,65 @@ const useChessboard = (showSuggestionArrows = false) => {
     boardFlipped,
     traverseMoves,
     isViewingEngineLine,
+    isViewingSideLine,
     activeEngineLine,
-    soundEnabled
+    soundEnabled,
+    playUserMove,
+    boardAnnotations,
+    setPositionAnnotations
   } = useGameContext();
   
   const canvasRef = useRef(null);
   const [imagesLoaded, setImagesLoaded] = useState(false);
+  const [selectedSquare, setSelectedSquare] = useState(null);
+  const [draggedPiece, setDraggedPiece] = useState(null); // { square, x, y } in CSS pixels
+  const [drawnArrow, setDrawnArrow] = useState(null); // Right button drag: { from, to, colour }
+  const [pendingPromotion, setPendingPromotion] = useState(null); // Pawn move waiting for its piece: { from, to, colour }
+  const [boardSize, setBoardSize] = useState(0); // Width of the board in CSS pixels
+  const [pixelRatio, setPixelRatio] = useState(window.devicePixelRatio || 1);
+  
+  // The board takes the size its container gives it
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    
+    const observer = new ResizeObserver(([entry]) => setBoardSize(entry.contentRect.width));
+    observer.observe(canvas);
+    
+    return () => observer.disconnect();
+  }, []);
+  
+  // Moving the window to another screen or zooming changes the device pixel ratio
+  useEffect(() => {
+    const query = window.matchMedia(`(resolution: ${pixelRatio}dppx)`);
+    const handleChange = () => setPixelRatio(window.devicePixelRatio || 1);
+    
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, [pixelRatio]);
+  
+  const displayedFen = (displayPosition || currentPosition)?.fen || startingPositionFen;
+  
+  // The displayed position in chess.js, for the legality of moves made on the board
+  const chess = useMemo(() => {
+    try {
+      return new Chess(toChessJsFen(displayedFen));
+    } catch (error) {
+      console.warn("Could not load the displayed position:", error);
+      return null;
+    }
+  }, [displayedFen]);
+  
+  const legalTargets = useMemo(() => (
+    chess && selectedSquare ? getLegalTargets(displayedFen, chess, selectedSquare) : []
+  ), [chess, displayedFen, selectedSquare]);
+  
+  // A new position drops whatever piece was picked up
+  useEffect(() => {
+    setSelectedSquare(null);
+    setDraggedPiece(null);
+    setPendingPromotion(null);
+  }, [displayedFen]);
   
   // Initialize sounds when component mounts
   useEffect(() => {
@@ -144,18 +226,28 @@ const useChessboard = (showSuggestionArrows = false) => {
    * Draw the chess board and pieces
    */
   const drawBoard = useCallback(() => {
-    if (!canvasRef.current || !imagesLoaded) return;
+    const canvas = canvasRef.current;
+    if (!canvas || !imagesLoaded || !boardSize) return;
     
-    const ctx = canvasRef.current.getContext('2d');
+    // One canvas pixel per device pixel keeps the board sharp; drawing is done in CSS pixels
+    const pixels = Math.round(boardSize * pixelRatio);
+    if (canvas.width !== pixels || canvas.height !== pixels) {
+      canvas.width = pixels;
+      canvas.height = pixels;
+    }
+    
+    const ctx = canvas.getContext('2d');
     if (!ctx) return;
     
+    ctx.setTransform(pixels / boardSize, 0, 0, pixels / boardSize, 0, 0);
+    
     // Use displayPosition (which might be from an engine line) instead of currentPosition
     const positionToShow = displayPosition || currentPosition;
     const fen = positionToShow?.fen || startingPositionFen;
     
     // Draw surface of board
     const colors = ["#f6dfc0", "#b88767"];
-    const squareSize = BOARD_SIZE / 8;
+    const squareSize = boardSize / 8;
     
     for (let y = 0; y < 8; y++) {
       for (let x = 0; x < 8; x++) {
@@ -164,22 +256,24 @@ const useChessboard = (showSuggestionArrows = false) => {
       }
     }
     
-    // Draw coordinates
-    ctx.font = "24px Arial";
+    // Draw coordinates, sized with the squares
+    const fontSize = squareSize * 0.26;
+    const margin = squareSize * 0.055;
+    ctx.font = `${fontSize}px Arial`;
     
     const files = "abcdefgh".split("");
     for (let x = 0; x < 8; x++) {
       ctx.fillStyle = colors[x % 2];
-      ctx.fillText(boardFlipped ? files[7 - x] : files[x], x * squareSize + 5, BOARD_SIZE - 5);
+      ctx.fillText(boardFlipped ? files[7 - x] : files[x], x * squareSize + margin, boardSize - margin);
     }
     
     for (let y = 0; y < 8; y++) {
       ctx.fillStyle = colors[(y + 1) % 2];
-      ctx.fillText(boardFlipped ? (y + 1).toString() : (8 - y).toString(), 5, y * squareSize + 24);
+      ctx.fillText(boardFlipped ? (y + 1).toString() : (8 - y).toString(), margin, y * squareSize + fontSize);
     }
     
-    // Only draw last move highlight for real game moves (not engine lines)
-    if (!isViewingEngineLine) {
+    // Only draw last move highlight for real game moves (not engine lines or side lines)
+    if (!isViewingEngineLine && !isViewingSideLine) {
       const lastMove = reportResults?.positions[currentMoveIndex];
       
       const lastMoveCoordinates = {
@@ -227,14 +321,15 @@ const useChessboard = (showSuggestionArrows = false) => {
             classificationIcons[classification],
             lastMoveCoordinates.to.x * squareSize + ((68 / 90) * squareSize), 
             lastMoveCoordinates.to.y * squareSize - ((10 / 90) * squareSize), 
-            56, 56
+            squareSize * 0.6,
+            squareSize * 0.6
           );
         }
       }
     } 
-    // For engine lines, highlight the suggested move
-    else if (activeEngineLine && activeEngineLine.moveUCI) {
-      const moveUCI = activeEngineLine.moveUCI;
+    // For engine lines highlight the suggested move, for side lines the move just played
+    else if (isViewingSideLine ? displayPosition?.move?.uci : activeEngineLine?.moveUCI) {
+      const moveUCI = isViewingSideLine ? displayPosition.move.uci : activeEngineLine.moveUCI;
       
       const engineMoveCoordinates = {
         from: getBoardCoordinates(moveUCI.slice(0, 2), boardFlipped),
@@ -264,7 +359,18 @@ const useChessboard = (showSuggestionArrows = false) => {
       ctx.globalAlpha = 1;
     }
     
-    // Draw pieces
+    // Highlight the piece picked up
+    if (selectedSquare) {
+      const selected = getBoardCoordinates(selectedSquare, boardFlipped);
+      
+      ctx.globalAlpha = 0.5;
+      ctx.fillStyle = "#facc15"; // yellow-400
+      ctx.fillRect(selected.x * squareSize, selected.y * squareSize, squareSize, squareSize);
+      ctx.globalAlpha = 1;
+    }
+    
+    // Draw pieces, leaving out the one being dragged
+    const dragged = draggedPiece && getBoardCoordinates(draggedPiece.square, boardFlipped);
     const fenBoard = fen.split(" ")[0];
     let x = boardFlipped ? 7 : 0;
     let y = x;
@@ -276,22 +382,41 @@ const useChessboard = (showSuggestionArrows = false) => {
       } else if (/\d/g.test(character)) {
         x += parseInt(character) * (boardFlipped ? -1 : 1);
       } else if (pieceImages[character]) {
-        ctx.drawImage(
-          pieceImages[character],
-          x * squareSize,
-          y * squareSize,
-          squareSize,
-          squareSize
-        );
+        if (dragged?.x !== x || dragged?.y !== y) {
+          ctx.drawImage(
+            pieceImages[character],
+            x * squareSize,
+            y * squareSize,
+            squareSize,
+            squareSize
+          );
+        }
         x += boardFlipped ? -1 : 1;
       }
     }
     
-    // Draw engine suggestion arrows only if not viewing an engine line already
-    if (!isViewingEngineLine && showSuggestionArrows && currentPosition?.topLines) {
+    // Mark the squares the picked up piece can move to
+    ctx.fillStyle = "rgba(0, 0, 0, 0.25)";
+    for (const target of legalTargets) {
+      const coordinates = getBoardCoordinates(target, boardFlipped);
+      
+      ctx.beginPath();
+      ctx.arc(
+        coordinates.x * squareSize + squareSize / 2,
+        coordinates.y * squareSize + squareSize / 2,
+        squareSize * 0.15,
+        0,
+        2 * Math.PI
+      );
+      ctx.fill();
+    }
+    
+    // Draw engine suggestion arrows only for game positions, which are the ones analysed
+    if (!isViewingEngineLine && !isViewingSideLine && showSuggestionArrows && currentPosition?.topLines) {
+      // Widths are shares of a square so arrows scale with the board
       const arrowAttributes = [
-        { width: 35, opacity: 0.8 },
-        { width: 21, opacity: 0.55 }
+        { width: 0.38, opacity: 0.8 },
+        { width: 0.23, opacity: 0.55 }
       ];
       
       currentPosition.topLines.slice(0, 2).forEach((topLine, index) => {
@@ -300,22 +425,77 @@ const useChessboard = (showSuggestionArrows = false) => {
         const from = getBoardCoordinates(topLine.moveUCI.slice(0, 2), boardFlipped);
         const to = getBoardCoordinates(topLine.moveUCI.slice(2, 4), boardFlipped);
         
-        const arrow = drawArrow(
+        drawArrow(
+          ctx,
           from.x * squareSize + (squareSize / 2), 
           from.y * squareSize + (squareSize / 2), 
           to.x * squareSize + (squareSize / 2), 
           to.y * squareSize + (squareSize / 2), 
-          arrowAttributes[index].width,
-          classificationColors.best
+          arrowAttributes[index].width * squareSize,
+          classificationColors.best,
+          arrowAttributes[index].opacity
         );
-        
-        if (arrow) {
-          ctx.globalAlpha = arrowAttributes[index].opacity;
-          ctx.drawImage(arrow, 0, 0);
-          ctx.globalAlpha = 1;
-        }
       });
     }
+    
+    // Arrows and highlights drawn by the user, with the arrow being drawn
+    const annotations = boardAnnotations[fen];
+    
+    ctx.lineWidth = squareSize * 0.07;
+    for (const { square, colour } of annotations?.squares || []) {
+      const coordinates = getBoardCoordinates(square, boardFlipped);
+      
+      // A ring keeps the piece on the square visible
+      ctx.globalAlpha = 0.8;
+      ctx.strokeStyle = annotationColours[colour];
+      ctx.beginPath();
+      ctx.arc(
+        coordinates.x * squareSize + squareSize / 2,
+        coordinates.y * squareSize + squareSize / 2,
+        squareSize / 2 - ctx.lineWidth / 2,
+        0,
+        2 * Math.PI
+      );
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+    
+    const userArrows = [...(annotations?.arrows || [])];
+    if (drawnArrow && drawnArrow.from !== drawnArrow.to) {
+      userArrows.push(drawnArrow);
+    }
+    
+    for (const { from: fromSquare, to: toSquare, colour } of userArrows) {
+      const from = getBoardCoordinates(fromSquare, boardFlipped);
+      const to = getBoardCoordinates(toSquare, boardFlipped);
+      
+      drawArrow(
+        ctx,
+        from.x * squareSize + (squareSize / 2), 
+        from.y * squareSize + (squareSize / 2), 
+        to.x * squareSize + (squareSize / 2), 
+        to.y * squareSize + (squareSize / 2), 
+        squareSize * 0.23,
+        annotationColours[colour],
+        0.8
+      );
+    }
+    
+    // The dragged piece follows the pointer, above everything else
+    if (draggedPiece) {
+      const piece = chess?.get(draggedPiece.square);
+      const image = piece && pieceImages[piece.color === 'w' ? piece.type.toUpperCase() : piece.type];
+      
+      if (image) {
+        ctx.drawImage(
+          image,
+          draggedPiece.x - squareSize / 2,
+          draggedPiece.y - squareSize / 2,
+          squareSize,
+          squareSize
+        );
+      }
+    }
   }, [
     displayPosition,
     currentPosition, 
@@ -325,22 +505,179 @@ const useChessboard = (showSuggestionArrows = false) => {
     imagesLoaded,
     showSuggestionArrows,
     isViewingEngineLine,
-    activeEngineLine
+    isViewingSideLine,
+    activeEngineLine,
+    selectedSquare,
+    draggedPiece,
+    legalTargets,
+    chess,
+    boardAnnotations,
+    drawnArrow,
+    boardSize,
+    pixelRatio
   ]);
   
   /**
-   * Handle click on the chess board
-   * @param {React.MouseEvent} event - Click event
+   * Square under the pointer, and the pointer in CSS pixels from the board's corner
+   * @param {React.PointerEvent} event - Pointer event on the canvas
+   * @returns {object} - { square, x, y }
+   */
+  const getPointerSquare = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = (event.clientX - rect.left) / rect.width * boardSize;
+    const y = (event.clientY - rect.top) / rect.height * boardSize;
+    
+    const column = Math.min(Math.max(Math.floor(x / (boardSize / 8)), 0), 7);
+    const row = Math.min(Math.max(Math.floor(y / (boardSize / 8)), 0), 7);
+    
+    return {
+      square: getSquare(boardFlipped ? { x: 7 - column, y: row } : { x: column, y: 7 - row }),
+      x,
+      y
+    };
+  };
+  
+  /**
+   * Play a move made on the board. A pawn reaching the last rank waits for
+   * the piece it promotes to, picked with choosePromotion.
+   * @param {string} from - Square moved from
+   * @param {string} to - Square moved to
+   * @param {string} promotion - Piece a pawn promotes to: q, r, b or n
+   */
+  const playBoardMove = (from, to, promotion) => {
+    const piece = chess.get(from);
+    
+    if (!promotion && piece?.type === 'p' && (to[1] === '8' || to[1] === '1')) {
+      setSelectedSquare(null);
+      setPendingPromotion({ from, to, colour: piece.color === 'w' ? 'white' : 'black' });
+      return;
+    }
+    
+    // The game's own next move plays its sound through the move index
+    const isGameMove = !isViewingSideLine && !isViewingEngineLine
+      && reportResults.positions[currentMoveIndex + 1]?.move?.uci === from + to + (promotion || '');
+    
+    const result = playUserMove({ from, to, promotion });
+    setSelectedSquare(null);
+    
+    if (result && soundEnabled && !isGameMove) {
+      playSoundForMove({
+        san: result.san,
+        piece: result.san.charAt(0),
+        captured: result.san.includes('x'),
+        flags: ''
+      });
+    }
+  };
+  
+  /**
+   * Pick up a piece of the side to move, drop a picked up piece on one of
+   * its targets, or away from the pieces step through the game by board half.
+   * The right button draws arrows and highlights instead, coloured by the
+   * modifier keys held.
+   * @param {React.PointerEvent} event - Pointer down event
    */
-  const handleBoardClick = useCallback((event) => {
+  const handlePointerDown = (event) => {
     if (!canvasRef.current) return;
     
-    const rect = canvasRef.current.getBoundingClientRect();
-    const x = event.clientX - rect.left;
+    const { square, x, y } = getPointerSquare(event);
+    
+    if (event.button === 2) {
+      setDrawnArrow({ from: square, to: square, colour: getAnnotationColour(event) });
+      canvasRef.current.setPointerCapture(event.pointerId);
+      return;
+    }
+    
+    if (!reportResults || !chess) {
+      traverseMoves(x > boardSize / 2 ? 1 : -1);
+      return;
+    }
+    
+    if (selectedSquare && legalTargets.includes(square)) {
+      playBoardMove(selectedSquare, square);
+      return;
+    }
+    
+    if (chess.get(square)?.color === chess.turn()) {
+      setSelectedSquare(square);
+      setDraggedPiece({ square, x, y });
+      canvasRef.current.setPointerCapture(event.pointerId);
+      return;
+    }
+    
+    if (selectedSquare) {
+      setSelectedSquare(null);
+      return;
+    }
     
     // Navigate forward or backward based on which half of the board was clicked
-    traverseMoves(x > rect.width / 2 ? 1 : -1);
-  }, [traverseMoves]);
+    traverseMoves(x > boardSize / 2 ? 1 : -1);
+  };
+  
+  /**
+   * Move the dragged piece with the pointer
+   * @param {React.PointerEvent} event - Pointer move event
+   */
+  const handlePointerMove = (event) => {
+    if (drawnArrow) {
+      const { square } = getPointerSquare(event);
+      if (square !== drawnArrow.to) setDrawnArrow({ ...drawnArrow, to: square });
+      return;
+    }
+    
+    if (!draggedPiece) return;
+    
+    const { x, y } = getPointerSquare(event);
+    setDraggedPiece({ ...draggedPiece, x, y });
+  };
+  
+  /**
+   * Drop the dragged piece; dropped back on its square it stays picked up
+   * for click-to-move
+   * @param {React.PointerEvent} event - Pointer up event
+   */
+  const handlePointerUp = (event) => {
+    if (drawnArrow) {
+      const { square } = getPointerSquare(event);
+      const { from, colour } = drawnArrow;
+      setDrawnArrow(null);
+      
+      // Released where it started, the right button highlights the square
+      setPositionAnnotations(displayedFen, square === from
+        ? toggleSquare(boardAnnotations[displayedFen], { square, colour })
+        : toggleArrow(boardAnnotations[displayedFen], { from, to: square, colour }));
+      return;
+    }
+    
+    if (!draggedPiece) return;
+    
+    const { square } = getPointerSquare(event);
+    setDraggedPiece(null);
+    
+    if (square !== draggedPiece.square && legalTargets.includes(square)) {
+      playBoardMove(draggedPiece.square, square);
+    }
+  };
+  
+  /**
+   * Finish the pawn move waiting for its promotion
+   * @param {string} promotion - Piece picked: q, r, b or n
+   */
+  const choosePromotion = (promotion) => {
+    if (!pendingPromotion) return;
+    
+    setPendingPromotion(null);
+    playBoardMove(pendingPromotion.from, pendingPromotion.to, promotion);
+  };
+  
+  // Dismissing the picker leaves the pawn where it was
+  const cancelPromotion = () => setPendingPromotion(null);
+  
+  // An interrupted drag puts the piece back and drops the arrow being drawn
+  const handlePointerCancel = () => {
+    setDraggedPiece(null);
+    setDrawnArrow(null);
+  };
   
   // Draw board when component updates
   useEffect(() => {
@@ -354,7 +691,13 @@ const useChessboard = (showSuggestionArrows = false) => {
   
   return {
     canvasRef,
-    handleBoardClick,
+    handlePointerDown,
+    handlePointerMove,
+    handlePointerUp,
+    handlePointerCancel,
+    pendingPromotion,
+    choosePromotion,
+    cancelPromotion,
     imagesLoaded
   };
 };
@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef } from 'react';
+import { useGameContext } from '../contexts/GameContext';
+import Stockfish from '../services/stockfishService';
+import { processEngineLines } from '../utils/analysisHelpers';
+import { BatchStatus } from '../utils/constants';
+
+/**
+ * Hook running an infinite search on the displayed position while live mode is on.
+ * The search restarts whenever the displayed position changes, including
+ * positions inside engine lines, and pauses while a game is analysed, in the
+ * foreground or in the batch queue, so the worker never competes with the engine pool.
+ * @returns {object|null} - Latest fen, lines, depth, nodes and nps, or null when idle
+ */
+const useLiveAnalysis = () => {
+  const {
+    displayPosition,
+    liveAnalysisEnabled,
+    isAnalysisRunning,
+    batchQueue,
+    engineSettings
+  } = useGameContext();
+
+  const engineRef = useRef(null);
+  const [liveAnalysis, setLiveAnalysis] = useState(null);
+
+  // The profile is applied per search below, the worker needn't be recreated for it
+  const settingsRef = useRef(engineSettings);
+  settingsRef.current = engineSettings;
+
+  const isBatchRunning = batchQueue.some(game => game.status === BatchStatus.RUNNING);
+  const active = liveAnalysisEnabled && !isAnalysisRunning && !isBatchRunning;
+  const fen = displayPosition?.fen;
+
+  // Dedicated worker, separate from the batch pool, alive only while live mode is on
+  useEffect(() => {
+    if (!active) return;
+
+    const engine = new Stockfish(settingsRef.current);
+    engineRef.current = engine;
+
+    return () => {
+      engineRef.current = null;
+      engine.stopInfinite().then(() => engine.terminate());
+      setLiveAnalysis(null);
+    };
+  }, [active]);
+
+  // Restart the search on every navigation or settings change
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!active || !engine || !fen) return;
+
+    setLiveAnalysis(null);
+
+    engine.analyseInfinite(fen, (update) => {
+      if (engineRef.current !== engine) return;
+
+      setLiveAnalysis({
+        ...update,
+        lines: processEngineLines(update.fen, update.lines)
+      });
+    }, { settings: engineSettings });
+  }, [active, fen, engineSettings]);
+
+  return liveAnalysis?.fen === fen ? liveAnalysis : null;
+};
+
+export default useLiveAnalysis;
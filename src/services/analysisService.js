@@ -1,10 +1,16 @@
 import { 
   Classification, 
-  classificationValues
+  classificationValues,
+  EngineProvenance
 } from '../utils/constants';
-import { determineMoveQuality } from '../utils/moveQualityUtils';
+import { 
+  determineMoveQuality, 
+  getEvaluationLossThreshold 
+} from '../utils/moveQualityUtils';
 import openings from '../data/openings.json';
-import { Chess } from 'chess.js';
+import { Chess, DEFAULT_POSITION } from 'chess.js';
+import { toChessJsFen, countLegalMoves } from '../utils/chess960';
+import { analyseClockTimes } from '../utils/clockUtils';
 
 /**
  * Check if a UCI move is valid in the given position
@@ -61,7 +67,95 @@ function safeMove(chess, moveUCI) {
 }
 
 /**
- * Process evaluated positions to generate a complete analysis report
+ * Check whether the engine produced real data for a position
+ * @param {object} position - Evaluated position
+ * @returns {boolean} - Whether the position's engine lines can be trusted
+ */
+export function isPositionAnalysed(position) {
+  return !!position && position.engineProvenance !== EngineProvenance.UNAVAILABLE;
+}
+
+/**
+ * Check whether the engine has answered for a position yet
+ * @param {object} position - Position that may still be waiting for the engine
+ * @returns {boolean} - Whether the position has been through the engine
+ */
+export function isPositionEvaluated(position) {
+  return !!position?.topLines;
+}
+
+// Eval change between consecutive positions that makes a shallow result suspect
+const UNCERTAIN_SWING_CP = 150;
+
+// Distance from a classification threshold that counts as a boundary case
+const BOUNDARY_MARGIN_CP = 20;
+
+// Thresholds separating excellent, good, inaccuracy, mistake and blunder
+const boundaryClassifications = [
+  Classification.EXCELLENT,
+  Classification.GOOD,
+  Classification.INACCURACY,
+  Classification.MISTAKE
+];
+
+/**
+ * Find the positions whose shallow evaluation is too uncertain to trust:
+ * large eval swings, mate scores, or a loss close to a classification
+ * threshold. Both positions around such a move are returned so the move
+ * can be judged again at one depth.
+ * @param {Array} positions - Positions classified by generateAnalysisReport
+ * @returns {Array<number>} - Sorted indices of positions to re-analyse deeper
+ */
+export function findUncertainPositions(positions) {
+  const indices = new Set();
+  
+  for (let index = 1; index < positions.length; index++) {
+    const lastPosition = positions[index - 1];
+    const position = positions[index];
+    
+    if (!isPositionEvaluated(lastPosition) || !isPositionEvaluated(position)) continue;
+    if (position.unanalysed) continue;
+    if (position.classification === Classification.BOOK || position.classification === Classification.FORCED) continue;
+    
+    const previousEvaluation = lastPosition.topLines.find(line => line.id === 1)?.evaluation;
+    const evaluation = position.topLines.find(line => line.id === 1)?.evaluation;
+    const playedEvaluation = position.playedMoveEvaluation?.evaluation;
+    
+    // Game over after the move, nothing to deepen
+    if (!previousEvaluation || !evaluation) continue;
+    
+    let uncertain = [previousEvaluation, evaluation, playedEvaluation]
+      .some(candidate => candidate?.type === "mate");
+    
+    if (!uncertain && Math.abs(evaluation.value - previousEvaluation.value) >= UNCERTAIN_SWING_CP) {
+      uncertain = true;
+    }
+    
+    if (!uncertain) {
+      const moveColour = position.fen.includes(" b ") ? "white" : "black";
+      const lossEvaluation = playedEvaluation || evaluation;
+      const evalLoss = moveColour === "white"
+        ? previousEvaluation.value - lossEvaluation.value
+        : lossEvaluation.value - previousEvaluation.value;
+      
+      uncertain = boundaryClassifications.some(classif => {
+        return Math.abs(evalLoss - getEvaluationLossThreshold(classif, previousEvaluation.value)) <= BOUNDARY_MARGIN_CP;
+      });
+    }
+    
+    if (uncertain) {
+      indices.add(index - 1);
+      indices.add(index);
+    }
+  }
+  
+  return [...indices].sort((a, b) => a - b);
+}
+
+/**
+ * Process evaluated positions to generate a complete analysis report.
+ * Can be called while analysis is still running: moves whose positions are
+ * not evaluated yet are left unclassified and out of the accuracy.
  * Implementasi yang persis dengan versi TypeScript dengan penambahan error handling
  * @param {Array} positions - Evaluated chess positions
  * @returns {object} - Full analysis report with classifications and accuracies
@@ -74,11 +168,24 @@ export const generateAnalysisReport = (positions) => {
     positionIndex++;
     
     try {
-      let board = new Chess(position.fen);
+      let board = new Chess(toChessJsFen(position.fen));
       let lastPosition = positions[positionIndex - 1];
       
+      // Still waiting for the engine on one side of the move
+      delete position.unanalysed;
+      if (!isPositionEvaluated(lastPosition) || !isPositionEvaluated(position)) {
+        position.classification = undefined;
+        continue;
+      }
+      
+      // Without engine data on both sides of the move it can't be judged
+      if (!isPositionAnalysed(lastPosition) || !isPositionAnalysed(position)) {
+        position.classification = undefined;
+        position.unanalysed = true;
+        continue;
+      }
+      
       let topMove = lastPosition.topLines?.find(line => line.id === 1);
-      let secondTopMove = lastPosition.topLines?.find(line => line.id === 2);
       
       // Skip if missing essential data
       if (!topMove || !lastPosition.topLines) {
@@ -94,8 +201,6 @@ export const generateAnalysisReport = (positions) => {
         continue;
       }
       
-      let moveColour = position.fen.includes(" b ") ? "white" : "black";
-      
       // Jika tidak ada langkah legal di posisi ini (end game state)
       if (!evaluation) {
         evaluation = { type: board.isCheckmate() ? "mate" : "cp", value: 0 };
@@ -108,42 +213,8 @@ export const generateAnalysisReport = (positions) => {
         });
       }
       
-      let absoluteEvaluation = evaluation.value * (moveColour === "white" ? 1 : -1);
-      let previousAbsoluteEvaluation = previousEvaluation.value * (moveColour === "white" ? 1 : -1);
-      let absoluteSecondEvaluation = (secondTopMove?.evaluation?.value || 0) * (moveColour === "white" ? 1 : -1);
-      
-      // Hitung evaluation loss sebagai hasil dari langkah ini
-      let evalLoss = Infinity;
-      let cutoffEvalLoss = Infinity;
-      let lastLineEvalLoss = Infinity;
-      
-      let matchingTopLine = lastPosition.topLines.find(line => line.moveUCI === position.move?.uci);
-      if (matchingTopLine) {
-        if (moveColour === "white") {
-          lastLineEvalLoss = previousEvaluation.value - matchingTopLine.evaluation.value;
-        } else {
-          lastLineEvalLoss = matchingTopLine.evaluation.value - previousEvaluation.value;
-        }
-      }
-      
-      if (lastPosition.cutoffEvaluation) {
-        if (moveColour === "white") {
-          cutoffEvalLoss = lastPosition.cutoffEvaluation.value - evaluation.value;
-        } else {
-          cutoffEvalLoss = evaluation.value - lastPosition.cutoffEvaluation.value;
-        }
-      }
-      
-      if (moveColour === "white") {
-        evalLoss = previousEvaluation.value - evaluation.value;
-      } else {
-        evalLoss = evaluation.value - previousEvaluation.value;
-      }
-      
-      evalLoss = Math.min(evalLoss, cutoffEvalLoss, lastLineEvalLoss);
-      
       // Jika langkah ini satu-satunya yang legal, terapkan FORCED
-      if (!secondTopMove) {
+      if (countLegalMoves(lastPosition.fen) === 1) {
         position.classification = Classification.FORCED;
         continue;
       }
@@ -159,7 +230,7 @@ export const generateAnalysisReport = (positions) => {
         position.move?.uci,
         position.move?.san,
         lastPosition.classification,  // Tambahkan lastPositionClassification
-        lastPosition.cutoffEvaluation // Tambahkan cutoffEvaluation
+        position.playedMoveEvaluation?.evaluation // Evaluasi langkah yang dimainkan (searchmoves)
       );
       
     } catch (error) {
@@ -168,10 +239,13 @@ export const generateAnalysisReport = (positions) => {
     }
   }
   
-  // Generate opening names for named positions
+  // Generate opening names for named positions. Games set up from a FEN
+  // (studies, puzzles, odds games) never went through an opening
+  const isStandardStart = positions[0]?.fen === DEFAULT_POSITION;
+  
   for (let position of positions) {
     try {
-      let opening = openings.find(opening => position.fen?.includes(opening.fen));
+      let opening = isStandardStart && openings.find(opening => position.fen?.includes(opening.fen));
       position.opening = opening?.name;
     } catch (error) {
       console.warn("Error identifying opening:", error);
@@ -188,6 +262,7 @@ export const generateAnalysisReport = (positions) => {
         || position.opening
       ) {
         position.classification = Classification.BOOK;
+        delete position.unanalysed;
       } else {
         break;
       }
@@ -376,6 +451,11 @@ export const generateAnalysisReport = (positions) => {
     classifications[moveColour][position.classification] += 1;
   }
   
+  // Moves left out of the accuracy because the engine had no data for them
+  const unanalysedPositions = positions
+    .map((position, index) => position.unanalysed ? index : -1)
+    .filter(index => index !== -1);
+  
   // Return complete report
   return {
     accuracies: {
@@ -383,6 +463,9 @@ export const generateAnalysisReport = (positions) => {
       black: accuracies.black.maximum ? (accuracies.black.current / accuracies.black.maximum * 100) : 100
     },
     classifications,
+    unanalysedPositions,
+    timeAnalysis: analyseClockTimes(positions),
+    pendingPositions: positions.filter(position => !isPositionEvaluated(position)).length,
     positions: positions,
     settings: {
       showEngineMoves: false // Default to false, user can toggle
@@ -0,0 +1,107 @@
+import { findUncertainPositions } from './analysisService';
+import { Classification } from '../utils/constants';
+
+// Only the side to move of a FEN matters here
+const WHITE_TO_MOVE = "8/8/8/8/8/8/8/8 w - - 0 1";
+const BLACK_TO_MOVE = "8/8/8/8/8/8/8/8 b - - 0 1";
+
+const cp = (value) => ({ type: "cp", value });
+const mate = (value) => ({ type: "mate", value });
+
+const position = (fen, evaluation, extra = {}) => ({
+  fen,
+  topLines: [{ id: 1, evaluation }],
+  classification: Classification.GOOD,
+  ...extra
+});
+
+/**
+ * A single white move from an equal position
+ * @param {object} evaluation - Evaluation after the move
+ * @param {object} extra - Other fields of the position after the move
+ * @returns {Array} - The positions before and after the move
+ */
+const whiteMove = (evaluation, extra) => [
+  position(WHITE_TO_MOVE, cp(0)),
+  position(BLACK_TO_MOVE, evaluation, extra)
+];
+
+describe('findUncertainPositions', () => {
+  // From an equal position the excellent, good, inaccuracy and mistake
+  // thresholds sit at a loss of about 28, 61, 108 and 226 centipawns
+
+  test('returns both positions around an eval swing of 150cp or more', () => {
+    expect(findUncertainPositions(whiteMove(cp(-150)))).toEqual([0, 1]);
+    expect(findUncertainPositions(whiteMove(cp(-149)))).toEqual([]);
+  });
+
+  test('measures the swing in either direction', () => {
+    expect(findUncertainPositions(whiteMove(cp(150)))).toEqual([0, 1]);
+    expect(findUncertainPositions(whiteMove(cp(149)))).toEqual([]);
+  });
+
+  test('returns positions with a mate score on either side of the move', () => {
+    expect(findUncertainPositions(whiteMove(mate(3)))).toEqual([0, 1]);
+    expect(findUncertainPositions([
+      position(WHITE_TO_MOVE, mate(5)),
+      position(BLACK_TO_MOVE, mate(4))
+    ])).toEqual([0, 1]);
+  });
+
+  test('counts a mate score of the played move', () => {
+    const played = { playedMoveEvaluation: { evaluation: mate(-2) } };
+    expect(findUncertainPositions(whiteMove(cp(-10), played))).toEqual([0, 1]);
+  });
+
+  test('returns a loss within 20cp of a classification threshold', () => {
+    expect(findUncertainPositions(whiteMove(cp(-80)))).toEqual([0, 1]);
+    expect(findUncertainPositions(whiteMove(cp(-84)))).toEqual([]);
+    expect(findUncertainPositions(whiteMove(cp(-8)))).toEqual([0, 1]);
+    expect(findUncertainPositions(whiteMove(cp(-7)))).toEqual([]);
+  });
+
+  test('measures the loss from the side that moved', () => {
+    const blackMove = (value) => [
+      position(BLACK_TO_MOVE, cp(0)),
+      position(WHITE_TO_MOVE, cp(value))
+    ];
+
+    expect(findUncertainPositions(blackMove(80))).toEqual([0, 1]);
+    expect(findUncertainPositions(blackMove(84))).toEqual([]);
+  });
+
+  test('measures the loss with the played move when it was searched apart', () => {
+    const played = (value) => ({ playedMoveEvaluation: { evaluation: cp(value) } });
+
+    expect(findUncertainPositions(whiteMove(cp(0), played(-80)))).toEqual([0, 1]);
+    expect(findUncertainPositions(whiteMove(cp(-80), played(-84)))).toEqual([]);
+  });
+
+  test('skips book, forced, unanalysed and unevaluated moves', () => {
+    expect(findUncertainPositions(whiteMove(cp(-300), { classification: Classification.BOOK }))).toEqual([]);
+    expect(findUncertainPositions(whiteMove(cp(-300), { classification: Classification.FORCED }))).toEqual([]);
+    expect(findUncertainPositions(whiteMove(cp(-300), { unanalysed: true }))).toEqual([]);
+    expect(findUncertainPositions([
+      position(WHITE_TO_MOVE, cp(0)),
+      { fen: BLACK_TO_MOVE }
+    ])).toEqual([]);
+  });
+
+  test('skips a move that ends the game', () => {
+    expect(findUncertainPositions([
+      position(WHITE_TO_MOVE, cp(0)),
+      { fen: BLACK_TO_MOVE, topLines: [] }
+    ])).toEqual([]);
+  });
+
+  test('returns sorted indices without duplicates', () => {
+    const positions = [
+      position(WHITE_TO_MOVE, cp(0)),
+      position(BLACK_TO_MOVE, cp(-200)),
+      position(WHITE_TO_MOVE, cp(100)),
+      position(BLACK_TO_MOVE, cp(100))
+    ];
+
+    expect(findUncertainPositions(positions)).toEqual([0, 1, 2]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Analysis of queued games away from the displayed one
+ * Nothing here touches the game context: each game is parsed, evaluated and
+ * turned into a report that is handed back for the library
+ */
+import { evaluateGamePositions, deepenUncertainPositions } from './gameEvaluationService';
+import { generateAnalysisReport, findUncertainPositions } from './analysisService';
+import { createAbortError } from './stockfishService';
+import { SearchLimit } from '../utils/constants';
+import { parseAnnotatedPgn, describeIllegalMove } from '../utils/pgnTreeParser';
+
+/**
+ * Parse one game with the same parser as the displayed game. Nobody is there
+ * to accept a shortened game, so a game with an illegal move is not analysed.
+ * @param {string} pgn - PGN of a single game
+ * @returns {object} - Positions, player info and the game's tag pairs
+ */
+export const parseGamePgn = (pgn) => {
+  const { positions, playerInfo, diagnostics, tree } = parseAnnotatedPgn(pgn);
+  
+  if (diagnostics.illegalMove) {
+    throw new Error(describeIllegalMove(diagnostics.illegalMove));
+  }
+  
+  return { positions, playerInfo, headers: tree.headers };
+};
+
+/**
+ * Analyse a game completely and build its report
+ * @param {string} pgn - PGN of a single game
+ * @param {object} settings - Engine profile; its depth is the target depth
+ * @param {object} options - Analysis options
+ * @param {AbortSignal} options.signal - Stops the analysis, which then rejects with an AbortError
+ * @param {Function} options.onProgress - Receives the progress as a percentage
+ * @returns {Promise<object>} - Saved analysis: players, headers, results and settings
+ */
+export const analyseGamePgn = async (pgn, settings, { signal = null, onProgress = () => {} } = {}) => {
+  const { positions, playerInfo, headers } = parseGamePgn(pgn);
+  const { depth } = settings;
+  
+  // Same two-pass scheme as the displayed game when the profile asks for it
+  const isTwoPass = settings.adaptiveDepth 
+    && settings.searchLimit === SearchLimit.DEPTH 
+    && settings.quickDepth < depth;
+  const firstPassShare = isTwoPass ? 70 : 100;
+  
+  let evaluated = await evaluateGamePositions(
+    positions,
+    isTwoPass ? settings.quickDepth : depth,
+    settings,
+    progress => onProgress(progress * firstPassShare / 100),
+    { signal }
+  );
+  
+  if (isTwoPass && !signal?.aborted) {
+    const uncertainIndices = findUncertainPositions(
+      generateAnalysisReport(evaluated.map(position => ({ ...position }))).positions
+    );
+    
+    evaluated = await deepenUncertainPositions(
+      evaluated,
+      uncertainIndices,
+      depth,
+      settings,
+      progress => onProgress(firstPassShare + progress * (100 - firstPassShare) / 100),
+      { signal }
+    );
+  }
+  
+  // A half-analysed game is not worth keeping in the library
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+  
+  // Kept so positions the engine missed are retried with the same profile
+  const results = generateAnalysisReport(evaluated);
+  results.engineSettings = settings;
+  
+  return {
+    players: playerInfo,
+    headers,
+    results,
+    settings: {
+      showEngineMoves: false
+    }
+  };
+};
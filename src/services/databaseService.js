@@ -0,0 +1,183 @@
+/**
+ * Thin promise wrapper around the app's IndexedDB database
+ * Every object store is declared here so upgrades happen in one place
+ */
+
+const DB_NAME = "chess-analysis";
+const DB_VERSION = 3;
+
+/**
+ * Object stores and their indexes, created on upgrade when missing
+ */
+export const STORES = {
+  EVALUATIONS: "evaluations",
+  SESSIONS: "sessions",
+  LIBRARY: "library"
+};
+
+const STORE_SCHEMAS = {
+  [STORES.EVALUATIONS]: {
+    keyPath: "key",
+    indexes: [{ name: "lastUsed", keyPath: "lastUsed" }]
+  },
+  [STORES.SESSIONS]: {
+    keyPath: "id"
+  },
+  [STORES.LIBRARY]: {
+    keyPath: "id",
+    indexes: [{ name: "savedAt", keyPath: "savedAt" }]
+  }
+};
+
+// Shared connection, opened on first use
+let databasePromise = null;
+
+/**
+ * Open the database, creating or upgrading its stores
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+export const openDatabase = () => {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const database = request.result;
+
+      for (const [name, schema] of Object.entries(STORE_SCHEMAS)) {
+        if (database.objectStoreNames.contains(name)) continue;
+
+        const store = database.createObjectStore(name, { keyPath: schema.keyPath });
+        for (const index of schema.indexes || []) {
+          store.createIndex(index.name, index.keyPath);
+        }
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("Database upgrade blocked by another tab"));
+  });
+
+  // Allow a later attempt if opening failed, e.g. in a private window
+  databasePromise.catch(() => {
+    databasePromise = null;
+  });
+
+  return databasePromise;
+};
+
+/**
+ * Run a single request against a store
+ * @param {string} storeName - Object store to use
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<any>} - Result of the request once its transaction completes
+ */
+export const runRequest = async (storeName, mode, operation) => {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Get a record by key
+ * @param {string} storeName - Object store to read
+ * @param {string} key - Record key
+ * @returns {Promise<object|undefined>} - The record, if any
+ */
+export const getRecord = (storeName, key) => {
+  return runRequest(storeName, "readonly", store => store.get(key));
+};
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store to write
+ * @param {object} record - Record containing its key
+ * @returns {Promise<string>} - Key of the stored record
+ */
+export const putRecord = (storeName, record) => {
+  return runRequest(storeName, "readwrite", store => store.put(record));
+};
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Object store to write
+ * @param {string} key - Record key
+ * @returns {Promise<void>}
+ */
+export const deleteRecord = (storeName, key) => {
+  return runRequest(storeName, "readwrite", store => store.delete(key));
+};
+
+/**
+ * Get every record of a store
+ * @param {string} storeName - Object store to read
+ * @returns {Promise<Array>} - All records
+ */
+export const getAllRecords = (storeName) => {
+  return runRequest(storeName, "readonly", store => store.getAll());
+};
+
+/**
+ * Count the records of a store
+ * @param {string} storeName - Object store to read
+ * @returns {Promise<number>} - Number of records
+ */
+export const countRecords = (storeName) => {
+  return runRequest(storeName, "readonly", store => store.count());
+};
+
+/**
+ * Delete every record of a store
+ * @param {string} storeName - Object store to clear
+ * @returns {Promise<void>}
+ */
+export const clearStore = (storeName) => {
+  return runRequest(storeName, "readwrite", store => store.clear());
+};
+
+/**
+ * Delete the records that sort first on an index, e.g. the least recently used
+ * @param {string} storeName - Object store to trim
+ * @param {string} indexName - Index to walk in ascending order
+ * @param {number} count - Number of records to delete
+ * @returns {Promise<void>}
+ */
+export const deleteOldestRecords = async (storeName, indexName, count) => {
+  if (count <= 0) return;
+
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, "readwrite");
+    const request = transaction.objectStore(storeName).index(indexName).openCursor();
+    let deleted = 0;
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || deleted >= count) return;
+
+      cursor.delete();
+      deleted++;
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
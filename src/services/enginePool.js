@@ -0,0 +1,194 @@
+/**
+ * Pool of long-lived Stockfish workers
+ * Workers are reused across positions and games so their hash tables survive,
+ * jobs are queued when every worker is busy and crashed workers are replaced
+ */
+import Stockfish, { createAbortError } from './stockfishService';
+import { DEFAULT_ENGINE_SETTINGS } from '../utils/constants';
+
+// Upper bound so low-end devices reporting many cores don't run out of memory
+const MAX_POOL_SIZE = 8;
+
+/**
+ * Number of workers to run, leaving one core free for the UI thread
+ * @returns {number} - Pool size
+ */
+export const getDefaultPoolSize = () => {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(cores - 1, MAX_POOL_SIZE));
+};
+
+/**
+ * Number of workers for a profile, so workers times threads stays within the cores
+ * @param {object} settings - Engine profile
+ * @returns {number} - Pool size
+ */
+export const getPoolSizeForSettings = (settings) => {
+  return Math.max(1, Math.floor(getDefaultPoolSize() / Math.max(1, settings.threads || 1)));
+};
+
+export class EnginePool {
+  /**
+   * @param {number} size - Maximum number of concurrent workers
+   * @param {object} settings - Engine profile applied to every worker
+   */
+  constructor(size = getDefaultPoolSize(), settings = DEFAULT_ENGINE_SETTINGS) {
+    this.size = size;
+    this.settings = settings;
+    this.engines = [];
+    this.idleEngines = [];
+    this.queue = [];
+  }
+
+  /**
+   * Switch to a new engine profile. Idle workers pick it up when they are
+   * next used, surplus workers are retired once their search finishes.
+   * @param {object} settings - Engine profile, see DEFAULT_ENGINE_SETTINGS
+   * @param {number} size - Maximum number of concurrent workers
+   */
+  configure(settings, size = getPoolSizeForSettings(settings)) {
+    this.settings = { ...DEFAULT_ENGINE_SETTINGS, ...settings };
+    this.size = size;
+    
+    while (this.engines.length > this.size && this.idleEngines.length > 0) {
+      this.retireEngine(this.idleEngines.pop());
+    }
+    
+    this.drain();
+  }
+
+  /**
+   * Queue a position for evaluation on the next free worker
+   * @param {string} fen - The FEN string representing the position
+   * @param {number} depth - The depth to search to
+   * @param {object} options - Job options
+   * @param {AbortSignal} options.signal - Cancels the job whether it is queued or running
+   * @param {Array<string>} options.searchMoves - UCI moves to restrict the search to
+   * @returns {Promise<object>} - Engine lines and the provenance of the result
+   */
+  evaluate(fen, depth, { signal = null, searchMoves = null } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const job = { fen, depth, signal, searchMoves, resolve, reject };
+
+      // Jobs still waiting in the queue are dropped straight away
+      signal?.addEventListener("abort", () => {
+        if (this.queue.includes(job)) {
+          this.queue = this.queue.filter(queued => queued !== job);
+          reject(createAbortError());
+        }
+      }, { once: true });
+
+      this.queue.push(job);
+      this.drain();
+    });
+  }
+
+  /**
+   * Start queued jobs while there are free or creatable workers
+   */
+  drain() {
+    while (this.queue.length > 0) {
+      const engine = this.acquireEngine();
+      if (!engine) return;
+
+      this.runJob(engine, this.queue.shift());
+    }
+  }
+
+  /**
+   * Get an idle worker, spawning a new one if the pool isn't full
+   * @returns {Stockfish|null} - A free engine or null if all are busy
+   */
+  acquireEngine() {
+    if (this.idleEngines.length > 0) {
+      const engine = this.idleEngines.pop();
+      engine.configure(this.settings);
+      return engine;
+    }
+
+    if (this.engines.length < this.size) {
+      const engine = new Stockfish(this.settings);
+      this.engines.push(engine);
+      return engine;
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a single job and hand the worker back to the pool afterwards
+   */
+  async runJob(engine, job) {
+    try {
+      job.resolve(await engine.evaluate(job.fen, job.depth, { signal: job.signal, searchMoves: job.searchMoves }));
+    } catch (error) {
+      job.reject(error);
+    } finally {
+      this.releaseEngine(engine);
+      this.drain();
+    }
+  }
+
+  /**
+   * Return a worker to the idle list, or replace it if it crashed
+   */
+  releaseEngine(engine) {
+    if (engine.crashed) {
+      console.warn("Recycling crashed Stockfish worker");
+      this.retireEngine(engine);
+      return;
+    }
+
+    // The pool was shrunk while this worker was busy
+    if (this.engines.length > this.size) {
+      this.retireEngine(engine);
+      return;
+    }
+
+    this.idleEngines.push(engine);
+  }
+
+  /**
+   * Terminate a worker and remove it from the pool
+   */
+  retireEngine(engine) {
+    engine.terminate();
+    this.engines = this.engines.filter(candidate => candidate !== engine);
+  }
+
+  /**
+   * Terminate every worker and reject jobs that haven't started
+   */
+  terminate() {
+    for (const job of this.queue) {
+      job.reject(new Error("Engine pool terminated"));
+    }
+
+    this.queue = [];
+    this.engines.forEach(engine => engine.terminate());
+    this.engines = [];
+    this.idleEngines = [];
+  }
+}
+
+// Shared pool so workers stay warm between analyses
+let sharedPool = null;
+
+/**
+ * Get the application-wide engine pool, creating it on first use
+ * @returns {EnginePool} - The shared pool
+ */
+export const getEnginePool = () => {
+  if (!sharedPool) {
+    sharedPool = new EnginePool();
+  }
+
+  return sharedPool;
+};
+
+export default EnginePool;
@@ -0,0 +1,190 @@
+import { EnginePool } from './enginePool';
+import { EngineProvenance, DEFAULT_ENGINE_SETTINGS } from '../utils/constants';
+
+const positions = [
+  "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1",
+  "rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2",
+  "rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2"
+];
+
+let workers = [];
+
+/**
+ * Stand-in for the Stockfish web worker: it records the UCI commands it gets
+ * and only answers a search when the test tells it to
+ */
+class MockWorker {
+  constructor() {
+    this.messages = [];
+    this.listeners = { message: [], error: [] };
+    this.terminated = false;
+    workers.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = this.listeners[type].filter(candidate => candidate !== listener);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+    if (message === "stop") this.emit("bestmove (none)");
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  emit(data) {
+    [...this.listeners.message].forEach(listener => listener({ data }));
+  }
+
+  // Finish the search in progress with one line
+  answer(move) {
+    this.emit(`info depth 16 seldepth 20 multipv 1 score cp 25 nodes 1000 pv ${move}`);
+    this.emit(`bestmove ${move}`);
+  }
+
+  crash() {
+    [...this.listeners.error].forEach(listener => listener(new Error("Worker crashed")));
+  }
+
+  // Positions sent to this worker, in order
+  get searches() {
+    return this.messages
+      .filter(message => message.startsWith("position fen "))
+      .map(message => message.slice("position fen ".length));
+  }
+}
+
+// Let the pool hand finished workers their next job
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const expectAbortError = (promise) => expect(promise).rejects.toMatchObject({ name: "AbortError" });
+
+beforeEach(() => {
+  workers = [];
+  global.Worker = MockWorker;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete global.Worker;
+});
+
+describe('job queue', () => {
+  test('runs as many searches as it has workers and queues the rest', async () => {
+    const pool = new EnginePool(2, DEFAULT_ENGINE_SETTINGS);
+    const results = positions.map(fen => pool.evaluate(fen, 16));
+
+    expect(workers).toHaveLength(2);
+    expect(workers.map(worker => worker.searches)).toEqual([[positions[0]], [positions[1]]]);
+    expect(pool.queue).toHaveLength(1);
+
+    workers[0].answer("e7e5");
+    await expect(results[0]).resolves.toMatchObject({ provenance: EngineProvenance.COMPLETE });
+    await settle();
+
+    // The freed worker takes the queued job; no third worker is started
+    expect(workers).toHaveLength(2);
+    expect(workers[0].searches).toEqual([positions[0], positions[2]]);
+
+    workers[0].answer("b8c6");
+    workers[1].answer("g1f3");
+    const [, second, third] = await Promise.all(results);
+    expect(second.lines[0].moveUCI).toBe("g1f3");
+    expect(third.lines[0].moveUCI).toBe("b8c6");
+  });
+});
+
+describe('abort', () => {
+  test('drops a queued job without sending it to a worker', async () => {
+    const pool = new EnginePool(1, DEFAULT_ENGINE_SETTINGS);
+    const controller = new AbortController();
+
+    const running = pool.evaluate(positions[0], 16);
+    const queued = pool.evaluate(positions[1], 16, { signal: controller.signal });
+    controller.abort();
+
+    await expectAbortError(queued);
+    expect(pool.queue).toHaveLength(0);
+
+    workers[0].answer("e7e5");
+    await running;
+    await settle();
+
+    expect(workers[0].searches).toEqual([positions[0]]);
+  });
+
+  test('rejects a job aborted before it was queued', async () => {
+    const pool = new EnginePool(1, DEFAULT_ENGINE_SETTINGS);
+    const controller = new AbortController();
+    controller.abort();
+
+    await expectAbortError(pool.evaluate(positions[0], 16, { signal: controller.signal }));
+    expect(workers).toHaveLength(0);
+  });
+
+  test('stops a running search and keeps the worker', async () => {
+    const pool = new EnginePool(1, DEFAULT_ENGINE_SETTINGS);
+    const controller = new AbortController();
+
+    const running = pool.evaluate(positions[0], 16, { signal: controller.signal });
+    controller.abort();
+
+    await expectAbortError(running);
+    expect(workers[0].messages).toContain("stop");
+
+    await settle();
+    const next = pool.evaluate(positions[1], 16);
+    workers[0].answer("g1f3");
+
+    await expect(next).resolves.toMatchObject({ provenance: EngineProvenance.COMPLETE });
+    expect(workers).toHaveLength(1);
+    expect(workers[0].terminated).toBe(false);
+  });
+});
+
+describe('crashed workers', () => {
+  test('are replaced by a new worker', async () => {
+    const pool = new EnginePool(1, DEFAULT_ENGINE_SETTINGS);
+
+    const crashed = pool.evaluate(positions[0], 16);
+    const queued = pool.evaluate(positions[1], 16);
+    workers[0].crash();
+
+    // Nothing was found before the crash, so the position is reported as not analysed
+    await expect(crashed).resolves.toMatchObject({ provenance: EngineProvenance.UNAVAILABLE });
+    await settle();
+
+    expect(workers[0].terminated).toBe(true);
+    expect(workers).toHaveLength(2);
+    expect(workers[1].searches).toEqual([positions[1]]);
+
+    workers[1].answer("g1f3");
+    await expect(queued).resolves.toMatchObject({ provenance: EngineProvenance.COMPLETE });
+    expect(pool.engines).toEqual([expect.objectContaining({ worker: workers[1] })]);
+  });
+});
+
+describe('configure', () => {
+  test('retires idle workers beyond the new size', async () => {
+    const pool = new EnginePool(2, DEFAULT_ENGINE_SETTINGS);
+    const results = [pool.evaluate(positions[0], 16), pool.evaluate(positions[1], 16)];
+
+    workers[0].answer("e7e5");
+    workers[1].answer("g1f3");
+    await Promise.all(results);
+    await settle();
+
+    pool.configure(DEFAULT_ENGINE_SETTINGS, 1);
+
+    expect(pool.engines).toHaveLength(1);
+    expect(workers.filter(worker => worker.terminated)).toHaveLength(1);
+  });
+});
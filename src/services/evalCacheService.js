@@ -0,0 +1,138 @@
+/**
+ * Persistent cache of engine results in IndexedDB
+ * Results are keyed by normalised FEN plus the settings that change what the
+ * engine returns, and the least recently used entries are evicted first
+ */
+import {
+  STORES,
+  getRecord,
+  putRecord,
+  countRecords,
+  clearStore,
+  deleteOldestRecords
+} from './databaseService';
+import { EngineProvenance, SearchLimit } from '../utils/constants';
+
+// Check the size limit every this many writes rather than on each one
+const EVICTION_INTERVAL = 50;
+let writesSinceEviction = 0;
+
+/**
+ * Reduce a FEN to the fields that matter for evaluation, dropping the move counters
+ * @param {string} fen - Full FEN
+ * @returns {string} - Placement, side to move, castling rights and en passant square
+ */
+export const normaliseFen = (fen) => fen.trim().split(/\s+/).slice(0, 4).join(" ");
+
+/**
+ * Build the cache key of a search. Depth is left out so a deeper result can
+ * answer a shallower request; other limits must match exactly.
+ * @param {string} fen - Position searched
+ * @param {object} settings - Engine profile
+ * @param {Array<string>} searchMoves - Root moves the search was restricted to
+ * @returns {string} - Cache key
+ */
+export const getCacheKey = (fen, settings, searchMoves = null) => {
+  let limit = SearchLimit.DEPTH;
+  if (settings.searchLimit === SearchLimit.MOVETIME) limit = `movetime ${settings.movetime}`;
+  if (settings.searchLimit === SearchLimit.NODES) limit = `nodes ${settings.nodes}`;
+
+  const restriction = searchMoves?.length ? ` searchmoves ${searchMoves.join(" ")}` : "";
+
+  return `${normaliseFen(fen)}|multipv ${settings.multiPv}|${limit}${restriction}`;
+};
+
+/**
+ * Look up a cached result that satisfies a search
+ * @param {string} fen - Position to search
+ * @param {number} depth - Requested depth
+ * @param {object} settings - Engine profile
+ * @param {Array<string>} searchMoves - Root moves the search is restricted to
+ * @returns {Promise<object|null>} - Engine lines and provenance, or null on a miss
+ */
+export const getCachedEvaluation = async (fen, depth, settings, searchMoves = null) => {
+  if (!settings.cacheLimit) return null;
+
+  try {
+    const record = await getRecord(STORES.EVALUATIONS, getCacheKey(fen, settings, searchMoves));
+    if (!record) return null;
+
+    if (settings.searchLimit === SearchLimit.DEPTH && record.depth < depth) return null;
+
+    // Touch the entry so eviction keeps it; failing to do so is harmless
+    putRecord(STORES.EVALUATIONS, { ...record, lastUsed: Date.now() }).catch(() => {});
+
+    return { lines: record.lines, provenance: EngineProvenance.COMPLETE };
+  } catch (error) {
+    console.warn("Evaluation cache unavailable:", error);
+    return null;
+  }
+};
+
+/**
+ * Store a finished search. Only complete results with lines are kept, and a
+ * deeper entry is never replaced by a shallower one.
+ * @param {string} fen - Position searched
+ * @param {number} depth - Depth the search was asked to reach
+ * @param {object} settings - Engine profile
+ * @param {object} result - Engine lines and provenance
+ * @param {Array<string>} searchMoves - Root moves the search was restricted to
+ * @returns {Promise<void>}
+ */
+export const storeEvaluation = async (fen, depth, settings, result, searchMoves = null) => {
+  if (!settings.cacheLimit) return;
+  if (result?.provenance !== EngineProvenance.COMPLETE || !result.lines?.length) return;
+
+  try {
+    const key = getCacheKey(fen, settings, searchMoves);
+    const existing = await getRecord(STORES.EVALUATIONS, key);
+    if (existing && existing.depth > depth) return;
+
+    const now = Date.now();
+    await putRecord(STORES.EVALUATIONS, {
+      key,
+      fen: normaliseFen(fen),
+      depth,
+      lines: result.lines,
+      storedAt: now,
+      lastUsed: now
+    });
+
+    writesSinceEviction++;
+    if (writesSinceEviction >= EVICTION_INTERVAL) {
+      writesSinceEviction = 0;
+      await evictEvaluations(settings.cacheLimit);
+    }
+  } catch (error) {
+    console.warn("Could not cache evaluation:", error);
+  }
+};
+
+/**
+ * Delete the least recently used entries beyond the size limit
+ * @param {number} limit - Maximum number of cached positions
+ * @returns {Promise<void>}
+ */
+export const evictEvaluations = async (limit) => {
+  const count = await countRecords(STORES.EVALUATIONS);
+  await deleteOldestRecords(STORES.EVALUATIONS, "lastUsed", count - limit);
+};
+
+/**
+ * Number of cached results
+ * @returns {Promise<number>} - Entry count, 0 if the cache can't be opened
+ */
+export const getEvaluationCacheSize = async () => {
+  try {
+    return await countRecords(STORES.EVALUATIONS);
+  } catch (error) {
+    console.warn("Evaluation cache unavailable:", error);
+    return 0;
+  }
+};
+
+/**
+ * Remove every cached result
+ * @returns {Promise<void>}
+ */
+export const clearEvaluationCache = () => clearStore(STORES.EVALUATIONS);
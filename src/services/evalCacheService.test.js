@@ -0,0 +1,107 @@
+import { EngineProvenance, SearchLimit, DEFAULT_ENGINE_SETTINGS } from '../utils/constants';
+
+// IndexedDB is replaced by a map, fresh for every test
+jest.mock('./databaseService', () => {
+  const records = new Map();
+
+  return {
+    STORES: { EVALUATIONS: "evaluations" },
+    getRecord: jest.fn(async (store, key) => records.get(key) || null),
+    putRecord: jest.fn(async (store, record) => {
+      records.set(record.key, record);
+    }),
+    countRecords: jest.fn(async () => records.size),
+    clearStore: jest.fn(async () => records.clear()),
+    deleteOldestRecords: jest.fn(async () => {})
+  };
+});
+
+const fen = "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1";
+const settings = { ...DEFAULT_ENGINE_SETTINGS, searchLimit: SearchLimit.DEPTH };
+const complete = { lines: [{ id: 1, depth: 20, evaluation: { type: "cp", value: 30 } }], provenance: EngineProvenance.COMPLETE };
+
+let cache;
+let database;
+
+beforeEach(() => {
+  jest.resetModules();
+  cache = require('./evalCacheService');
+  database = require('./databaseService');
+});
+
+describe('getCacheKey', () => {
+  test('ignores the move counters of the FEN', () => {
+    const laterFen = fen.replace(/0 1$/, "4 12");
+    expect(cache.getCacheKey(laterFen, settings)).toBe(cache.getCacheKey(fen, settings));
+  });
+
+  test('leaves the depth out but keeps the other limits', () => {
+    const movetime = { ...settings, searchLimit: SearchLimit.MOVETIME, movetime: 1000 };
+
+    expect(cache.getCacheKey(fen, { ...settings, depth: 12 })).toBe(cache.getCacheKey(fen, { ...settings, depth: 20 }));
+    expect(cache.getCacheKey(fen, movetime)).not.toBe(cache.getCacheKey(fen, { ...movetime, movetime: 2000 }));
+    expect(cache.getCacheKey(fen, settings)).not.toBe(cache.getCacheKey(fen, { ...settings, multiPv: 1 }));
+  });
+
+  test('keeps searches restricted to some moves apart', () => {
+    expect(cache.getCacheKey(fen, settings, ["e7e5"])).not.toBe(cache.getCacheKey(fen, settings));
+    expect(cache.getCacheKey(fen, settings, ["e7e5"])).not.toBe(cache.getCacheKey(fen, settings, ["c7c5"]));
+  });
+});
+
+describe('getCachedEvaluation', () => {
+  test('answers a shallower request with a deeper result', async () => {
+    await cache.storeEvaluation(fen, 20, settings, complete);
+
+    expect(await cache.getCachedEvaluation(fen, 16, settings)).toEqual({
+      lines: complete.lines,
+      provenance: EngineProvenance.COMPLETE
+    });
+    expect(await cache.getCachedEvaluation(fen, 20, settings)).not.toBeNull();
+  });
+
+  test('does not answer a deeper request with a shallower result', async () => {
+    await cache.storeEvaluation(fen, 16, settings, complete);
+    expect(await cache.getCachedEvaluation(fen, 20, settings)).toBeNull();
+  });
+
+  test('keeps a searchmoves result apart from the full search', async () => {
+    await cache.storeEvaluation(fen, 20, settings, complete, ["e7e5"]);
+
+    expect(await cache.getCachedEvaluation(fen, 20, settings)).toBeNull();
+    expect(await cache.getCachedEvaluation(fen, 20, settings, ["e7e5"])).not.toBeNull();
+  });
+
+  test('is off when the cache limit is 0', async () => {
+    await cache.storeEvaluation(fen, 20, settings, complete);
+    expect(await cache.getCachedEvaluation(fen, 20, { ...settings, cacheLimit: 0 })).toBeNull();
+  });
+});
+
+describe('storeEvaluation', () => {
+  test('does not store partial or empty results', async () => {
+    await cache.storeEvaluation(fen, 20, settings, { ...complete, provenance: EngineProvenance.PARTIAL });
+    await cache.storeEvaluation(fen, 20, settings, { lines: [], provenance: EngineProvenance.COMPLETE });
+
+    expect(database.putRecord).not.toHaveBeenCalled();
+    expect(await cache.getCachedEvaluation(fen, 1, settings)).toBeNull();
+  });
+
+  test('never replaces a deeper result with a shallower one', async () => {
+    await cache.storeEvaluation(fen, 20, settings, complete);
+    await cache.storeEvaluation(fen, 12, settings, { ...complete, lines: [{ id: 1, depth: 12 }] });
+
+    expect((await cache.getCachedEvaluation(fen, 20, settings)).lines).toEqual(complete.lines);
+  });
+
+  test('evicts the least recently used entries every 50 writes', async () => {
+    const limit = { ...settings, cacheLimit: 10 };
+    const store = (index) => cache.storeEvaluation(fen, 20, limit, complete, [`move${index}`]);
+
+    for (let index = 0; index < 49; index++) await store(index);
+    expect(database.deleteOldestRecords).not.toHaveBeenCalled();
+
+    await store(49);
+    expect(database.deleteOldestRecords).toHaveBeenCalledWith("evaluations", "lastUsed", 40);
+  });
+});
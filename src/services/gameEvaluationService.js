@@ -0,0 +1,171 @@
+/**
+ * Engine evaluation of the positions of a game
+ * Shared by the analysis of the displayed game and the background batch queue
+ */
+import { getEnginePool } from './enginePool';
+import { isAbortError } from './stockfishService';
+import { getCachedEvaluation, storeEvaluation } from './evalCacheService';
+import { EngineProvenance } from '../utils/constants';
+import { processEngineLines } from '../utils/analysisHelpers';
+
+/**
+ * Evaluate a position, answering from the evaluation cache when it holds a
+ * result at least as deep and only starting a search on a miss
+ * @param {EnginePool} pool - Engine pool to run the search on
+ * @param {string} fen - Position to evaluate
+ * @param {number} depth - Depth to search to
+ * @param {object} settings - Engine profile
+ * @param {object} options - Search options
+ * @param {AbortSignal} options.signal - Cancels the search
+ * @param {Array<string>} options.searchMoves - UCI moves to restrict the search to
+ * @returns {Promise<object>} - Engine lines and the provenance of the result
+ */
+const evaluateWithCache = async (pool, fen, depth, settings, { signal = null, searchMoves = null } = {}) => {
+  const cached = await getCachedEvaluation(fen, depth, settings, searchMoves);
+  if (cached) return cached;
+  
+  const result = await pool.evaluate(fen, depth, { signal, searchMoves });
+  storeEvaluation(fen, depth, settings, result, searchMoves);
+  
+  return result;
+};
+
+/**
+ * Evaluate the move that was actually played with `go searchmoves`
+ * @param {EnginePool} pool - Engine pool to run the search on
+ * @param {string} fen - Position the move was played from
+ * @param {string} moveUci - The played move in UCI notation
+ * @param {number} depth - Depth to search to, matching the position's own search
+ * @param {object} settings - Engine profile
+ * @param {AbortSignal} signal - Cancels the search
+ * @returns {Promise<object|null>} - Evaluation of the played move, or null if the engine gave none
+ */
+const evaluatePlayedMove = async (pool, fen, moveUci, depth, settings, signal) => {
+  if (!moveUci) return null;
+  
+  try {
+    const { lines, provenance } = await evaluateWithCache(pool, fen, depth, settings, { signal, searchMoves: [moveUci] });
+    const line = lines.find(candidate => candidate.moveUCI === moveUci);
+    
+    if (!line?.evaluation || provenance === EngineProvenance.UNAVAILABLE) return null;
+    
+    return {
+      evaluation: line.evaluation,
+      wdl: line.wdl,
+      depth: line.depth,
+      provenance
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    
+    console.warn(`Could not evaluate played move ${moveUci}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Evaluate positions using Stockfish with improved PV line extraction
+ * Positions are queued on the shared engine pool, which runs as many
+ * searches in parallel as the device has cores to spare
+ * @param {Array} positions - Array of positions to evaluate
+ * @param {number} depth - Evaluation depth
+ * @param {object} settings - Engine profile to search with
+ * @param {Function} progressCallback - Callback for progress updates
+ * @param {object} options - Evaluation options
+ * @param {AbortSignal} options.signal - Stops the remaining searches; finished positions are kept
+ * @param {Array<number>} options.indices - Only evaluate these positions, others are returned as they are
+ * @returns {Promise<Array>} - Array of evaluated positions
+ */
+export const evaluateGamePositions = async (
+  positions, 
+  depth, 
+  settings, 
+  progressCallback, 
+  { signal = null, indices = null } = {}
+) => {
+  const evaluatedPositions = [...positions];
+  const targetIndices = indices || positions.map((_, index) => index);
+  const total = targetIndices.length;
+  let completedCount = 0;
+  
+  const pool = getEnginePool();
+  pool.configure(settings);
+  
+  const evaluatePosition = async (position, index) => {
+    // Skip positions with missing move data (except first position)
+    if (!position.move && index > 0) {
+      console.warn(`Position at index ${index} is missing move data, skipping...`);
+      completedCount++;
+      progressCallback((completedCount / total) * 100, evaluatedPositions);
+      return;
+    }
+    
+    try {
+      console.log(`Analyzing position ${index} with Stockfish, target depth ${depth}`);
+      
+      const previousFen = index > 0 ? positions[index - 1]?.fen : null;
+      
+      // The played move is searched on its own from the previous position at the same depth
+      const [{ lines, provenance }, playedMoveEvaluation] = await Promise.all([
+        evaluateWithCache(pool, position.fen, depth, settings, { signal }),
+        previousFen ? evaluatePlayedMove(pool, previousFen, position.move.uci, depth, settings, signal) : null
+      ]);
+      
+      evaluatedPositions[index] = {
+        ...position,
+        // Process the engine lines to convert UCI to SAN and prepare future moves
+        topLines: processEngineLines(position.fen, lines),
+        engineProvenance: provenance,
+        playedMoveEvaluation,
+        requestedDepth: depth,
+        worker: "stockfish"
+      };
+    } catch (error) {
+      // Cancelled positions are left unevaluated
+      if (isAbortError(error)) return;
+      
+      console.error(`Error evaluating position ${index}:`, error);
+      
+      // Never invent lines: the position is reported as not analysed instead
+      evaluatedPositions[index] = {
+        ...position,
+        topLines: [],
+        engineProvenance: EngineProvenance.UNAVAILABLE,
+        requestedDepth: depth,
+        worker: "stockfish"
+      };
+    }
+    
+    completedCount++;
+    progressCallback((completedCount / total) * 100, evaluatedPositions);
+  };
+  
+  await Promise.all(targetIndices.map(index => evaluatePosition(positions[index], index)));
+  
+  return evaluatedPositions;
+};
+
+/**
+ * Second pass of a two-pass analysis: positions whose quick result is
+ * uncertain are searched again at the full depth, and those that reached it
+ * are marked as critical
+ * @param {Array} positions - Positions evaluated by the quick pass
+ * @param {Array<number>} indices - Positions to search again, from findUncertainPositions
+ * @param {number} depth - Full depth
+ * @param {object} settings - Engine profile to search with
+ * @param {Function} progressCallback - Callback for progress updates
+ * @param {object} options - Evaluation options
+ * @param {AbortSignal} options.signal - Stops the remaining searches; finished positions are kept
+ * @returns {Promise<Array>} - Array of evaluated positions
+ */
+export const deepenUncertainPositions = async (positions, indices, depth, settings, progressCallback, { signal = null } = {}) => {
+  const evaluated = await evaluateGamePositions(positions, depth, settings, progressCallback, { signal, indices });
+  
+  for (const index of indices) {
+    if (evaluated[index].requestedDepth === depth) {
+      evaluated[index] = { ...evaluated[index], isCriticalPosition: true };
+    }
+  }
+  
+  return evaluated;
+};
@@ -0,0 +1,54 @@
+/**
+ * Local library of finished analyses in IndexedDB
+ * Entries hold the same JSON as a saved report, so they open like one
+ */
+import {
+  STORES,
+  putRecord,
+  deleteRecord,
+  getAllRecords
+} from './databaseService';
+
+/**
+ * Store a finished analysis
+ * @param {object} analysis - Saved analysis: players, headers, results and settings
+ * @param {string} pgn - PGN of the analysed game
+ * @returns {Promise<string>} - Id of the library entry
+ */
+export const saveLibraryGame = async (analysis, pgn) => {
+  const savedAt = Date.now();
+  const id = `game-${savedAt}-${Math.random().toString(36).slice(2, 8)}`;
+
+  await putRecord(STORES.LIBRARY, {
+    id,
+    savedAt,
+    white: analysis.players.white,
+    black: analysis.players.black,
+    accuracies: analysis.results.accuracies,
+    pgn,
+    analysis
+  });
+
+  return id;
+};
+
+/**
+ * Every analysis in the library, newest first
+ * @returns {Promise<Array>} - Library entries, empty if the library can't be opened
+ */
+export const getLibraryGames = async () => {
+  try {
+    const games = await getAllRecords(STORES.LIBRARY);
+    return games.sort((a, b) => b.savedAt - a.savedAt);
+  } catch (error) {
+    console.warn("Analysis library unavailable:", error);
+    return [];
+  }
+};
+
+/**
+ * Remove an analysis from the library
+ * @param {string} id - Library entry id
+ * @returns {Promise<void>}
+ */
+export const deleteLibraryGame = (id) => deleteRecord(STORES.LIBRARY, id);
@@ -0,0 +1,95 @@
+/**
+ * Checkpoint of the running analysis in IndexedDB
+ * A session holds the game and every position evaluated so far, so an
+ * analysis interrupted by a reload can continue where it stopped
+ */
+import {
+  STORES,
+  getRecord,
+  putRecord,
+  deleteRecord
+} from './databaseService';
+
+// Only one analysis runs at a time, so a new one replaces any unfinished session
+const ACTIVE_SESSION_ID = "active";
+
+// Writes run one at a time; checkpoints arriving meanwhile collapse into the latest
+let writeChain = Promise.resolve();
+let queuedSession = null;
+
+/**
+ * Create a session for a new analysis
+ * @param {object} details - pgn, depth, settings, whitePlayer, blackPlayer, headers and positions
+ * @returns {object} - Session record, not yet stored
+ */
+export const createSession = (details) => {
+  const now = Date.now();
+
+  return {
+    id: ACTIVE_SESSION_ID,
+    createdAt: now,
+    updatedAt: now,
+    ...details
+  };
+};
+
+/**
+ * Store the latest state of a session. Only the newest checkpoint is written
+ * when several arrive while a write is in progress.
+ * @param {object} session - Session with its evaluated positions
+ * @returns {Promise<void>}
+ */
+export const saveSessionCheckpoint = (session) => {
+  const pending = queuedSession;
+  queuedSession = { ...session, updatedAt: Date.now() };
+  if (pending) return writeChain;
+
+  writeChain = writeChain.then(async () => {
+    const latest = queuedSession;
+    queuedSession = null;
+    if (!latest) return;
+
+    try {
+      await putRecord(STORES.SESSIONS, latest);
+    } catch (error) {
+      console.warn("Could not checkpoint analysis:", error);
+    }
+  });
+
+  return writeChain;
+};
+
+/**
+ * Delete a session once its analysis has ended, after any pending checkpoint
+ * @param {string} id - Session id
+ * @returns {Promise<void>}
+ */
+export const deleteSession = (id) => {
+  if (queuedSession?.id === id) {
+    queuedSession = null;
+  }
+
+  writeChain = writeChain.then(async () => {
+    try {
+      await deleteRecord(STORES.SESSIONS, id);
+    } catch (error) {
+      console.warn("Could not delete analysis session:", error);
+    }
+  });
+
+  return writeChain;
+};
+
+/**
+ * Session left behind by an analysis that never finished
+ * @returns {Promise<object|null>} - Session, or null if there is none
+ */
+export const getResumableSession = async () => {
+  try {
+    await writeChain;
+    return (await getRecord(STORES.SESSIONS, ACTIVE_SESSION_ID)) || null;
+  } catch (error) {
+    console.warn("Analysis sessions unavailable:", error);
+    return null;
+  }
+};
@@ -3,9 +3,27 @@
  * With comprehensive error handling for all edge cases
  */
 import { Chess } from 'chess.js';
+import { EngineProvenance, SearchLimit, DEFAULT_ENGINE_SETTINGS } from '../utils/constants';
+import { isChess960Position, toChessJsFen } from '../utils/chess960';
+
+/**
+ * Create the error used to reject searches cancelled through an AbortSignal
+ * @returns {DOMException} - Error named "AbortError"
+ */
+export const createAbortError = () => new DOMException("Analysis cancelled", "AbortError");
+
+/**
+ * Check whether an error comes from a cancelled search
+ * @param {Error} error - Error to check
+ * @returns {boolean} - Whether the error is an AbortError
+ */
+export const isAbortError = (error) => error?.name === "AbortError";
 
 export class Stockfish {
-  constructor() {
+  /**
+   * @param {object} settings - Engine profile, see DEFAULT_ENGINE_SETTINGS
+   */
+  constructor(settings = DEFAULT_ENGINE_SETTINGS) {
     // Use local Stockfish files instead of CDN with multiple fallbacks
     try {
       this.worker = new Worker('/scripts/stockfish.js');
@@ -25,14 +43,112 @@ export class Stockfish {
     
     this.depth = 0;
     
+    // Profile the worker's UCI options were last set from
+    this.settings = null;
+    
+    // Whether UCI_Chess960 is on; the engine starts with it off
+    this.chess960 = false;
+    
+    // Set when the worker errors or stops responding; the pool replaces crashed engines
+    this.crashed = !this.worker;
+    
+    // Callback of the search in progress, used to fail it if the worker crashes
+    this.onWorkerError = null;
+    
+    // Infinite search state: commands are chained so a new search never starts
+    // before the previous one has answered "stop"
+    this.liveSearch = Promise.resolve();
+    this.liveListener = null;
+    this.liveFlushTimer = null;
+    
     // Initialize Stockfish if worker was created successfully
     if (this.worker) {
+      this.worker.addEventListener("error", (error) => {
+        console.error("Stockfish worker error:", error);
+        this.crashed = true;
+        
+        if (this.onWorkerError) {
+          this.onWorkerError(error);
+        }
+      });
+      
       // Set up various options for better performance and analysis
       this.worker.postMessage("uci");
-      this.worker.postMessage("setoption name MultiPV value 3"); // Increased from 2 to 3 for more variations
-      this.worker.postMessage("setoption name Threads value 4"); // Use more CPU threads
-      this.worker.postMessage("setoption name Hash value 128"); // 128MB hash table 
       this.worker.postMessage("setoption name Skill Level value 20"); // Max skill level
+      this.worker.postMessage("setoption name UCI_ShowWDL value true"); // Report win/draw/loss chances with each line
+    }
+    
+    this.configure(settings);
+  }
+  
+  /**
+   * Apply an engine profile, only sending the UCI options that changed.
+   * Must not be called while a search is running.
+   * @param {object} settings - Engine profile, see DEFAULT_ENGINE_SETTINGS
+   */
+  configure(settings) {
+    const previous = this.settings || {};
+    this.settings = { ...DEFAULT_ENGINE_SETTINGS, ...settings };
+    
+    if (!this.worker || this.crashed) return;
+    
+    try {
+      if (this.settings.multiPv !== previous.multiPv) {
+        this.worker.postMessage(`setoption name MultiPV value ${this.settings.multiPv}`);
+      }
+      if (this.settings.threads !== previous.threads) {
+        this.worker.postMessage(`setoption name Threads value ${this.settings.threads}`);
+      }
+      if (this.settings.hash !== previous.hash) {
+        this.worker.postMessage(`setoption name Hash value ${this.settings.hash}`); // Hash table in MB, kept between searches
+      }
+    } catch (e) {
+      console.warn("Error applying engine settings:", e);
+    }
+  }
+  
+  /**
+   * Send a position, switching Chess960 mode on only for positions whose
+   * castling needs it, so castling moves come back as king takes rook there
+   * @param {string} fen - Position to search
+   */
+  setPosition(fen) {
+    const chess960 = isChess960Position(fen);
+    
+    if (chess960 !== this.chess960) {
+      this.worker.postMessage(`setoption name UCI_Chess960 value ${chess960}`);
+      this.chess960 = chess960;
+    }
+    
+    this.worker.postMessage("position fen " + fen);
+  }
+  
+  /**
+   * Build the "go" command for the profile's search limit
+   * @param {number} targetDepth - Depth to search to when searching by depth
+   * @returns {string} - UCI go command without searchmoves
+   */
+  getGoCommand(targetDepth) {
+    switch (this.settings.searchLimit) {
+      case SearchLimit.MOVETIME:
+        return "go movetime " + this.settings.movetime;
+      case SearchLimit.NODES:
+        return "go nodes " + this.settings.nodes;
+      default:
+        return "go depth " + targetDepth;
+    }
+  }
+  
+  /**
+   * Stop the worker for good. The instance cannot be used afterwards.
+   */
+  terminate() {
+    this.crashed = true;
+    
+    try {
+      this.worker?.terminate();
+    } catch (e) {
+      console.warn("Error terminating worker:", e);
     }
   }
   
@@ -45,17 +161,12 @@ export class Stockfish {
   isValidUCIFormat(moveUCI) {
     if (!moveUCI || typeof moveUCI !== 'string') return false;
     
-    // Handle standard UCI format: e.g., "e2e4", "e7e8q"
+    // Handle standard UCI format: e.g., "e2e4", "e7e8q". Castling is written
+    // as a king move in chess ("e1g1") and as king takes rook in Chess960 ("e1h1")
     if (/^[a-h][1-8][a-h][1-8][qrbnk]?$/.test(moveUCI)) {
       return true;
     }
     
-    // Handle special cases like castling in some UCI variants
-    if (moveUCI === 'e1g1' || moveUCI === 'e1c1' || // White castling
-        moveUCI === 'e8g8' || moveUCI === 'e8c8') { // Black castling
-      return true;
-    }
-    
     // Some Stockfish versions might output null moves, like "(none)"
     if (moveUCI === '0000' || moveUCI === '(none)') {
       return false;
@@ -69,22 +180,28 @@ export class Stockfish {
    * Evaluate a chess position using Stockfish - with comprehensive error handling
    * @param {string} fen - The FEN string representing the position
    * @param {number} targetDepth - The depth to search to
-   * @param {boolean} verbose - Whether to log verbose output
-   * @returns {Promise<Array>} - Array of engine lines with evaluations
+   * @param {object} options - Search options
+   * @param {boolean} options.verbose - Whether to log verbose output
+   * @param {AbortSignal} options.signal - Signal that stops the search and rejects with an AbortError
+   * @param {Array<string>} options.searchMoves - UCI moves to restrict the search to, e.g. the move actually played
+   * @returns {Promise<object>} - Engine lines with evaluations and the provenance of the result
    */
-  async evaluate(fen, targetDepth = 16, verbose = false) {
+  async evaluate(fen, targetDepth = 16, { verbose = false, signal = null, searchMoves = null } = {}) {
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+    
     // Validate inputs
     if (!fen || typeof fen !== 'string') {
       console.error("Invalid FEN provided to Stockfish evaluate:", fen);
-      return this.getDefaultEvaluation();
+      return this.buildResult([], EngineProvenance.UNAVAILABLE);
     }
     
-    // Check for checkmate early to avoid unnecessary processing
+    // Check for checkmate or stalemate early to avoid unnecessary processing
     try {
-      const chess = new Chess(fen);
-      if (chess.isCheckmate()) {
-        console.log("Checkmate detected in evaluate, skipping engine analysis");
-        return []; // Return empty array for checkmate
+      if (this.isTerminalPosition(fen)) {
+        console.log("Game over detected in evaluate, skipping engine analysis");
+        return this.buildResult([], EngineProvenance.COMPLETE); // No lines exist in a finished game
       }
     } catch (e) {
       console.warn("Error checking for checkmate:", e);
@@ -100,82 +217,104 @@ export class Stockfish {
     targetDepth = Math.min(Math.max(targetDepth, 1), 30);
     
     // If worker wasn't created successfully, return a default evaluation
-    if (!this.worker) {
-      console.warn("No Stockfish worker available, returning default evaluation");
-      return this.getDefaultEvaluation(fen);
+    if (!this.worker || this.crashed) {
+      console.warn("No Stockfish worker available, position cannot be analysed");
+      return this.buildResult([], EngineProvenance.UNAVAILABLE);
     }
     
-    // Adjust timeout based on depth
+    // Depth reached is tracked per search now that workers are reused
+    this.depth = 0;
+    
+    // Adjust timeout based on the search limit
     const timeoutMs = this.getTimeoutForDepth(targetDepth);
-    console.log(`Setting timeout to ${timeoutMs}ms for depth ${targetDepth}`);
+    console.log(`Setting timeout to ${timeoutMs}ms for ${this.getGoCommand(targetDepth)}`);
+    
+    // Restricting the root moves gives an exact, same-depth score for those moves only
+    const rootMoves = (searchMoves || []).filter(move => this.isValidUCIFormat(move));
+    const searchMovesSuffix = rootMoves.length ? " searchmoves " + rootMoves.join(" ") : "";
     
-    // Send position to Stockfish with a lower initial depth for quicker feedback
+    // Send position to Stockfish and start the search
     try {
-      this.worker.postMessage("position fen " + fen);
-      
-      // For high depths, first do a quicker analysis to get initial results
-      if (targetDepth > 18) {
-        this.worker.postMessage("go depth 10");
-        await new Promise(resolve => setTimeout(resolve, 500)); // Brief wait
-        this.worker.postMessage("stop");
-        await new Promise(resolve => setTimeout(resolve, 100)); // Wait for stop to process
-      }
-      
-      // Now start the main analysis
-      this.worker.postMessage("go depth " + targetDepth);
+      this.setPosition(fen);
+      this.worker.postMessage(this.getGoCommand(targetDepth) + searchMovesSuffix);
     } catch (initialError) {
       console.error("Error starting Stockfish analysis:", initialError);
-      return this.getDefaultEvaluation(fen);
+      return this.buildResult([], EngineProvenance.UNAVAILABLE);
     }
     
     const messages = [];
     const lines = [];
-    let receivedBestMove = false;
     
-    return new Promise(resolve => {
+    // Set once the search had to be cut short, so its lines are shallower than requested
+    let timedOut = false;
+    
+    return new Promise((resolve, reject) => {
+      let finished = false;
+      let aborted = false;
+      
+      // Settle exactly once and detach from the worker so it can be reused
+      const finish = (result) => {
+        if (finished) return;
+        finished = true;
+        
+        clearTimeout(timeout);
+        this.worker.removeEventListener("message", handleMessage);
+        signal?.removeEventListener("abort", handleAbort);
+        this.onWorkerError = null;
+        
+        if (aborted) {
+          reject(createAbortError());
+        } else {
+          resolve(result);
+        }
+      };
+      
+      // Stop the search; the bestmove reply settles the promise with an AbortError
+      const handleAbort = () => {
+        aborted = true;
+        clearTimeout(timeout);
+        
+        try {
+          this.worker.postMessage("stop");
+        } catch (e) {
+          console.warn("Error stopping analysis:", e);
+        }
+        
+        setTimeout(() => {
+          if (finished) return;
+          
+          console.warn("Stockfish did not answer stop, discarding worker");
+          this.terminate();
+          finish(null);
+        }, 500);
+      };
+      
       // Implement a timeout to prevent infinite wait
       const timeout = setTimeout(() => {
-        console.warn(`Timeout reached for depth ${targetDepth}, stopping analysis`);
+        console.warn(`Timeout reached for ${this.getGoCommand(targetDepth)}, stopping analysis`);
+        timedOut = true;
         
-        // Try to stop the analysis gracefully first
+        // Try to stop the analysis gracefully, the bestmove reply finishes the search
         try {
           this.worker.postMessage("stop");
-          
-          // Give it a brief moment to respond with bestmove
-          setTimeout(() => {
-            try {
-              this.worker.terminate();
-            } catch (e) {
-              console.warn("Error terminating worker:", e);
-            }
-            
-            // If we got at least one line, use it but ensure we have at least two
-            if (lines.length > 0) {
-              const result = this.ensureMultipleLines(lines, fen);
-              resolve(result);
-            } else {
-              // Complete fallback
-              resolve(this.getDefaultEvaluation(fen));
-            }
-          }, 500);
         } catch (e) {
-          // If stopping fails, terminate immediately
-          try {
-            this.worker.terminate();
-          } catch (e2) {
-            console.warn("Error terminating worker:", e2);
-          }
-          
-          if (lines.length > 0) {
-            const result = this.ensureMultipleLines(lines, fen);
-            resolve(result);
-          } else {
-            resolve(this.getDefaultEvaluation(fen));
-          }
+          console.warn("Error stopping analysis:", e);
         }
+        
+        // Give it a brief moment to respond with bestmove
+        setTimeout(() => {
+          if (finished) return;
+          
+          // An engine that ignores "stop" cannot be trusted with the next position
+          console.warn("Stockfish did not answer stop, discarding worker");
+          this.terminate();
+          
+          // Whatever the engine found before it stopped answering is all we have
+          finish(this.buildResult(lines, EngineProvenance.PARTIAL, fen));
+        }, 500);
       }, timeoutMs);
       
-      this.worker.addEventListener("message", event => {
+      const handleMessage = (event) => {
         // Safety check
         if (!event || !event.data) return;
         
@@ -209,56 +348,136 @@ export class Stockfish {
         
         // Best move or checkmate log indicates end of search
         if (message.startsWith("bestmove")) {
-          receivedBestMove = true;
-          clearTimeout(timeout);
-          
-          try {
-            // Extract the best move from the message
-            const bestmove = message.match(/bestmove\s+(\S+)/)?.[1];
-            
-            // Ensure we have at least two variation lines
-            const result = this.ensureMultipleLines(lines, fen, bestmove);
-            
-            try {
-              this.worker.terminate();
-            } catch (e) {
-              console.warn("Error terminating worker:", e);
-            }
-            
-            resolve(result);
-          } catch (e) {
-            console.warn("Error processing bestmove response:", e);
-            
-            try {
-              this.worker.terminate();
-            } catch (e2) {
-              console.warn("Error terminating worker:", e2);
-            }
-            
-            if (lines.length > 0) {
-              resolve(this.ensureMultipleLines(lines, fen));
-            } else {
-              resolve(this.getDefaultEvaluation(fen));
-            }
-          }
+          finish(this.buildResult(
+            lines, 
+            timedOut ? EngineProvenance.PARTIAL : EngineProvenance.COMPLETE, 
+            fen
+          ));
         }
-      });
+      };
       
-      // Handle errors and provide fallback
-      this.worker.addEventListener("error", (error) => {
-        console.error("Stockfish worker error:", error);
-        clearTimeout(timeout);
+      this.worker.addEventListener("message", handleMessage);
+      signal?.addEventListener("abort", handleAbort);
+      
+      // Keep the lines found so far if the worker dies mid-search
+      this.onWorkerError = () => {
+        finish(this.buildResult(lines, EngineProvenance.PARTIAL, fen));
+      };
+    });
+  }
+  
+  /**
+   * Search a position until stopped, streaming the lines as they improve.
+   * Any infinite search already running is stopped first.
+   * @param {string} fen - The FEN string representing the position
+   * @param {function} onUpdate - Called with the fen, lines, depth, nodes and nps found so far
+   * @param {object} options - Search options
+   * @param {object} options.settings - Engine profile to apply while the engine is idle
+   * @param {number} options.throttleMs - Minimum time between two updates
+   * @returns {Promise<void>} - Resolves once the new search has started
+   */
+  analyseInfinite(fen, onUpdate, { settings = null, throttleMs = 250 } = {}) {
+    this.liveSearch = this.liveSearch.then(async () => {
+      await this.endLiveSearch();
+      
+      if (!this.worker || this.crashed || !fen) return;
+      
+      if (settings) {
+        this.configure(settings);
+      }
+      
+      try {
+        if (this.isTerminalPosition(fen)) {
+          onUpdate({ fen, lines: [], depth: 0, nodes: 0, nps: 0 });
+          return;
+        }
+      } catch (e) {
+        console.warn("Invalid FEN for live analysis:", fen);
+        return;
+      }
+      
+      const lines = [];
+      const stats = { depth: 0, nodes: 0, nps: 0 };
+      
+      const flush = () => {
+        this.liveFlushTimer = null;
+        onUpdate({ fen, lines: [...lines].sort((a, b) => a.id - b.id), ...stats });
+      };
+      
+      this.liveListener = (event) => {
+        const message = event?.data;
+        if (typeof message !== "string" || !message.startsWith("info depth")) return;
         
-        // Terminate the current Stockfish
-        try {
-          this.worker.terminate();
-        } catch (e) {
-          console.warn("Error terminating worker:", e);
+        stats.depth = Math.max(stats.depth, parseInt(message.match(/(?:depth )(\d+)/)?.[1] || "0"));
+        stats.nodes = parseInt(message.match(/(?: nodes )(\d+)/)?.[1] || stats.nodes);
+        stats.nps = parseInt(message.match(/(?: nps )(\d+)/)?.[1] || stats.nps);
+        
+        if (message.includes(" pv ")) {
+          this.processSearchInfo(message, lines, fen);
         }
         
-        // Provide a basic response as fallback
-        resolve(this.getDefaultEvaluation(fen));
-      });
+        if (!this.liveFlushTimer) {
+          this.liveFlushTimer = setTimeout(flush, throttleMs);
+        }
+      };
+      
+      this.worker.addEventListener("message", this.liveListener);
+      this.setPosition(fen);
+      this.worker.postMessage("go infinite");
+    }).catch(error => {
+      console.error("Error starting live analysis:", error);
+    });
+    
+    return this.liveSearch;
+  }
+  
+  /**
+   * Stop the infinite search, if one is running
+   * @returns {Promise<void>} - Resolves once the engine has stopped
+   */
+  stopInfinite() {
+    this.liveSearch = this.liveSearch.then(() => this.endLiveSearch());
+    return this.liveSearch;
+  }
+  
+  /**
+   * Detach the running infinite search and wait for its bestmove
+   */
+  async endLiveSearch() {
+    if (!this.liveListener) return;
+    
+    this.worker.removeEventListener("message", this.liveListener);
+    this.liveListener = null;
+    clearTimeout(this.liveFlushTimer);
+    this.liveFlushTimer = null;
+    
+    if (this.crashed) return;
+    
+    this.worker.postMessage("stop");
+    await this.waitForBestMove(1000);
+  }
+  
+  /**
+   * Wait for the bestmove that ends the current search
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<boolean>} - Whether bestmove arrived in time
+   */
+  waitForBestMove(timeoutMs) {
+    return new Promise(resolve => {
+      const handleMessage = (event) => {
+        if (typeof event?.data === "string" && event.data.startsWith("bestmove")) {
+          clearTimeout(timeout);
+          this.worker.removeEventListener("message", handleMessage);
+          resolve(true);
+        }
+      };
+      
+      const timeout = setTimeout(() => {
+        this.worker.removeEventListener("message", handleMessage);
+        resolve(false);
+      }, timeoutMs);
+      
+      this.worker.addEventListener("message", handleMessage);
     });
   }
   
@@ -325,6 +544,15 @@ export class Stockfish {
         // Keep default evaluation
       }
       
+      // Win/draw/loss per mille, turned around like the evaluation so it reads
+      // [white wins, draw, black wins]. Engines without UCI_ShowWDL leave it null.
+      let wdl = null;
+      const wdlMatch = message.match(/(?: wdl )(\d+) (\d+) (\d+)/);
+      if (wdlMatch) {
+        const [win, draw, loss] = wdlMatch.slice(1, 4).map(value => parseInt(value));
+        wdl = fen.includes(" b ") ? [loss, draw, win] : [win, draw, loss];
+      }
+      
       const id = parseInt(idString);
       const depth = parseInt(depthString);
       
@@ -352,6 +580,7 @@ export class Stockfish {
         depth,
         actualDepth,
         evaluation,
+        wdl,
         moveUCI,
         futureMoveUCIs
       });
@@ -362,235 +591,68 @@ export class Stockfish {
   }
   
   /**
-   * Ensure we have multiple variation lines to prevent forced-move classification
-   * With comprehensive handling of all edge cases
+   * Check whether a position has no legal moves (checkmate or stalemate)
+   * @param {string} fen - Position to check
+   * @returns {boolean} - Whether the game is over in this position
    */
-  ensureMultipleLines(lines, fen, bestmove = null) {
-    try {
-      // Check for checkmate before anything else
-      if (fen) {
-        try {
-          const chess = new Chess(fen);
-          if (chess.isCheckmate()) {
-            console.log("Checkmate detected in ensureMultipleLines, returning empty array");
-            return []; // Return empty array for checkmate
-          }
-        } catch (e) {
-          console.warn("Error checking for checkmate:", e);
-          // Continue with normal processing if checkmate check fails
-        }
-      }
-      
-      if (!lines || !Array.isArray(lines) || lines.length === 0) {
-        // Complete fallback
-        return this.getDefaultEvaluation(fen, bestmove);
-      }
-      
-      // Filter out any invalid lines
-      const validLines = lines.filter(line => 
-        line && line.moveUCI && this.isValidUCIFormat(line.moveUCI) && line.evaluation
-      );
-      
-      if (validLines.length === 0) {
-        return this.getDefaultEvaluation(fen, bestmove);
-      }
-      
-      // Sort lines by ID to ensure consistent order
-      validLines.sort((a, b) => a.id - b.id);
-      
-      // If we already have multiple lines, we're good
-      if (validLines.length >= 2) {
-        return validLines;
-      }
-      
-      // We have only one line - create a plausible second line
-      const mainLine = validLines[0];
-      
-      // Create a second line with a slightly worse evaluation
-      // This prevents moves from being classified as "forced"
-      const secondLine = {
-        id: 2,
-        depth: mainLine.depth,
-        actualDepth: mainLine.actualDepth,
-        evaluation: { 
-          type: mainLine.evaluation.type,
-          // Make it slightly worse but not terrible
-          value: mainLine.evaluation.type === "cp" 
-            ? mainLine.evaluation.value - 25 // 0.25 pawns worse
-            : (mainLine.evaluation.value > 0 
-               ? mainLine.evaluation.value + 1 // Mate in one move later 
-               : mainLine.evaluation.value - 1) // Mate in one move sooner (if negative)
-        },
-        moveUCI: this.generateAlternativeMoveUCI(mainLine.moveUCI, fen, bestmove),
-        futureMoveUCIs: []
-      };
-      
-      return [mainLine, secondLine];
-    } catch (error) {
-      console.error("Error ensuring multiple lines:", error);
-      return this.getDefaultEvaluation(fen, bestmove);
-    }
+  isTerminalPosition(fen) {
+    const chess = new Chess(toChessJsFen(fen));
+    return chess.isCheckmate() || chess.isStalemate();
   }
   
   /**
-   * Generate an alternative move UCI that's different from the main move
-   * Using a variety of general-purpose strategies that work in any position
+   * Package engine lines with the provenance of the search that produced them.
+   * Only lines the engine actually reported are returned; when none exist for
+   * a position that still has legal moves the result is marked unavailable.
+   * @param {Array} lines - Lines collected from info messages
+   * @param {string} provenance - EngineProvenance of the search
+   * @param {string} fen - Position that was searched
+   * @returns {object} - Object with lines and provenance
    */
-  generateAlternativeMoveUCI(mainMoveUCI, fen, bestmove = null) {
-    try {
-      // If we have bestmove but it's not the same as mainMoveUCI, use it
-      if (bestmove && bestmove !== mainMoveUCI && this.isValidUCIFormat(bestmove)) {
-        return bestmove;
-      }
-      
-      // If the main move is invalid, return a safe default
-      if (!this.isValidUCIFormat(mainMoveUCI)) {
-        return "e2e4"; // Default fallback
-      }
-      
-      // Get information from the main move
-      const fromFile = mainMoveUCI.charAt(0);
-      const fromRank = mainMoveUCI.charAt(1);
-      const toFile = mainMoveUCI.charAt(2);
-      const toRank = mainMoveUCI.charAt(3);
-      
-      // Strategy 1: For standard opening position, use common alternatives
-      if (fen.includes('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR')) {
-        const standardOpenings = ['e2e4', 'd2d4', 'c2c4', 'g1f3', 'b1c3'];
-        for (const opening of standardOpenings) {
-          if (opening !== mainMoveUCI) {
-            return opening;
-          }
+  buildResult(lines, provenance, fen = null) {
+    const validLines = (lines || [])
+      .filter(line => line && line.moveUCI && this.isValidUCIFormat(line.moveUCI) && line.evaluation)
+      .sort((a, b) => a.id - b.id);
+    
+    if (validLines.length === 0 && provenance !== EngineProvenance.UNAVAILABLE) {
+      try {
+        if (fen && this.isTerminalPosition(fen)) {
+          return { lines: [], provenance: EngineProvenance.COMPLETE };
         }
+      } catch (e) {
+        console.warn("Error checking for game over:", e);
       }
       
-      // Strategy 2: Try different destination squares for the same piece
-      if (fromFile === toFile) {
-        // If moving along a file, try moving to a different file
-        const newToFile = toFile === 'e' ? 'd' : 'e';
-        return fromFile + fromRank + newToFile + toRank;
-      } else if (fromRank === toRank) {
-        // If moving along a rank, try moving to a different rank
-        const newToRank = parseInt(toRank) + (toRank < '4' ? 1 : -1);
-        return fromFile + fromRank + toFile + newToRank;
-      }
-      
-      // Strategy 3: Try a different piece move from a similar position
-      const adjacentFile = fromFile === 'e' ? 'd' : 
-                         (fromFile === 'd' ? 'e' : 
-                         (fromFile < 'd' ? String.fromCharCode(fromFile.charCodeAt(0) + 1) : 
-                                         String.fromCharCode(fromFile.charCodeAt(0) - 1)));
-      return adjacentFile + fromRank + adjacentFile + toRank;
-    } catch (error) {
-      console.warn("Error generating alternative move:", error);
-      // If all else fails, return a common opening move
-      return "e2e4";
+      return { lines: [], provenance: EngineProvenance.UNAVAILABLE };
     }
+    
+    return { lines: validLines, provenance };
   }
   
   /**
-   * Get a default evaluation as fallback
-   * Provides sensible fallbacks for any position
+   * Get an appropriate timeout value for the profile's search limit
+   * @param {number} depth - Depth to search to when searching by depth
+   * @returns {number} - Timeout in milliseconds
    */
-  getDefaultEvaluation(fen, bestmove = null) {
-    try {
-      // Check for checkmate before anything else
-      if (fen) {
-        try {
-          const chess = new Chess(fen);
-          if (chess.isCheckmate()) {
-            console.log("Checkmate detected in getDefaultEvaluation, returning empty array");
-            // Return an empty array for checkmate - UI will show Game Over message
-            return [];
-          }
-        } catch (e) {
-          console.warn("Error checking for checkmate:", e);
-          // Continue with default evaluation if checkmate check fails
-        }
-      }
-      
-      // Default move for standard starting position
-      let defaultMove = "e2e4";
-      let secondaryMove = "d2d4";
-      
-      // If we have a valid FEN, try to determine a better default move
-      if (fen) {
-        const fenParts = fen.split(' ');
-        const board = fenParts[0];
-        const turn = fenParts[1];
-        
-        // If in starting position, use standard opening moves
-        if (board === 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR') {
-          defaultMove = "e2e4";
-          secondaryMove = "d2d4";
-        } else if (bestmove && this.isValidUCIFormat(bestmove)) {
-          // Use bestmove if available and valid
-          defaultMove = bestmove;
-          // Generate an alternative that's different
-          if (bestmove.startsWith('e')) {
-            secondaryMove = 'd' + bestmove.substring(1);
-          } else {
-            secondaryMove = 'e' + bestmove.substring(1);
-          }
-        } else {
-          // For other positions, make a reasonable guess based on the turn
-          if (turn === 'w') {
-            defaultMove = "e2e4";
-            secondaryMove = "d2d4";
-          } else {
-            defaultMove = "e7e5";
-            secondaryMove = "d7d5";
-          }
-        }
-      }
-      
-      // Always return at least two lines to prevent forced-move classification
-      return [
-        {
-          id: 1,
-          depth: Math.max(this.depth, 10),
-          actualDepth: Math.max(this.depth, 10),
-          evaluation: { type: "cp", value: 0 },
-          moveUCI: defaultMove,
-          futureMoveUCIs: []
-        },
-        {
-          id: 2,
-          depth: Math.max(this.depth, 10),
-          actualDepth: Math.max(this.depth, 10),
-          evaluation: { type: "cp", value: -25 }, // Slightly worse than main line
-          moveUCI: secondaryMove,
-          futureMoveUCIs: []
-        }
-      ];
-    } catch (error) {
-      console.error("Error in getDefaultEvaluation:", error);
-      // Absolute fallback for any case
-      return [
-        {
-          id: 1,
-          depth: 10,
-          actualDepth: 10,
-          evaluation: { type: "cp", value: 0 },
-          moveUCI: "e2e4",
-          futureMoveUCIs: []
-        },
-        {
-          id: 2,
-          depth: 10,
-          actualDepth: 10,
-          evaluation: { type: "cp", value: -25 },
-          moveUCI: "d2d4",
-          futureMoveUCIs: []
-        }
-      ];
-    }
+  getTimeoutForDepth(depth) {
+    const { searchLimit, movetime, nodes, multiPv } = this.settings;
+    
+    // The engine stops by itself, leave a margin for it to report bestmove
+    if (searchLimit === SearchLimit.MOVETIME) return movetime + 5000;
+    
+    // Assume a slow browser build searching ~100k nodes per second
+    if (searchLimit === SearchLimit.NODES) return Math.ceil(nodes / 100) + 10000;
+    
+    // Each extra principal variation costs roughly another search
+    return Math.round(this.getBaseTimeoutForDepth(depth) * Math.max(1, multiPv / 3));
   }
   
   /**
-   * Get an appropriate timeout value based on depth
+   * Timeout for a depth search with the default three lines
+   * @param {number} depth - Depth to search to
+   * @returns {number} - Timeout in milliseconds
    */
-  getTimeoutForDepth(depth) {
+  getBaseTimeoutForDepth(depth) {
     // Scale timeout exponentially with depth
     if (depth <= 10) return 10000;     // 10 seconds for simple analysis
     if (depth <= 14) return 15000;     // 15 seconds for depth ≤14
@@ -1,4 +1,5 @@
 import { Chess } from 'chess.js';
+import { isChess960Position, playMove } from './chess960';
 
 /**
  * Comprehensive check if a UCI move is valid in the given position
@@ -48,6 +49,31 @@ function isValidUciMove(chess, moveUCI) {
   }
 }
 
+/**
+ * Convert a line of UCI moves to SAN move by move, for Chess960 positions
+ * whose king-takes-rook castling chess.js cannot play
+ * @param {string} fen - Starting position
+ * @param {string[]} uciMoves - UCI moves of the line
+ * @returns {string[]} - SAN moves; an illegal move stays in UCI and ends the line
+ */
+function convertChess960Line(fen, uciMoves) {
+  const sanMoves = [];
+  
+  for (const uciMove of uciMoves) {
+    const result = playMove(fen, uciMove);
+    
+    if (!result) {
+      sanMoves.push(uciMove);
+      break;
+    }
+    
+    sanMoves.push(result.san);
+    fen = result.fen;
+  }
+  
+  return sanMoves;
+}
+
 /**
  * Convert UCI moves to SAN notation starting from a given position
  * With comprehensive error handling for all edge cases
@@ -62,6 +88,11 @@ export function convertUciToSan(fen, moveUCI, futureMoveUCIs = []) {
     return { moveSAN: moveUCI || '', futureMoves: [] };
   }
   
+  if (moveUCI && isChess960Position(fen)) {
+    const [moveSAN, ...futureMoves] = convertChess960Line(fen, [moveUCI, ...futureMoveUCIs.filter(Boolean)]);
+    return { moveSAN, futureMoves };
+  }
+  
   try {
     // Validate FEN
     let chess;
@@ -217,6 +248,10 @@ export function convertPvToSan(fen, pvLine) {
   
   if (!pvLine) return [];
   
+  if (isChess960Position(fen)) {
+    return convertChess960Line(fen, pvLine.trim().split(/\s+/));
+  }
+  
   try {
     // Validate FEN
     let chess;
@@ -0,0 +1,127 @@
+/**
+ * Arrows and square highlights drawn on the board, read from and written to
+ * the [%cal] and [%csl] comment commands used by Lichess and Chess.com
+ */
+
+// Colours by their PGN letter, as Lichess draws them
+export const annotationColours = {
+  G: "#15781b",
+  R: "#882020",
+  B: "#003088",
+  Y: "#e68f00"
+};
+
+/**
+ * Colour picked by the modifier keys held while drawing, as on Lichess
+ * @param {object} event - Pointer event with shiftKey, altKey and ctrlKey
+ * @returns {string} - Colour letter: G, R, B or Y
+ */
+export const getAnnotationColour = ({ shiftKey, altKey, ctrlKey, metaKey }) => {
+  const alt = altKey || ctrlKey || metaKey;
+
+  if (shiftKey && alt) return "Y";
+  if (shiftKey) return "R";
+  if (alt) return "B";
+  return "G";
+};
+
+/**
+ * Read the arrows and highlights of a node's comments
+ * @param {Array<string>} comments - Raw comments
+ * @returns {object|null} - { arrows: [{ from, to, colour }], squares: [{ square, colour }] }, null when there are none
+ */
+export const readAnnotations = (comments = []) => {
+  const annotations = { arrows: [], squares: [] };
+
+  for (const comment of comments) {
+    for (const [, command, list] of comment.matchAll(/\[%(cal|csl)\s+([^\]]*)\]/g)) {
+      for (const entry of list.split(",").map(item => item.trim())) {
+        if (command === "cal" && /^[GRBY][a-h][1-8][a-h][1-8]$/.test(entry)) {
+          annotations.arrows.push({ from: entry.slice(1, 3), to: entry.slice(3, 5), colour: entry[0] });
+        } else if (command === "csl" && /^[GRBY][a-h][1-8]$/.test(entry)) {
+          annotations.squares.push({ square: entry.slice(1, 3), colour: entry[0] });
+        }
+      }
+    }
+  }
+
+  return annotations.arrows.length > 0 || annotations.squares.length > 0 ? annotations : null;
+};
+
+/**
+ * Annotations of every node of a parsed game that has them, side lines included
+ * @param {Array<object>} positions - Parsed positions, with comments and variations
+ * @returns {object} - Annotations keyed by the FEN they were drawn on
+ */
+export const collectAnnotations = (positions) => {
+  const collected = {};
+
+  const visit = (node) => {
+    const annotations = readAnnotations(node.comments);
+    if (annotations) collected[node.fen] = annotations;
+
+    (node.variations || []).forEach(variation => variation.forEach(visit));
+  };
+
+  positions.forEach(visit);
+
+  return collected;
+};
+
+/**
+ * Add an arrow, or take it away when the same arrow is drawn again.
+ * An arrow drawn again in another colour changes colour.
+ * @param {object} annotations - Current annotations of the position, may be undefined
+ * @param {object} arrow - { from, to, colour }
+ * @returns {object} - New annotations
+ */
+export const toggleArrow = (annotations = { arrows: [], squares: [] }, arrow) => {
+  const existing = annotations.arrows.find(({ from, to }) => from === arrow.from && to === arrow.to);
+  const arrows = annotations.arrows.filter(item => item !== existing);
+
+  return {
+    ...annotations,
+    arrows: existing?.colour === arrow.colour ? arrows : [...arrows, arrow]
+  };
+};
+
+/**
+ * Add a square highlight, or take it away when the same one is drawn again
+ * @param {object} annotations - Current annotations of the position, may be undefined
+ * @param {object} highlight - { square, colour }
+ * @returns {object} - New annotations
+ */
+export const toggleSquare = (annotations = { arrows: [], squares: [] }, highlight) => {
+  const existing = annotations.squares.find(({ square }) => square === highlight.square);
+  const squares = annotations.squares.filter(item => item !== existing);
+
+  return {
+    ...annotations,
+    squares: existing?.colour === highlight.colour ? squares : [...squares, highlight]
+  };
+};
+
+/**
+ * Replace the [%cal] and [%csl] commands of a node's comments with the
+ * annotations drawn on its position
+ * @param {Array<string>} comments - Raw comments
+ * @param {object} annotations - Annotations of the position; when undefined the comments are kept as they are
+ * @returns {Array<string>} - Comments to write
+ */
+export const applyAnnotations = (comments = [], annotations) => {
+  if (!annotations) return comments;
+
+  const commands = [];
+  if (annotations.squares.length > 0) {
+    commands.push(`[%csl ${annotations.squares.map(({ square, colour }) => colour + square).join(",")}]`);
+  }
+  if (annotations.arrows.length > 0) {
+    commands.push(`[%cal ${annotations.arrows.map(({ from, to, colour }) => colour + from + to).join(",")}]`);
+  }
+
+  const stripped = comments
+    .map(comment => comment.replace(/\[%(cal|csl)\s+[^\]]*\]/g, "").replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  return [...stripped, ...commands];
+};
@@ -0,0 +1,136 @@
+import {
+  getAnnotationColour,
+  readAnnotations,
+  collectAnnotations,
+  toggleArrow,
+  toggleSquare,
+  applyAnnotations
+} from './boardAnnotations';
+
+const arrow = (from, to, colour = "G") => ({ from, to, colour });
+const square = (name, colour = "G") => ({ square: name, colour });
+
+describe('getAnnotationColour', () => {
+  test('picks the colour from the modifier keys', () => {
+    expect(getAnnotationColour({})).toBe("G");
+    expect(getAnnotationColour({ shiftKey: true })).toBe("R");
+    expect(getAnnotationColour({ altKey: true })).toBe("B");
+    expect(getAnnotationColour({ metaKey: true })).toBe("B");
+    expect(getAnnotationColour({ shiftKey: true, ctrlKey: true })).toBe("Y");
+  });
+});
+
+describe('readAnnotations', () => {
+  test('reads arrows and squares from every comment', () => {
+    expect(readAnnotations(["Attack [%cal Ge2e4,Rd1h5]", "[%csl Yf7]"])).toEqual({
+      arrows: [arrow("e2", "e4"), arrow("d1", "h5", "R")],
+      squares: [square("f7", "Y")]
+    });
+  });
+
+  test('skips malformed entries', () => {
+    expect(readAnnotations(["[%cal Xe2e4, Ge2, Gd2d4] [%csl Bi9,Ba1]"])).toEqual({
+      arrows: [arrow("d2", "d4")],
+      squares: [square("a1", "B")]
+    });
+  });
+
+  test('is null without annotations', () => {
+    expect(readAnnotations(["Good move [%clk 0:02:58]"])).toBeNull();
+    expect(readAnnotations()).toBeNull();
+  });
+});
+
+describe('collectAnnotations', () => {
+  test('keys the annotations of the main line and its variations by FEN', () => {
+    const positions = [
+      { fen: "start", comments: [] },
+      {
+        fen: "after e4",
+        comments: ["[%csl Ge4]"],
+        variations: [[{ fen: "after d4", comments: ["[%cal Rd4d5]"] }]]
+      }
+    ];
+
+    expect(collectAnnotations(positions)).toEqual({
+      "after e4": { arrows: [], squares: [square("e4")] },
+      "after d4": { arrows: [arrow("d4", "d5", "R")], squares: [] }
+    });
+  });
+});
+
+describe('toggleArrow', () => {
+  const annotations = { arrows: [arrow("e2", "e4")], squares: [square("e4")] };
+
+  test('adds a new arrow', () => {
+    expect(toggleArrow(annotations, arrow("d2", "d4")).arrows).toEqual([arrow("e2", "e4"), arrow("d2", "d4")]);
+    expect(toggleArrow(undefined, arrow("d2", "d4"))).toEqual({ arrows: [arrow("d2", "d4")], squares: [] });
+  });
+
+  test('removes an arrow drawn again in the same colour', () => {
+    expect(toggleArrow(annotations, arrow("e2", "e4"))).toEqual({ arrows: [], squares: [square("e4")] });
+  });
+
+  test('replaces an arrow drawn again in another colour', () => {
+    expect(toggleArrow(annotations, arrow("e2", "e4", "R")).arrows).toEqual([arrow("e2", "e4", "R")]);
+  });
+
+  test('keeps arrows in opposite directions apart', () => {
+    expect(toggleArrow(annotations, arrow("e4", "e2")).arrows).toHaveLength(2);
+  });
+
+  test('does not change the annotations it was given', () => {
+    toggleArrow(annotations, arrow("e2", "e4"));
+    expect(annotations.arrows).toEqual([arrow("e2", "e4")]);
+  });
+});
+
+describe('toggleSquare', () => {
+  const annotations = { arrows: [arrow("e2", "e4")], squares: [square("e4")] };
+
+  test('adds a new highlight', () => {
+    expect(toggleSquare(annotations, square("d4")).squares).toEqual([square("e4"), square("d4")]);
+    expect(toggleSquare(undefined, square("d4"))).toEqual({ arrows: [], squares: [square("d4")] });
+  });
+
+  test('removes a highlight drawn again in the same colour', () => {
+    expect(toggleSquare(annotations, square("e4"))).toEqual({ arrows: [arrow("e2", "e4")], squares: [] });
+  });
+
+  test('replaces a highlight drawn again in another colour', () => {
+    expect(toggleSquare(annotations, square("e4", "B")).squares).toEqual([square("e4", "B")]);
+  });
+});
+
+describe('applyAnnotations', () => {
+  test('replaces the commands of the comments and keeps their text', () => {
+    const comments = ["Attack [%cal Ge2e4]  the king", "[%csl Rf7][%clk 0:02:58]"];
+    const annotations = { arrows: [arrow("d1", "h5", "R")], squares: [square("f7", "Y")] };
+
+    expect(applyAnnotations(comments, annotations)).toEqual([
+      "Attack the king",
+      "[%clk 0:02:58]",
+      "[%csl Yf7]",
+      "[%cal Rd1h5]"
+    ]);
+  });
+
+  test('drops comments left empty and writes no command without annotations', () => {
+    expect(applyAnnotations(["[%cal Ge2e4]", "Good"], { arrows: [], squares: [] })).toEqual(["Good"]);
+  });
+
+  test('writes several entries as one command', () => {
+    expect(applyAnnotations([], { arrows: [arrow("e2", "e4"), arrow("d2", "d4", "B")], squares: [] }))
+      .toEqual(["[%cal Ge2e4,Bd2d4]"]);
+  });
+
+  test('keeps the comments as they are when the position was never annotated', () => {
+    const comments = ["Attack [%cal Ge2e4]"];
+    expect(applyAnnotations(comments, undefined)).toBe(comments);
+  });
+
+  test('reads back what it writes', () => {
+    const annotations = { arrows: [arrow("g1", "f3", "Y")], squares: [square("e5", "R")] };
+    expect(readAnnotations(applyAnnotations(["Idea"], annotations))).toEqual(annotations);
+  });
+});
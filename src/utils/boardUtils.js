@@ -12,7 +12,6 @@ export const pieceValues = {
 };
 
 // Konstanta
-export const BOARD_SIZE = 730;
 export const startingPositionFen = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
 
 // Warna klasifikasi
@@ -53,55 +52,79 @@ export function getSquare(coordinate) {
   return "abcdefgh".charAt(coordinate.x) + (coordinate.y + 1).toString();
 }
 
-// Draw an arrow on a canvas
-export function drawArrow(fromX, fromY, toX, toY, width, color = classificationColors.best) {
-  // Create a new canvas for the arrow
-  const canvas = document.createElement('canvas');
-  canvas.width = BOARD_SIZE;
-  canvas.height = BOARD_SIZE;
-  const ctx = canvas.getContext('2d');
+// Offscreen layer shared by every arrow, created on first use
+let arrowLayer = null;
+
+// Get the arrow layer cleared and sized like the given canvas
+function getArrowLayer(canvas) {
+  if (!arrowLayer) arrowLayer = document.createElement('canvas');
+  
+  if (arrowLayer.width !== canvas.width || arrowLayer.height !== canvas.height) {
+    arrowLayer.width = canvas.width;
+    arrowLayer.height = canvas.height;
+  }
+  
+  const layerCtx = arrowLayer.getContext('2d');
+  if (!layerCtx) return null;
+  
+  layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+  layerCtx.clearRect(0, 0, arrowLayer.width, arrowLayer.height);
+  return layerCtx;
+}
+
+// Draw an arrow on a canvas context, in the context's own coordinates. The arrow
+// is drawn on a layer first so that a see-through line and head blend as one shape.
+export function drawArrow(ctx, fromX, fromY, toX, toY, width, color = classificationColors.best, opacity = 1) {
+  const layerCtx = getArrowLayer(ctx.canvas);
+  
+  if (!layerCtx) return;
   
-  if (!ctx) return null;
+  layerCtx.setTransform(ctx.getTransform());
   
-  const headlen = 15;
+  const headlen = width / 2;
   const angle = Math.atan2(toY - fromY, toX - fromX);
   toX -= Math.cos(angle) * ((width * 1.15));
   toY -= Math.sin(angle) * ((width * 1.15));
   
   // Draw arrow line
-  ctx.beginPath();
-  ctx.moveTo(fromX, fromY);
-  ctx.lineTo(toX, toY);
-  ctx.strokeStyle = color;
-  ctx.lineWidth = width;
-  ctx.stroke();
+  layerCtx.beginPath();
+  layerCtx.moveTo(fromX, fromY);
+  layerCtx.lineTo(toX, toY);
+  layerCtx.strokeStyle = color;
+  layerCtx.lineWidth = width;
+  layerCtx.stroke();
   
   // Draw arrow head
-  ctx.beginPath();
-  ctx.moveTo(toX, toY);
-  ctx.lineTo(
+  layerCtx.beginPath();
+  layerCtx.moveTo(toX, toY);
+  layerCtx.lineTo(
     toX - headlen * Math.cos(angle - Math.PI / 7), 
     toY - headlen * Math.sin(angle - Math.PI / 7)
   );
   
-  ctx.lineTo(
+  layerCtx.lineTo(
     toX - headlen * Math.cos(angle + Math.PI / 7), 
     toY - headlen * Math.sin(angle + Math.PI / 7)
   );
   
-  ctx.lineTo(toX, toY);
-  ctx.lineTo(
+  layerCtx.lineTo(toX, toY);
+  layerCtx.lineTo(
     toX - headlen * Math.cos(angle - Math.PI / 7),
     toY - headlen * Math.sin(angle - Math.PI / 7)
   );
 
-  ctx.strokeStyle = color;
-  ctx.lineWidth = width;
-  ctx.stroke();
-  ctx.fillStyle = color;
-  ctx.fill();
+  layerCtx.strokeStyle = color;
+  layerCtx.lineWidth = width;
+  layerCtx.stroke();
+  layerCtx.fillStyle = color;
+  layerCtx.fill();
 
-  return canvas;
+  // The layer already has the transform applied, so it is copied pixel for pixel
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = opacity;
+  ctx.drawImage(layerCtx.canvas, 0, 0);
+  ctx.restore();
 }
 
 // Semi-transparent color generator
@@ -0,0 +1,353 @@
+/**
+ * Chess960 (Fischer Random) support on top of chess.js, which only knows
+ * castling with the king on e1/e8 and the rooks in the corners.
+ * Positions keep their castling rights in X-FEN (KQkq, or the rook's file
+ * when that rook isn't the outermost one) and castling moves are written
+ * king-takes-rook in UCI, as the engine expects with UCI_Chess960.
+ */
+import { Chess } from 'chess.js';
+
+const FILES = "abcdefgh";
+
+/**
+ * Read the castling rights of a FEN as the rooks they refer to. Accepts
+ * X-FEN (KQkq) as well as Shredder-FEN (rook files, e.g. HAha).
+ * @param {string} fen - Position
+ * @returns {Array<object>} - Rights: { color, rookFile, kingFile }
+ */
+const readCastlingRights = (fen) => {
+  const [placement, , castling = "-"] = fen.split(" ");
+  const ranks = placement.split("/");
+  const rights = [];
+
+  if (castling === "-") return rights;
+
+  // Back rank of each colour as an array of 8 squares
+  const expandRank = (rank) => rank.replace(/\d/g, count => ".".repeat(parseInt(count))).split("");
+  const backRanks = { w: expandRank(ranks[7] || ""), b: expandRank(ranks[0] || "") };
+
+  for (const char of castling) {
+    const color = char === char.toUpperCase() ? "w" : "b";
+    const rank = backRanks[color];
+    const king = color === "w" ? "K" : "k";
+    const rook = color === "w" ? "R" : "r";
+    const kingFile = rank.indexOf(king);
+    if (kingFile === -1) continue;
+
+    let rookFile = -1;
+    const lowered = char.toLowerCase();
+
+    if (lowered === "k") {
+      // Outermost rook on the king side
+      for (let file = 7; file > kingFile && rookFile === -1; file--) {
+        if (rank[file] === rook) rookFile = file;
+      }
+    } else if (lowered === "q") {
+      // Outermost rook on the queen side
+      for (let file = 0; file < kingFile && rookFile === -1; file++) {
+        if (rank[file] === rook) rookFile = file;
+      }
+    } else if (FILES.includes(lowered) && rank[FILES.indexOf(lowered)] === rook) {
+      rookFile = FILES.indexOf(lowered);
+    }
+
+    if (rookFile !== -1) {
+      rights.push({ color, rookFile, kingFile });
+    }
+  }
+
+  return rights;
+};
+
+/**
+ * Write castling rights as an X-FEN castling field
+ * @param {string} placement - Piece placement field of the position
+ * @param {Array<object>} rights - Rights from readCastlingRights
+ * @returns {string} - Castling field, "-" when there are none
+ */
+const writeCastlingRights = (placement, rights) => {
+  const ranks = placement.split("/");
+  let field = "";
+
+  for (const color of ["w", "b"]) {
+    const rank = ((color === "w" ? ranks[7] : ranks[0]) || "")
+      .replace(/\d/g, count => ".".repeat(parseInt(count)))
+      .split("");
+    const rook = color === "w" ? "R" : "r";
+
+    // King side first, as in KQkq
+    const ordered = rights
+      .filter(right => right.color === color)
+      .sort((a, b) => (b.rookFile > b.kingFile) - (a.rookFile > a.kingFile));
+
+    for (const right of ordered) {
+      const isKingSide = right.rookFile > right.kingFile;
+      const outerFiles = isKingSide
+        ? rank.slice(right.rookFile + 1)
+        : rank.slice(0, right.rookFile);
+
+      // Another rook further out needs the rook's own file to tell them apart
+      const symbol = outerFiles.includes(rook)
+        ? FILES[right.rookFile].toUpperCase()
+        : (isKingSide ? "K" : "Q");
+
+      field += color === "w" ? symbol : symbol.toLowerCase();
+    }
+  }
+
+  return field || "-";
+};
+
+/**
+ * Replace the castling field of a FEN
+ * @param {string} fen - Position
+ * @param {string} castling - New castling field
+ * @returns {string} - Position with the new castling field
+ */
+const withCastling = (fen, castling) => {
+  const fields = fen.split(" ");
+  fields[2] = castling;
+  return fields.join(" ");
+};
+
+/**
+ * Whether a position's castling rights can only be read with Chess960 rules:
+ * a right whose king or rook isn't on its standard square, or one written as
+ * a file. Chess960 positions that look standard castle exactly like chess.
+ * @param {string} fen - Position
+ * @returns {boolean} - Whether moves from here need Chess960 castling
+ */
+export const isChess960Position = (fen) => {
+  if (!fen) return false;
+
+  const castling = fen.split(" ")[2] || "-";
+  if (/[^KQkq-]/.test(castling)) return true;
+
+  return readCastlingRights(fen).some(right => {
+    const rookFile = right.rookFile > right.kingFile ? 7 : 0;
+    return right.kingFile !== 4 || right.rookFile !== rookFile;
+  });
+};
+
+/**
+ * Convert a Chess960 start position to X-FEN, the form kept on positions.
+ * Shredder-FEN castling fields (e.g. HAha) become KQkq where possible.
+ * @param {string} fen - Position in X-FEN or Shredder-FEN
+ * @returns {string} - Position in X-FEN
+ */
+export const toXFen = (fen) => {
+  const placement = fen.split(" ")[0];
+  return withCastling(fen, writeCastlingRights(placement, readCastlingRights(fen)));
+};
+
+/**
+ * Position without castling rights, for chess.js checks that don't involve castling
+ * @param {string} fen - Position
+ * @returns {string} - Same position with castling field "-"
+ */
+export const stripCastling = (fen) => withCastling(fen, "-");
+
+/**
+ * Position chess.js can load. Chess960 castling rights are dropped, since
+ * chess.js would reject rook files or read KQkq as castling from e1/e8.
+ * @param {string} fen - Position
+ * @returns {string} - Position for a chess.js board
+ */
+export const toChessJsFen = (fen) => (isChess960Position(fen) ? stripCastling(fen) : fen);
+
+/**
+ * Turn a UCI string into the move object chess.js takes, leaving SAN as it is
+ * @param {string|object} move - SAN, UCI or { from, to, promotion }
+ * @returns {string|object} - Move for chess.js
+ */
+const toChessJsMove = (move) => {
+  const uciMatch = typeof move === "string" && move.match(/^([a-h][1-8])([a-h][1-8])([qrbn])?$/);
+  return uciMatch ? { from: uciMatch[1], to: uciMatch[2], promotion: uciMatch[3] } : move;
+};
+
+/**
+ * Play a castling move following Chess960 rules
+ * @param {string} fen - Position before the move
+ * @param {object} right - Castling right being used
+ * @param {Array<object>} rights - Every castling right of the position
+ * @returns {object|null} - Move details, or null when castling is illegal here
+ */
+const playCastling = (fen, right, rights) => {
+  const [, turn, , , halfmove, fullmove] = fen.split(" ");
+  const color = right.color;
+  const opponent = color === "w" ? "b" : "w";
+  const rankNumber = color === "w" ? "1" : "8";
+  const isKingSide = right.rookFile > right.kingFile;
+  const kingTarget = isKingSide ? 6 : 2;
+  const rookTarget = isKingSide ? 5 : 3;
+
+  if (turn !== color) return null;
+
+  const chess = new Chess(stripCastling(fen));
+  const square = (file) => FILES[file] + rankNumber;
+  const kingSquare = square(right.kingFile);
+  const rookSquare = square(right.rookFile);
+
+  // Every square the king or the rook crosses must be empty, except for the two of them
+  const lowest = Math.min(right.kingFile, right.rookFile, kingTarget, rookTarget);
+  const highest = Math.max(right.kingFile, right.rookFile, kingTarget, rookTarget);
+  for (let file = lowest; file <= highest; file++) {
+    if (file === right.kingFile || file === right.rookFile) continue;
+    if (chess.get(square(file))) return null;
+  }
+
+  // The king may not castle out of, through or into check: its own square and
+  // every square up to its target are tested before anything moves, even when
+  // the king already stands on its target and only the rook moves
+  const step = kingTarget >= right.kingFile ? 1 : -1;
+  for (let file = right.kingFile; file !== kingTarget + step; file += step) {
+    if (chess.isAttacked(square(file), opponent)) return null;
+  }
+
+  chess.remove(kingSquare);
+  chess.remove(rookSquare);
+  chess.put({ type: "k", color }, square(kingTarget));
+  chess.put({ type: "r", color }, square(rookTarget));
+
+  const placement = chess.fen().split(" ")[0];
+  const remainingRights = rights.filter(other => other.color !== color);
+  const nextFen = [
+    placement,
+    opponent,
+    writeCastlingRights(placement, remainingRights),
+    "-",
+    parseInt(halfmove) + 1,
+    parseInt(fullmove) + (color === "b" ? 1 : 0)
+  ].join(" ");
+
+  // The rook may have been shielding the king's target
+  const after = new Chess(stripCastling(nextFen));
+  if (after.isAttacked(square(kingTarget), opponent)) return null;
+
+  const suffix = after.isCheckmate() ? "#" : after.inCheck() ? "+" : "";
+
+  return {
+    san: (isKingSide ? "O-O" : "O-O-O") + suffix,
+    from: kingSquare,
+    to: rookSquare,
+    uci: kingSquare + rookSquare,
+    fen: nextFen
+  };
+};
+
+/**
+ * Find the castling right a move uses, if it is a castling move
+ * @param {Chess} chess - Board of the position, castling rights stripped
+ * @param {string|object} move - SAN, UCI or { from, to, promotion }
+ * @param {Array<object>} rights - Castling rights of the position
+ * @returns {object|null} - The right being used, or null for other moves
+ */
+const findCastlingRight = (chess, move, rights) => {
+  const color = chess.turn();
+  const ownRights = rights.filter(right => right.color === color);
+
+  if (typeof move === "string") {
+    const castle = move.match(/^(O-O-O|0-0-0|O-O|0-0)(?![-\w])/);
+    if (castle) {
+      const isKingSide = castle[1].length === 3;
+      return ownRights.find(right => (right.rookFile > right.kingFile) === isKingSide) || null;
+    }
+  }
+
+  const uci = typeof move === "string" ? move : `${move.from}${move.to}`;
+  if (!/^[a-h][1-8][a-h][1-8]/.test(uci)) return null;
+
+  // King takes its own rook
+  const movingPiece = chess.get(uci.slice(0, 2));
+  const targetPiece = chess.get(uci.slice(2, 4));
+  if (movingPiece?.type !== "k" || targetPiece?.type !== "r" || targetPiece.color !== color) return null;
+
+  const rookFile = FILES.indexOf(uci[2]);
+  return ownRights.find(right => right.rookFile === rookFile) || null;
+};
+
+/**
+ * Play a move in a Chess960 position
+ * @param {string} fen - Position before the move, in X-FEN
+ * @param {string|object} move - SAN, UCI (castling as king takes rook) or { from, to, promotion }
+ * @returns {object|null} - { san, from, to, promotion, uci, fen }, or null for an illegal move
+ */
+export const playChess960Move = (fen, move) => {
+  const rights = readCastlingRights(fen);
+  const chess = new Chess(stripCastling(fen));
+
+  const castlingRight = findCastlingRight(chess, move, rights);
+  if (castlingRight) {
+    return playCastling(fen, castlingRight, rights);
+  }
+
+  let result;
+  try {
+    result = chess.move(toChessJsMove(move));
+  } catch (error) {
+    return null;
+  }
+
+  // Moving the king gives up both rights, moving or losing a rook gives up its own
+  const rankOf = (color) => (color === "w" ? "1" : "8");
+  const remainingRights = rights.filter(right => {
+    if (right.color === result.color && result.piece === "k") return false;
+
+    const rookSquare = FILES[right.rookFile] + rankOf(right.color);
+    return result.from !== rookSquare && result.to !== rookSquare;
+  });
+
+  const nextFen = chess.fen();
+  const placement = nextFen.split(" ")[0];
+
+  return {
+    san: result.san,
+    from: result.from,
+    to: result.to,
+    promotion: result.promotion,
+    uci: result.from + result.to + (result.promotion || ""),
+    fen: withCastling(nextFen, writeCastlingRights(placement, remainingRights))
+  };
+};
+
+/**
+ * Number of legal moves in a position, Chess960 castling included
+ * @param {string} fen - Position
+ * @returns {number} - Legal moves of the side to move
+ */
+export const countLegalMoves = (fen) => {
+  const moves = new Chess(toChessJsFen(fen)).moves().length;
+  if (!isChess960Position(fen)) return moves;
+
+  // chess.js sees the position without its Chess960 castling rights
+  const rights = readCastlingRights(fen);
+  return moves + rights.filter(right => playCastling(fen, right, rights)).length;
+};
+
+/**
+ * Play a move in any position, using Chess960 castling rules only where needed
+ * @param {string} fen - Position before the move
+ * @param {string|object} move - SAN, UCI or { from, to, promotion }
+ * @returns {object|null} - { san, from, to, promotion, uci, fen }, or null for an illegal move
+ */
+export const playMove = (fen, move) => {
+  if (isChess960Position(fen)) {
+    return playChess960Move(fen, move);
+  }
+
+  try {
+    const chess = new Chess(fen);
+    const result = chess.move(toChessJsMove(move));
+
+    return {
+      san: result.san,
+      from: result.from,
+      to: result.to,
+      promotion: result.promotion,
+      uci: result.from + result.to + (result.promotion || ""),
+      fen: chess.fen()
+    };
+  } catch (error) {
+    return null;
+  }
+};
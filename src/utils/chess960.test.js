@@ -0,0 +1,109 @@
+import { Chess } from 'chess.js';
+import {
+  isChess960Position,
+  toXFen,
+  toChessJsFen,
+  playMove,
+  countLegalMoves
+} from './chess960';
+
+const castlingField = (fen) => fen.split(" ")[2];
+const placement = (fen) => fen.split(" ")[0];
+
+describe('toXFen', () => {
+  test('writes Shredder-FEN rook files as KQkq', () => {
+    expect(castlingField(toXFen("bqnbrkrn/pppppppp/8/8/8/8/PPPPPPPP/BQNBRKRN w GEge - 0 1"))).toBe("KQkq");
+  });
+
+  test('keeps the rook file when another rook stands further out', () => {
+    expect(castlingField(toXFen("1k2r2r/8/8/8/8/8/8/1K2R2R w Ee - 0 1"))).toBe("Ee");
+  });
+
+  test('drops rights whose rook is missing', () => {
+    expect(castlingField(toXFen("1k6/8/8/8/8/8/8/1K5R w HA - 0 1"))).toBe("K");
+  });
+});
+
+describe('castling', () => {
+  const position = "4k3/8/8/8/8/8/8/1R3KR1 w KQ - 0 1";
+
+  test('is a Chess960 position when the king is off e1', () => {
+    expect(isChess960Position(position)).toBe(true);
+    expect(isChess960Position(new Chess().fen())).toBe(false);
+  });
+
+  test('plays king-takes-rook UCI', () => {
+    const kingSide = playMove(position, "f1g1");
+    expect(kingSide.san).toBe("O-O");
+    expect(placement(kingSide.fen)).toBe("4k3/8/8/8/8/8/8/1R3RK1");
+    expect(castlingField(kingSide.fen)).toBe("-");
+
+    const queenSide = playMove(position, "f1b1");
+    expect(queenSide.san).toBe("O-O-O");
+    expect(placement(queenSide.fen)).toBe("4k3/8/8/8/8/8/8/2KR2R1");
+  });
+
+  test('plays O-O and O-O-O as king-takes-rook', () => {
+    expect(playMove(position, "O-O").uci).toBe("f1g1");
+    expect(playMove(position, "O-O-O").uci).toBe("f1b1");
+  });
+
+  test('moves only the rook when the king already stands on its target', () => {
+    const kingSide = playMove("4k3/8/8/8/8/8/8/R5KR w KQ - 0 1", "O-O");
+    expect(kingSide.uci).toBe("g1h1");
+    expect(placement(kingSide.fen)).toBe("4k3/8/8/8/8/8/8/R4RK1");
+
+    const queenSide = playMove("4k3/8/8/8/8/8/8/R1K4R w KQ - 0 1", "O-O-O");
+    expect(queenSide.uci).toBe("c1a1");
+    expect(placement(queenSide.fen)).toBe("4k3/8/8/8/8/8/8/2KR3R");
+  });
+
+  test('may not castle out of check, even when the rook would block it', () => {
+    expect(playMove("4k3/8/8/8/8/8/8/r5KR w K - 0 1", "O-O")).toBeNull();
+    expect(playMove("4k3/8/8/8/8/8/8/r5KR w K - 0 1", "g1h1")).toBeNull();
+  });
+
+  test('may not castle through or into check', () => {
+    expect(playMove("3rk3/8/8/8/8/8/8/1K5R w K - 0 1", "O-O")).toBeNull();
+    expect(playMove("4k1r1/8/8/8/8/8/8/1K5R w K - 0 1", "O-O")).toBeNull();
+    expect(playMove("4k3/8/8/8/8/8/8/1K5R w K - 0 1", "O-O")).not.toBeNull();
+  });
+
+  test('may not castle across a piece', () => {
+    expect(playMove("4k3/8/8/8/8/8/8/1K2N2R w K - 0 1", "O-O")).toBeNull();
+  });
+});
+
+describe('castling rights', () => {
+  const position = "1r2k1r1/8/8/8/8/8/8/1R2K1R1 w KQkq - 0 1";
+
+  test('a rook move gives up its own right', () => {
+    expect(castlingField(playMove(position, "g1g2").fen)).toBe("Qkq");
+  });
+
+  test('a king move gives up both rights', () => {
+    expect(castlingField(playMove(position, "e1e2").fen)).toBe("kq");
+  });
+
+  test('capturing a rook takes away its right', () => {
+    expect(castlingField(playMove(position, "b1b8").fen)).toBe("Kk");
+  });
+
+  test('castling gives up both rights and keeps the opponent\'s', () => {
+    expect(castlingField(playMove(position, "O-O-O").fen)).toBe("kq");
+  });
+});
+
+describe('countLegalMoves', () => {
+  test('counts Chess960 castling, which chess.js does not see', () => {
+    // Kc1 is the only other move
+    const position = "k7/8/8/8/8/p7/P6r/RK6 w Q - 0 1";
+
+    expect(new Chess(toChessJsFen(position)).moves()).toEqual(["Kc1"]);
+    expect(countLegalMoves(position)).toBe(2);
+  });
+
+  test('matches chess.js in standard positions', () => {
+    expect(countLegalMoves(new Chess().fen())).toBe(20);
+  });
+});
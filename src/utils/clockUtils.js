@@ -0,0 +1,187 @@
+/**
+ * Clock times read from [%clk] comments, as written by Chess.com and Lichess,
+ * and what they say about how each player used their time
+ */
+import { Classification } from './constants';
+
+// A player is in time trouble below this share of their starting clock...
+const LOW_CLOCK_SHARE = 0.1;
+
+// ...or below this many seconds, whichever is more
+const LOW_CLOCK_MIN_SECONDS = 10;
+
+// A long think takes this many times the player's average time per move...
+const LONG_THINK_FACTOR = 3;
+
+// ...and at least this share of their starting clock
+const LONG_THINK_SHARE = 0.05;
+
+// Classifications worth tying to the clock
+const flaggedClassifications = [
+  Classification.INACCURACY,
+  Classification.MISTAKE,
+  Classification.BLUNDER
+];
+
+/**
+ * Remaining clock written in a move's comments
+ * @param {Array<string>} comments - Raw comments of the move
+ * @returns {number|null} - Seconds left, null when no [%clk] was given
+ */
+export const readClock = (comments = []) => {
+  let clock = null;
+
+  for (const comment of comments) {
+    const match = comment.match(/\[%clk\s+(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)\]/);
+    if (match) {
+      const [, hours = "0", minutes, seconds] = match;
+      clock = parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+    }
+  }
+
+  return clock;
+};
+
+/**
+ * Read a TimeControl tag such as "180+2" or "600"
+ * @param {string} timeControl - TimeControl tag value
+ * @returns {object|null} - { base, increment } in seconds, null when unknown or untimed
+ */
+export const parseTimeControl = (timeControl) => {
+  // Only the first period of multi-period controls, e.g. "40/7200:3600"
+  const match = (timeControl || "").split(":")[0].match(/^(?:\d+\/)?(\d+)(?:\+(\d+(?:\.\d+)?))?$/);
+  if (!match) return null;
+
+  return {
+    base: parseInt(match[1]),
+    increment: match[2] ? parseFloat(match[2]) : 0
+  };
+};
+
+/**
+ * Format seconds as a chess clock, with tenths under ten seconds
+ * @param {number} seconds - Seconds
+ * @returns {string} - e.g. "1:02:05", "2:53" or "0:08.4"
+ */
+export const formatClock = (seconds) => {
+  if (seconds === null || seconds === undefined) return "-";
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const wholeSeconds = Math.floor(seconds % 60);
+  const tenths = seconds < 10 && seconds % 1 !== 0 ? `.${Math.floor((seconds % 1) * 10)}` : "";
+  const paddedSeconds = `${wholeSeconds.toString().padStart(2, "0")}${tenths}`;
+
+  return hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, "0")}:${paddedSeconds}`
+    : `${minutes}:${paddedSeconds}`;
+};
+
+/**
+ * Store the remaining clock and the time spent on every move that has a [%clk]
+ * @param {Array<object>} positions - Parsed positions, moves carrying their comments
+ * @param {object} headers - Tag pairs of the game, for its TimeControl
+ * @returns {Array<object>} - The same positions, with clock and timeSpent on moves
+ */
+export const addClockTimes = (positions, headers = {}) => {
+  const timeControl = parseTimeControl(headers.TimeControl);
+
+  // Clock of the side to move before each of their moves, by colour
+  const previousClocks = {
+    w: timeControl?.base ?? null,
+    b: timeControl?.base ?? null
+  };
+
+  positions.slice(1).forEach((position, index) => {
+    const clock = readClock(position.comments);
+    if (clock === null) return;
+
+    // The side to move before this move is the one that played it
+    const colour = positions[index].fen.split(" ")[1];
+    const previousClock = previousClocks[colour];
+
+    position.clock = clock;
+    position.timeSpent = previousClock === null
+      ? null
+      : Math.max(previousClock - clock + (timeControl?.increment || 0), 0);
+
+    previousClocks[colour] = clock;
+  });
+
+  return positions;
+};
+
+/**
+ * How each player used their clock: time trouble phases, and the inaccuracies
+ * and worse that were played under a low clock or after a long think
+ * @param {Array<object>} positions - Classified positions with clock times
+ * @returns {object|null} - Time analysis, null when the game has no clock times
+ */
+export const analyseClockTimes = (positions) => {
+  const moves = positions
+    .map((position, index) => ({ position, index }))
+    .filter(({ position, index }) => index > 0 && typeof position.clock === "number");
+
+  if (moves.length === 0) return null;
+
+  const analysis = {
+    startingClocks: {},
+    averageTimeSpent: {},
+    phases: [],
+    flaggedMoves: []
+  };
+
+  for (const colour of ["white", "black"]) {
+    // White moved when black is to move afterwards
+    const ownMoves = moves.filter(({ position }) => position.fen.includes(colour === "white" ? " b " : " w "));
+    if (ownMoves.length === 0) continue;
+
+    // The clock before the first move, when the time spent on it is known
+    const first = ownMoves[0].position;
+    const startingClock = first.clock + (first.timeSpent || 0);
+    const spentTimes = ownMoves
+      .map(({ position }) => position.timeSpent)
+      .filter(timeSpent => typeof timeSpent === "number");
+    const averageTimeSpent = spentTimes.length > 0
+      ? spentTimes.reduce((total, timeSpent) => total + timeSpent, 0) / spentTimes.length
+      : null;
+
+    analysis.startingClocks[colour] = startingClock;
+    analysis.averageTimeSpent[colour] = averageTimeSpent;
+
+    const lowClock = Math.max(startingClock * LOW_CLOCK_SHARE, LOW_CLOCK_MIN_SECONDS);
+    const longThink = Math.max((averageTimeSpent || 0) * LONG_THINK_FACTOR, startingClock * LONG_THINK_SHARE);
+    let phase = null;
+
+    for (const { position, index } of ownMoves) {
+      const isLowClock = position.clock <= lowClock;
+      const isLongThink = averageTimeSpent !== null && position.timeSpent >= longThink;
+
+      // Consecutive moves under a low clock make one time trouble phase
+      if (isLowClock) {
+        if (!phase) {
+          phase = { colour, startIndex: index, endIndex: index };
+          analysis.phases.push(phase);
+        }
+        phase.endIndex = index;
+      } else {
+        phase = null;
+      }
+
+      if (flaggedClassifications.includes(position.classification) && (isLowClock || isLongThink)) {
+        analysis.flaggedMoves.push({
+          index,
+          colour,
+          classification: position.classification,
+          reason: isLowClock ? "lowClock" : "longThink",
+          clock: position.clock,
+          timeSpent: position.timeSpent
+        });
+      }
+    }
+  }
+
+  analysis.flaggedMoves.sort((a, b) => a.index - b.index);
+
+  return analysis;
+};
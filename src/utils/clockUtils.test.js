@@ -0,0 +1,138 @@
+import { readClock, parseTimeControl, formatClock, addClockTimes, analyseClockTimes } from './clockUtils';
+import { Classification } from './constants';
+
+// Only the side to move of a FEN matters to the clock
+const WHITE_TO_MOVE = "8/8/8/8/8/8/8/8 w - - 0 1";
+const BLACK_TO_MOVE = "8/8/8/8/8/8/8/8 b - - 0 1";
+
+describe('readClock', () => {
+  test('reads hours, minutes and seconds', () => {
+    expect(readClock(["[%clk 0:02:58]"])).toBe(178);
+    expect(readClock(["[%clk 1:00:00.5]"])).toBe(3600.5);
+    expect(readClock(["[%clk 2:05]"])).toBe(125);
+  });
+
+  test('takes the last clock of the comments', () => {
+    expect(readClock(["[%clk 0:03:00]", "Good move [%clk 0:02:40]"])).toBe(160);
+  });
+
+  test('is null without a clock', () => {
+    expect(readClock(["Good move"])).toBeNull();
+    expect(readClock()).toBeNull();
+  });
+});
+
+describe('parseTimeControl', () => {
+  test('reads a base and an increment', () => {
+    expect(parseTimeControl("180+2")).toEqual({ base: 180, increment: 2 });
+    expect(parseTimeControl("600")).toEqual({ base: 600, increment: 0 });
+  });
+
+  test('reads the first period of a multi-period control', () => {
+    expect(parseTimeControl("40/7200:3600")).toEqual({ base: 7200, increment: 0 });
+  });
+
+  test('is null for untimed or unknown controls', () => {
+    expect(parseTimeControl("-")).toBeNull();
+    expect(parseTimeControl("?")).toBeNull();
+    expect(parseTimeControl(undefined)).toBeNull();
+  });
+});
+
+describe('formatClock', () => {
+  test('formats like a chess clock', () => {
+    expect(formatClock(3725)).toBe("1:02:05");
+    expect(formatClock(173)).toBe("2:53");
+    expect(formatClock(8.4)).toBe("0:08.4");
+    expect(formatClock(null)).toBe("-");
+  });
+});
+
+describe('addClockTimes', () => {
+  const positions = (clocks) => [
+    { fen: WHITE_TO_MOVE },
+    ...clocks.map((clock, index) => ({
+      fen: index % 2 === 0 ? BLACK_TO_MOVE : WHITE_TO_MOVE,
+      comments: clock === null ? [] : [`[%clk ${clock}]`]
+    }))
+  ];
+
+  test('adds the increment to the time spent', () => {
+    const timed = addClockTimes(positions(["0:02:58", "0:02:59", "0:02:50"]), { TimeControl: "180+2" });
+
+    expect(timed.slice(1).map(position => position.clock)).toEqual([178, 179, 170]);
+    expect(timed.slice(1).map(position => position.timeSpent)).toEqual([4, 3, 10]);
+  });
+
+  test('never counts negative time', () => {
+    const [, move] = addClockTimes(positions(["0:03:05"]), { TimeControl: "180+2" });
+    expect(move.timeSpent).toBe(0);
+  });
+
+  test('skips moves without a clock and counts from the player\'s last one', () => {
+    const timed = addClockTimes(positions(["0:02:58", null, "0:02:50", "0:02:40"]), { TimeControl: "180" });
+
+    expect(timed[2].clock).toBeUndefined();
+    expect(timed[2].timeSpent).toBeUndefined();
+    expect(timed[4].timeSpent).toBe(20);
+  });
+
+  test('cannot tell the time spent on the first move without a time control', () => {
+    const timed = addClockTimes(positions(["0:02:58", "0:02:59", "0:02:50"]));
+
+    expect(timed[1].timeSpent).toBeNull();
+    expect(timed[2].timeSpent).toBeNull();
+    expect(timed[3].timeSpent).toBe(8);
+  });
+});
+
+describe('analyseClockTimes', () => {
+  const move = (colour, clock, timeSpent, classification = Classification.BEST) => ({
+    fen: colour === "white" ? BLACK_TO_MOVE : WHITE_TO_MOVE,
+    clock,
+    timeSpent,
+    classification
+  });
+
+  // White starts with a minute: a long think on move 3, then two spells under ten seconds
+  const whiteMoves = [
+    move("white", 58, 2, Classification.INACCURACY),
+    move("white", 56, 2),
+    move("white", 26, 30, Classification.MISTAKE),
+    move("white", 24, 2),
+    move("white", 9, 15),
+    move("white", 8, 1, Classification.BLUNDER),
+    move("white", 12, 0),
+    move("white", 7, 5)
+  ];
+  const positions = [
+    { fen: WHITE_TO_MOVE },
+    ...whiteMoves.flatMap(whiteMove => [whiteMove, move("black", 60, 0)])
+  ];
+
+  test('is null for a game without clock times', () => {
+    expect(analyseClockTimes([{ fen: WHITE_TO_MOVE }, { fen: BLACK_TO_MOVE }])).toBeNull();
+  });
+
+  test('reads the starting clock and the average time per move', () => {
+    const analysis = analyseClockTimes(positions);
+
+    expect(analysis.startingClocks).toEqual({ white: 60, black: 60 });
+    expect(analysis.averageTimeSpent.white).toBeCloseTo(57 / 8);
+    expect(analysis.averageTimeSpent.black).toBe(0);
+  });
+
+  test('groups consecutive moves under a low clock into phases', () => {
+    expect(analyseClockTimes(positions).phases).toEqual([
+      { colour: "white", startIndex: 9, endIndex: 11 },
+      { colour: "white", startIndex: 15, endIndex: 15 }
+    ]);
+  });
+
+  test('flags inaccuracies and worse played under a low clock or after a long think', () => {
+    expect(analyseClockTimes(positions).flaggedMoves).toEqual([
+      { index: 5, colour: "white", classification: Classification.MISTAKE, reason: "longThink", clock: 26, timeSpent: 30 },
+      { index: 11, colour: "white", classification: Classification.BLUNDER, reason: "lowClock", clock: 8, timeSpent: 1 }
+    ]);
+  });
+});
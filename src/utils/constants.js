@@ -14,6 +14,51 @@ export const Classification = {
   FORCED: "forced"
 };
 
+/**
+ * Where an engine result came from
+ */
+export const EngineProvenance = {
+  COMPLETE: "complete",       // Search reached the requested limit
+  PARTIAL: "partial",         // Search was cut short, lines are real but shallower
+  UNAVAILABLE: "unavailable"  // Engine produced nothing usable for the position
+};
+
+/**
+ * State of a game in the batch analysis queue
+ */
+export const BatchStatus = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+  CANCELLED: "cancelled"
+};
+
+/**
+ * What bounds a single engine search
+ */
+export const SearchLimit = {
+  DEPTH: "depth",        // Search to a fixed depth
+  MOVETIME: "movetime",  // Search for a fixed number of milliseconds
+  NODES: "nodes"         // Search a fixed number of nodes
+};
+
+/**
+ * Engine profile used when the user hasn't saved one
+ */
+export const DEFAULT_ENGINE_SETTINGS = {
+  multiPv: 3,
+  threads: 1,
+  hash: 128,
+  searchLimit: SearchLimit.DEPTH,
+  depth: 20,
+  movetime: 2000,
+  nodes: 1000000,
+  adaptiveDepth: false, // Quick pass first, then only uncertain positions at full depth
+  quickDepth: 12,
+  cacheLimit: 10000 // Positions kept in the evaluation cache, 0 turns it off
+};
+
 /**
  * Values associated with each classification for accuracy calculation
  * Nilai klasifikasi untuk menghitung akurasi
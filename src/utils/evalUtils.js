@@ -18,6 +18,18 @@ export const formatEvaluation = (evaluation) => {
   return "0.0";
 };
 
+/**
+ * Format an evaluation with the side it favours, for compact lists
+ * @param {object} evaluation - The evaluation object with type and value, from white's point of view
+ * @returns {string} - e.g. "+0.4", "-1.2", "+M3", or "#" once mate is on the board
+ */
+export const formatSignedEvaluation = (evaluation) => {
+  if (!evaluation) return "";
+  if (evaluation.type === "mate" && evaluation.value === 0) return "#";
+  
+  return (evaluation.value < 0 ? "-" : "+") + formatEvaluation(evaluation);
+};
+
 /**
  * Get the color that should be ahead in the evaluation bar
  * @param {object} evaluation - The evaluation object
@@ -105,4 +117,33 @@ export const isEvalTextVisible = (evaluation, boardFlipped, forPlayer) => {
   } else {
     return !whiteWinning; // Show black text if black is winning
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Convert a win/draw/loss triple to whole percentages
+ * @param {Array<number>} wdl - Per mille chances as [white wins, draw, black wins]
+ * @returns {object|null} - Percentages for white, draw and black, or null without data
+ */
+export const getWdlPercentages = (wdl) => {
+  if (!Array.isArray(wdl) || wdl.length !== 3) return null;
+  
+  const total = wdl[0] + wdl[1] + wdl[2];
+  if (!total) return null;
+  
+  const white = Math.round(wdl[0] / total * 100);
+  const black = Math.round(wdl[2] / total * 100);
+  
+  return { white, draw: 100 - white - black, black };
+};
+
+/**
+ * Format a win/draw/loss triple for display
+ * @param {Array<number>} wdl - Per mille chances as [white wins, draw, black wins]
+ * @returns {string} - e.g. "White 45% · Draw 50% · Black 5%", empty without data
+ */
+export const formatWdl = (wdl) => {
+  const percentages = getWdlPercentages(wdl);
+  if (!percentages) return "";
+  
+  return `White ${percentages.white}% · Draw ${percentages.draw}% · Black ${percentages.black}%`;
+};
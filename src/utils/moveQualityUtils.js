@@ -1,5 +1,6 @@
 import { Chess } from 'chess.js';
 import { Classification } from './constants';
+import { toChessJsFen, countLegalMoves } from './chess960';
 import { 
   getAttackers, 
   isPieceHanging, 
@@ -47,10 +48,11 @@ export function getEvaluationLossThreshold(classif, prevEval) {
 }
 
 // Fungsi utama untuk menentukan kualitas langkah yang persis dengan versi TypeScript
-export function determineMoveQuality(lastFen, fen, prevEval, evaluation, prevTopMoves, topMoves, moveUci, moveSan, lastPositionClassification, cutoffEvaluation) {
+// playedMoveEvaluation adalah skor langkah yang dimainkan dari `go searchmoves` pada kedalaman yang sama
+export function determineMoveQuality(lastFen, fen, prevEval, evaluation, prevTopMoves, topMoves, moveUci, moveSan, lastPositionClassification, playedMoveEvaluation) {
   try {
-    let board = new Chess(fen);
-    let lastBoard = new Chess(lastFen);
+    let board = new Chess(toChessJsFen(fen));
+    let lastBoard = new Chess(toChessJsFen(lastFen));
     
     // Check for checkmate at the very beginning
     if (board.isCheckmate()) {
@@ -58,7 +60,8 @@ export function determineMoveQuality(lastFen, fen, prevEval, evaluation, prevTop
     }
     
     const topMove = prevTopMoves.find(line => line.id === 1);
-    const secondTopMove = prevTopMoves.find(line => line.id === 2);
+    // Missing when the engine ran with MultiPV 1; BRILLIANT and GREAT can't be judged without it
+    const secondTopMove = prevTopMoves.find(line => line.id === 2 && line.evaluation);
     
     if (!topMove) return Classification.BOOK;
     
@@ -91,42 +94,15 @@ export function determineMoveQuality(lastFen, fen, prevEval, evaluation, prevTop
     const previousAbsoluteEvaluation = previousEvaluation.value * (moveColour === "white" ? 1 : -1);
     const absoluteSecondEvaluation = (secondTopMove?.evaluation?.value || 0) * (moveColour === "white" ? 1 : -1);
     
-    // Calculate evaluation loss - exact same as before
-    let evalLoss = Infinity;
-    let cutoffEvalLoss = Infinity;
-    let lastLineEvalLoss = Infinity;
-    
-    // Find move evaluation from previous top lines
-    const matchingTopLine = prevTopMoves.find(line => line.moveUCI === moveUci);
-    if (matchingTopLine) {
-      if (moveColour === "white") {
-        lastLineEvalLoss = previousEvaluation.value - matchingTopLine.evaluation.value;
-      } else {
-        lastLineEvalLoss = matchingTopLine.evaluation.value - previousEvaluation.value;
-      }
-    }
-    
-    // Use cutoff evaluation if available
-    if (cutoffEvaluation) {
-      if (moveColour === "white") {
-        cutoffEvalLoss = cutoffEvaluation.value - evaluation.value;
-      } else {
-        cutoffEvalLoss = evaluation.value - cutoffEvaluation.value;
-      }
-    }
-    
-    // Calculate standard evaluation loss
-    if (moveColour === "white") {
-      evalLoss = previousEvaluation.value - evaluation.value;
-    } else {
-      evalLoss = evaluation.value - previousEvaluation.value;
-    }
-    
-    // Take minimum value of all loss metrics
-    evalLoss = Math.min(evalLoss, cutoffEvalLoss, lastLineEvalLoss);
+    // Calculate evaluation loss, preferring the same-depth score of the played move
+    // over the next position's evaluation, which comes from a separate search
+    const lossEvaluation = playedMoveEvaluation?.type === "cp" ? playedMoveEvaluation : evaluation;
+    const evalLoss = moveColour === "white"
+      ? previousEvaluation.value - lossEvaluation.value
+      : lossEvaluation.value - previousEvaluation.value;
     
     // If this is the only possible move
-    if (!secondTopMove) {
+    if (countLegalMoves(lastFen) === 1) {
       return Classification.FORCED;
     }
     
@@ -145,7 +121,7 @@ export function determineMoveQuality(lastFen, fen, prevEval, evaluation, prevTop
           (topMove.evaluation.type === "mate" && secondTopMove?.evaluation?.type === "mate")
         );
         
-        if (absoluteEvaluation >= 0 && !winningAnyways && !moveSan.includes("=")) {
+        if (secondTopMove && absoluteEvaluation >= 0 && !winningAnyways && !moveSan.includes("=")) {
           if (!lastBoard.isCheck()) {
             // Rest of the brilliant move detection logic
             const toSquare = moveUci.slice(2, 4);
@@ -248,6 +224,7 @@ export function determineMoveQuality(lastFen, fen, prevEval, evaluation, prevTop
         try {
           if (
             noMate &&
+            secondTopMove &&
             classification !== Classification.BRILLIANT &&
             lastPositionClassification === Classification.BLUNDER &&
             Math.abs(topMove.evaluation.value - (secondTopMove?.evaluation?.value || 0)) >= 150 &&
@@ -0,0 +1,28 @@
+import { determineMoveQuality } from './moveQualityUtils';
+import { Classification } from './constants';
+
+const START = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+const AFTER_E4 = "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1";
+
+const line = (id, moveUCI, value) => ({ id, moveUCI, evaluation: { type: "cp", value } });
+
+/**
+ * Classify 1. e4 played as the engine's top move after the opponent blundered
+ * @param {Array} topLines - Engine lines of the position before the move
+ * @returns {string} - Classification of the move
+ */
+const classifyAfterBlunder = (topLines) => determineMoveQuality(
+  START, AFTER_E4, topLines[0].evaluation, { type: "cp", value: 300 },
+  topLines, [], "e2e4", "e4", Classification.BLUNDER
+);
+
+describe('determineMoveQuality', () => {
+  test('calls the only move that punishes a blunder great', () => {
+    expect(classifyAfterBlunder([line(1, "e2e4", 300), line(2, "d2d4", 50)])).toBe(Classification.GREAT);
+    expect(classifyAfterBlunder([line(1, "e2e4", 300), line(2, "d2d4", 200)])).toBe(Classification.BEST);
+  });
+
+  test('does not call a move great without a second engine line to compare', () => {
+    expect(classifyAfterBlunder([line(1, "e2e4", 300)])).toBe(Classification.BEST);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Export of a reviewed game as annotated PGN, readable by other chess GUIs
+ */
+import { Chess, DEFAULT_POSITION } from 'chess.js';
+import { Classification } from './constants';
+import { isChess960Position, playMove, toChessJsFen } from './chess960';
+import { applyAnnotations } from './boardAnnotations';
+
+// NAG written for each classification; others get none
+const classificationNags = {
+  [Classification.BRILLIANT]: 3,
+  [Classification.GREAT]: 1,
+  [Classification.INACCURACY]: 6,
+  [Classification.MISTAKE]: 2,
+  [Classification.BLUNDER]: 4
+};
+
+// Classifications whose move gets the engine's best line as a variation
+const variationClassifications = [
+  Classification.INACCURACY,
+  Classification.MISTAKE,
+  Classification.BLUNDER
+];
+
+// Tags written by the export itself, never copied from the original game
+const generatedHeaders = [
+  "Event", "Site", "Date", "Round", "White", "Black", "Result",
+  "WhiteElo", "BlackElo", "WhiteAccuracy", "BlackAccuracy",
+  "Opening", "Annotator", "Variant", "SetUp", "FEN"
+];
+
+// Export lines are wrapped before this many characters
+const MAX_LINE_LENGTH = 80;
+
+/**
+ * Format an evaluation the way [%eval] expects it, from white's point of view
+ * @param {object} evaluation - The evaluation object with type and value
+ * @returns {string|null} - e.g. "0.35" or "#-3", null when there is nothing to write
+ */
+const formatEvalCommand = (evaluation) => {
+  if (!evaluation) return null;
+
+  if (evaluation.type === "mate") {
+    // Mate on the board already shows in the result
+    return evaluation.value === 0 ? null : `#${evaluation.value}`;
+  }
+
+  return (evaluation.value / 100).toFixed(2);
+};
+
+/**
+ * Drop [%eval] commands from an original comment, since the review writes its own
+ * @param {string} comment - Raw comment
+ * @returns {string} - Comment without evaluations
+ */
+const stripEvalCommand = (comment) => {
+  return comment.replace(/\[%eval[^\]]*\]/g, "").trim();
+};
+
+/**
+ * Escape a tag value
+ * @param {string} value - Raw value
+ * @returns {string} - Value safe inside double quotes
+ */
+const escapeTagValue = (value) => {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+};
+
+/**
+ * Build a comment token, dropping empty ones
+ * @param {Array<string>} parts - Comment pieces
+ * @returns {string|null} - "{ ... }" or null
+ */
+const buildComment = (parts) => {
+  const text = parts.filter(Boolean).join(" ").replace(/[{}]/g, "");
+  return text ? `{ ${text} }` : null;
+};
+
+/**
+ * Write a line of moves with its comments and variations as PGN tokens
+ * @param {string} startFen - Position before the first move
+ * @param {Array<object>} moves - Nodes: { san, comments, nags, variations, fen }
+ * @param {object} boardAnnotations - Arrows and highlights drawn on the board, keyed by FEN
+ * @returns {Array<string>} - Movetext tokens
+ */
+const writeLine = (startFen, moves, boardAnnotations = {}) => {
+  const tokens = [];
+  let fen = startFen;
+  let needsNumber = true;
+
+  moves.forEach(node => {
+    const [, turn, , , , fullmove] = fen.split(" ");
+
+    if (turn === "w") {
+      tokens.push(`${fullmove}.`);
+    } else if (needsNumber) {
+      tokens.push(`${fullmove}...`);
+    }
+
+    tokens.push(node.san);
+    (node.nags || []).forEach(nag => tokens.push(`$${nag}`));
+
+    const comment = buildComment(applyAnnotations(node.comments, boardAnnotations[node.fen]));
+    if (comment) tokens.push(comment);
+
+    const variations = node.variations || [];
+    variations.forEach(variation => {
+      const variationComment = buildComment(variation[0]?.commentsBefore || []);
+      const variationTokens = [...(variationComment ? [variationComment] : []), ...writeLine(fen, variation, boardAnnotations)];
+
+      variationTokens[0] = `(${variationTokens[0]}`;
+      variationTokens[variationTokens.length - 1] += ")";
+      tokens.push(...variationTokens);
+    });
+
+    // Black's move after a comment or a variation is numbered again
+    needsNumber = !!comment || variations.length > 0;
+    fen = node.fen;
+  });
+
+  return tokens;
+};
+
+/**
+ * Engine best line of a position as move tree nodes
+ * @param {object} position - Position the move was played from
+ * @returns {Array<object>} - Nodes, empty when the engine gave no line
+ */
+const getBestLineNodes = (position) => {
+  const topLine = position.topLines?.[0];
+  if (!topLine?.moveSAN) return [];
+
+  let fen = position.fen;
+  const nodes = [];
+
+  for (const san of [topLine.moveSAN, ...(topLine.futureMoves || [])]) {
+    const move = playMove(fen, san);
+    if (!move) break;
+
+    fen = move.fen;
+    nodes.push({ san: move.san, fen });
+  }
+
+  if (nodes.length > 0) {
+    const evaluation = formatEvalCommand(topLine.evaluation);
+    nodes[0].comments = evaluation ? [`[%eval ${evaluation}]`] : [];
+  }
+
+  return nodes;
+};
+
+/**
+ * Game result read from the final position
+ * @param {string} fen - Final position
+ * @returns {string} - PGN result
+ */
+const getResult = (fen) => {
+  try {
+    const chess = new Chess(toChessJsFen(fen));
+
+    if (chess.isCheckmate()) return chess.turn() === "w" ? "0-1" : "1-0";
+    if (chess.isDraw()) return "1/2-1/2";
+  } catch (error) {
+    console.warn("Could not read the final position:", error);
+  }
+
+  return "*";
+};
+
+/**
+ * Wrap movetext tokens into lines
+ * @param {Array<string>} tokens - Movetext tokens
+ * @returns {string} - Wrapped movetext
+ */
+const wrapTokens = (tokens) => {
+  const lines = [];
+  let line = "";
+
+  tokens.join(" ").split(" ").forEach(word => {
+    if (line && line.length + word.length + 1 > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+
+  if (line) lines.push(line);
+
+  return lines.join("\n");
+};
+
+/**
+ * Export a finished review as annotated PGN. Every move carries its [%eval]
+ * and classification NAG, inaccuracies and worse get the engine's best line as
+ * a variation, and comments or variations read from the original PGN are kept.
+ * Arrows and highlights drawn on the board are written as [%cal] and [%csl].
+ * @param {object} report - Analysis report from generateAnalysisReport
+ * @param {object} players - White and black player profiles
+ * @param {object} gameHeaders - Tag pairs of the original game, kept in the export
+ * @param {object} boardAnnotations - Arrows and highlights keyed by FEN, replacing those of the original PGN
+ * @returns {string} - PGN text
+ */
+export const exportAnnotatedPgn = (report, players, gameHeaders = {}, boardAnnotations = {}) => {
+  const positions = report.positions;
+  const startFen = positions[0].fen;
+
+  // A resignation or a flag fall only shows in the original Result tag
+  const finalResult = getResult(positions[positions.length - 1].fen);
+  const result = finalResult === "*" && gameHeaders.Result ? gameHeaders.Result : finalResult;
+  const opening = positions.reduce((name, position) => position.opening || name, null);
+
+  const headers = [
+    ["Event", gameHeaders.Event || "?"],
+    ["Site", gameHeaders.Site || "?"],
+    ["Date", gameHeaders.Date || "????.??.??"],
+    ["Round", gameHeaders.Round || "?"],
+    ["White", players.white?.username || "?"],
+    ["Black", players.black?.username || "?"],
+    ["Result", result],
+    ["WhiteElo", players.white?.rating],
+    ["BlackElo", players.black?.rating],
+    ["WhiteAccuracy", report.accuracies?.white.toFixed(1)],
+    ["BlackAccuracy", report.accuracies?.black.toFixed(1)],
+    ...Object.entries(gameHeaders).filter(([name]) => !generatedHeaders.includes(name)),
+    ["Opening", opening || gameHeaders.Opening],
+    ["Annotator", "Stockfish"]
+  ];
+
+  if (isChess960Position(startFen)) {
+    headers.push(["Variant", "Chess960"]);
+  }
+
+  if (startFen !== DEFAULT_POSITION) {
+    headers.push(["SetUp", "1"], ["FEN", startFen]);
+  }
+
+  const moves = positions.slice(1).map((position, index) => {
+    const previousPosition = positions[index];
+    const evaluation = formatEvalCommand(
+      position.topLines?.[0]?.evaluation || position.playedMoveEvaluation?.evaluation
+    );
+
+    // The classification replaces any move assessment ($1 to $6) the PGN had
+    const classificationNag = classificationNags[position.classification];
+    const nags = classificationNag
+      ? [classificationNag, ...(position.nags || []).filter(nag => nag > 6)]
+      : [...(position.nags || [])];
+
+    const variations = [...(position.variations || [])];
+    if (variationClassifications.includes(position.classification)) {
+      const bestLine = getBestLineNodes(previousPosition);
+      if (bestLine.length > 0) variations.unshift(bestLine);
+    }
+
+    return {
+      san: position.move.san,
+      fen: position.fen,
+      nags,
+      comments: [
+        ...(evaluation ? [`[%eval ${evaluation}]`] : []),
+        ...(position.comments || []).map(stripEvalCommand)
+      ],
+      variations
+    };
+  });
+
+  const gameComment = buildComment(applyAnnotations(positions[0].comments, boardAnnotations[startFen]));
+
+  const tagSection = headers
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([name, value]) => `[${name} "${escapeTagValue(value)}"]`)
+    .join("\n");
+
+  const movetext = wrapTokens([
+    ...(gameComment ? [gameComment] : []),
+    ...writeLine(startFen, moves, boardAnnotations),
+    result
+  ]);
+
+  return `${tagSection}\n\n${movetext}\n`;
+};
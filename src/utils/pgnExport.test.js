@@ -0,0 +1,147 @@
+import { parseAnnotatedPgn, getCommentText } from './pgnTreeParser';
+import { exportAnnotatedPgn } from './pgnExport';
+import { Classification } from './constants';
+
+const players = {
+  white: { username: "Alice", rating: "1500" },
+  black: { username: "Bob", rating: "1480" }
+};
+
+/**
+ * Export a PGN as it was parsed, optionally changing its positions first
+ * @param {string} pgn - Game to export
+ * @param {Function} edit - Changes the parsed positions in place
+ * @returns {string} - Exported PGN
+ */
+const exportPgn = (pgn, edit = () => {}) => {
+  const { positions, tree } = parseAnnotatedPgn(pgn);
+  edit(positions);
+  return exportAnnotatedPgn({ positions }, players, tree.headers);
+};
+
+const movetext = (pgn) => pgn.split("\n\n")[1].trim().replace(/\n/g, " ");
+const tag = (pgn, name) => pgn.match(new RegExp(`\\[${name} "([^"]*)"\\]`))?.[1];
+
+describe('round trip', () => {
+  test('keeps moves, comments and variations', () => {
+    const original = '[Event "Club"]\n\n{Start} 1. e4 {King pawn} e5 (1... c5 {Sicilian} 2. Nf3 (2. Nc3 Nc6) d6) 2. Nf3 $146 Nc6 *';
+    const { positions, tree } = parseAnnotatedPgn(exportPgn(original));
+    const [, e4, e5, nf3] = positions;
+
+    expect(tree.headers.Event).toBe("Club");
+    expect(positions.slice(1).map(position => position.move.san)).toEqual(["e4", "e5", "Nf3", "Nc6"]);
+    expect(positions[0].comments).toEqual(["Start"]);
+    expect(e4.comments).toEqual(["King pawn"]);
+    expect(nf3.nags).toEqual([146]);
+
+    const [sicilian] = e5.variations;
+    expect(sicilian.map(node => node.san)).toEqual(["c5", "Nf3", "d6"]);
+    expect(sicilian[0].comments).toEqual(["Sicilian"]);
+    expect(sicilian[1].variations[0].map(node => node.san)).toEqual(["Nc3", "Nc6"]);
+  });
+});
+
+describe('move numbers', () => {
+  test('numbers black moves only after a comment or a variation', () => {
+    expect(movetext(exportPgn("1. e4 e5 2. Nf3 *"))).toBe("1. e4 e5 2. Nf3 *");
+    expect(movetext(exportPgn("1. e4 {Good} e5 *"))).toBe("1. e4 { Good } 1... e5 *");
+    expect(movetext(exportPgn("1. e4 (1. d4 d5) e5 *"))).toBe("1. e4 (1. d4 d5) 1... e5 *");
+  });
+
+  test('starts a variation on a black move with its number', () => {
+    expect(movetext(exportPgn("1. e4 e5 (1... c5) 2. Nf3 *"))).toBe("1. e4 e5 (1... c5) 2. Nf3 *");
+  });
+});
+
+describe('NAGs', () => {
+  test('replaces move assessments with the classification and keeps other glyphs', () => {
+    const pgn = exportPgn("1. e4 $1 $146 e5 $5 $14 *", positions => {
+      positions[1].classification = Classification.MISTAKE;
+      positions[2].classification = Classification.BEST;
+    });
+
+    expect(movetext(pgn)).toBe("1. e4 $2 $146 e5 $5 $14 *");
+  });
+
+  test('writes the best line as a variation of inaccuracies and worse', () => {
+    const pgn = exportPgn("1. e4 e5 2. Qh5 *", positions => {
+      positions[2].topLines = [{ moveSAN: "Nf3", futureMoves: ["Nc6"], evaluation: { type: "cp", value: 40 } }];
+      positions[3].classification = Classification.INACCURACY;
+    });
+
+    expect(movetext(pgn)).toBe("1. e4 e5 { [%eval 0.40] } 2. Qh5 $6 (2. Nf3 { [%eval 0.40] } 2... Nc6) *");
+  });
+});
+
+describe('evaluations', () => {
+  const exportEvaluation = (evaluation) => exportPgn("1. e4 *", positions => {
+    positions[1].topLines = [{ evaluation }];
+  });
+
+  test('writes centipawns as pawns', () => {
+    expect(movetext(exportEvaluation({ type: "cp", value: 35 }))).toBe("1. e4 { [%eval 0.35] } *");
+    expect(movetext(exportEvaluation({ type: "cp", value: -120 }))).toBe("1. e4 { [%eval -1.20] } *");
+  });
+
+  test('writes mates with #', () => {
+    expect(movetext(exportEvaluation({ type: "mate", value: 3 }))).toBe("1. e4 { [%eval #3] } *");
+    expect(movetext(exportEvaluation({ type: "mate", value: -2 }))).toBe("1. e4 { [%eval #-2] } *");
+  });
+
+  test('writes nothing for mate on the board', () => {
+    expect(movetext(exportEvaluation({ type: "mate", value: 0 }))).toBe("1. e4 *");
+  });
+
+  test('replaces the evaluations of the original PGN', () => {
+    const pgn = exportPgn("1. e4 {[%eval 0.10] Main line} *", positions => {
+      positions[1].topLines = [{ evaluation: { type: "cp", value: 35 } }];
+    });
+
+    const [, e4] = parseAnnotatedPgn(pgn).positions;
+    expect(e4.comments.join(" ")).not.toContain("0.10");
+    expect(getCommentText(e4.comments.join(" "))).toBe("Main line");
+  });
+});
+
+describe('tags', () => {
+  test('writes SetUp and FEN for a game from a position', () => {
+    const fen = "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1";
+    const pgn = exportPgn(`[SetUp "1"]\n[FEN "${fen}"]\n\n1. e4 Kd7 *`);
+
+    expect(tag(pgn, "SetUp")).toBe("1");
+    expect(tag(pgn, "FEN")).toBe(fen);
+    expect(tag(pgn, "Variant")).toBeUndefined();
+    expect(parseAnnotatedPgn(pgn).positions[0].fen).toBe(fen);
+  });
+
+  test('writes neither for the standard start position', () => {
+    const pgn = exportPgn("1. e4 *");
+    expect(tag(pgn, "SetUp")).toBeUndefined();
+    expect(tag(pgn, "FEN")).toBeUndefined();
+  });
+
+  test('marks Chess960 games', () => {
+    const pgn = exportPgn('[Variant "Chess960"]\n[SetUp "1"]\n[FEN "bqnbrkrn/pppppppp/8/8/8/8/PPPPPPPP/BQNBRKRN w KQkq - 0 1"]\n\n1. e4 *');
+    expect(tag(pgn, "Variant")).toBe("Chess960");
+    expect(tag(pgn, "SetUp")).toBe("1");
+  });
+
+  test('keeps tags it does not write itself and the original result', () => {
+    const pgn = exportPgn('[TimeControl "180+2"]\n[Result "1-0"]\n\n1. e4 e5 1-0');
+    expect(tag(pgn, "TimeControl")).toBe("180+2");
+    expect(tag(pgn, "Result")).toBe("1-0");
+    expect(tag(pgn, "White")).toBe("Alice");
+  });
+});
+
+describe('line wrapping', () => {
+  test('wraps the movetext before 80 characters without splitting tokens', () => {
+    const moves = Array.from({ length: 20 }, (_, index) => `${index * 2 + 1}. Nf3 Nf6 ${index * 2 + 2}. Ng1 Ng8`).join(" ");
+    const pgn = exportPgn(`${moves} *`);
+    const lines = pgn.split("\n\n")[1].trim().split("\n");
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(line.length).toBeLessThanOrEqual(80));
+    expect(movetext(pgn)).toBe(`${moves} *`);
+  });
+});
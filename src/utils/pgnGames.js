@@ -0,0 +1,140 @@
+/**
+ * Helpers for PGN files holding more than one game
+ * Every parser reads a single game, so files are split here first
+ */
+import { DEFAULT_POSITION, validateFen } from 'chess.js';
+import { isChess960Position, toXFen, toChessJsFen } from './chess960';
+
+/**
+ * Split a file of several games into one PGN per game. A game ends where the
+ * header section of the next one starts after some movetext.
+ * @param {string} pgn - One or more games
+ * @returns {Array<string>} - PGN of each game, empty ones dropped
+ */
+export function splitPgnGames(pgn) {
+  const games = [];
+  let lines = [];
+  let hasMovetext = false;
+  
+  for (const line of pgn.split(/\r?\n/)) {
+    const isHeader = /^\s*(\[\w+\s+"(?:[^"\\]|\\.)*"\]\s*)+$/.test(line);
+    
+    if (isHeader && hasMovetext) {
+      games.push(lines.join('\n').trim());
+      lines = [];
+      hasMovetext = false;
+    }
+    
+    // Escape lines starting with "%" are not movetext
+    if (!isHeader && line.trim() && !line.startsWith('%')) {
+      hasMovetext = true;
+    }
+    
+    lines.push(line);
+  }
+  
+  games.push(lines.join('\n').trim());
+  
+  return games.filter(game => game.length > 0);
+}
+
+/**
+ * The first game of a PGN that may hold several
+ * @param {string} pgn - One or more games
+ * @returns {string} - PGN of the first game, or the input when it holds a single game
+ */
+export function getFirstGame(pgn) {
+  const games = splitPgnGames(pgn);
+  
+  if (games.length > 1) {
+    console.warn(`PGN holds ${games.length} games, reading only the first`);
+  }
+  
+  return games[0] || pgn;
+}
+
+/**
+ * Read the tag pairs of a game
+ * @param {string} pgn - PGN of a single game
+ * @returns {Object} - Tag values by name, e.g. { Event, Round, White, Black, Result }
+ */
+export function readPgnHeaders(pgn) {
+  const headers = {};
+  const headerRegex = /\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]/g;
+  let match;
+  
+  while ((match = headerRegex.exec(pgn)) !== null) {
+    headers[match[1]] = match[2].replace(/\\"/g, '"');
+  }
+  
+  return headers;
+}
+
+/**
+ * Extract player info from PGN headers
+ * @param {string} pgn - PGN string
+ * @returns {Object} - White and black username and rating
+ */
+export function extractPlayerInfo(pgn) {
+  return readPlayerInfo(readPgnHeaders(pgn));
+}
+
+/**
+ * Player info from tag pairs already read
+ * @param {Object} headers - Tag values by name, as returned by readPgnHeaders
+ * @returns {Object} - White and black username and rating
+ */
+export function readPlayerInfo(headers) {
+  return {
+    white: { username: headers.White || 'White Player', rating: headers.WhiteElo || '?' },
+    black: { username: headers.Black || 'Black Player', rating: headers.BlackElo || '?' }
+  };
+}
+
+/**
+ * Position a game starts from, read from its SetUp/FEN tags
+ * @param {string} pgn - PGN of a single game
+ * @returns {string} - The FEN tag, or the standard start position when there is none
+ */
+export function readStartFen(pgn) {
+  const { SetUp, FEN } = readPgnHeaders(pgn);
+  
+  // SetUp "0" explicitly asks for the standard start, whatever FEN says
+  if (!FEN || SetUp === '0') {
+    return DEFAULT_POSITION;
+  }
+  
+  try {
+    return normaliseFen(FEN);
+  } catch (error) {
+    throw new Error(`Invalid FEN tag: ${error.message}`);
+  }
+}
+
+/**
+ * Check a FEN and bring it to the form kept on positions. Chess960 positions
+ * may name their castling rooks by file (Shredder-FEN); they are kept in X-FEN.
+ * @param {string} fen - Position typed or read from a PGN
+ * @returns {string} - The checked position
+ */
+export function normaliseFen(fen) {
+  fen = fen.trim();
+  
+  // chess.js can't judge Chess960 castling rights, so the rest of the position is checked first
+  const validation = validateFen(toChessJsFen(fen));
+  
+  if (!validation.ok) {
+    throw new Error(validation.error);
+  }
+  
+  return isChess960Position(fen) ? toXFen(fen) : fen;
+}
+
+/**
+ * Build a game without moves from a single position, so it can be analysed like any PGN
+ * @param {string} fen - Position to analyse
+ * @returns {string} - PGN with SetUp/FEN tags
+ */
+export function createPositionPgn(fen) {
+  return `[SetUp "1"]\n[FEN "${fen.trim()}"]\n\n*`;
+}
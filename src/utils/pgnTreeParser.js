@@ -0,0 +1,338 @@
+/**
+ * PGN parser keeping the whole move tree
+ * Comments, NAGs and nested variations stay attached to the move they follow.
+ * Nothing is changed silently: moves that had to be repaired or skipped are
+ * reported as diagnostics, with the line and column they were read from.
+ */
+import { DEFAULT_POSITION } from 'chess.js';
+import { getFirstGame, readPgnHeaders, readStartFen, readPlayerInfo } from './pgnGames';
+import { playMove } from './chess960';
+import { addClockTimes } from './clockUtils';
+
+/**
+ * Symbols of the common Numeric Annotation Glyphs
+ */
+export const nagSymbols = {
+  1: "!",
+  2: "?",
+  3: "!!",
+  4: "??",
+  5: "!?",
+  6: "?!",
+  7: "□",
+  10: "=",
+  13: "∞",
+  14: "⩲",
+  15: "⩱",
+  16: "±",
+  17: "∓",
+  18: "+−",
+  19: "−+",
+  22: "⨀",
+  23: "⨀",
+  32: "⟳",
+  33: "⟳",
+  36: "↑",
+  37: "↑",
+  40: "→",
+  41: "→",
+  132: "⇆",
+  133: "⇆",
+  140: "∆",
+  146: "N"
+};
+
+// Tags every PGN should have, the Seven Tag Roster
+const requiredHeaders = ["Event", "Site", "Date", "Round", "White", "Black", "Result"];
+
+// Move suffixes written instead of a NAG, e.g. "Nf3!?"
+const suffixNags = {
+  "!": 1,
+  "?": 2,
+  "!!": 3,
+  "??": 4,
+  "!?": 5,
+  "?!": 6
+};
+
+/**
+ * Format NAGs for display next to a move
+ * @param {Array<number>} nags - NAG numbers
+ * @returns {string} - Symbols, or $n for glyphs without one
+ */
+export const formatNags = (nags = []) => {
+  return nags.map(nag => nagSymbols[nag] || `$${nag}`).join("");
+};
+
+/**
+ * Remove embedded commands such as [%clk 0:03:12] or [%eval 0.25] from a comment
+ * @param {string} comment - Raw comment text
+ * @returns {string} - Text meant for the reader
+ */
+export const getCommentText = (comment) => {
+  return comment.replace(/\[%[^\]]*\]/g, "").replace(/\s+/g, " ").trim();
+};
+
+/**
+ * Describe where the main line stopped, for messages
+ * @param {object} illegalMove - diagnostics.illegalMove of a parsed game
+ * @returns {string} - e.g. "Illegal move Nf6 (12...) at line 3, column 14"
+ */
+export const describeIllegalMove = (illegalMove) => {
+  const { move, moveNumber, line, column } = illegalMove;
+  return `Illegal move ${move} (${moveNumber}) at line ${line}, column ${column}`;
+};
+
+/**
+ * Split movetext into tokens
+ * @param {string} movetext - PGN with its tag pairs blanked out, so offsets match the game text
+ * @returns {Array<object>} - Tokens with a type, a value and, for moves, the text and offset they were read from
+ */
+const tokenize = (movetext) => {
+  const tokens = [];
+  // Escape lines, starting with "%", are not PGN; they are blanked so offsets still match
+  const text = movetext.replace(/^%.*$/gm, line => " ".repeat(line.length));
+  const tokenRegex = /\{([^}]*)\}|;([^\n]*)|(\()|(\))|\$(\d+)|(1-0|0-1|1\/2-1\/2|\*)|(\d+\.+)|([^\s{}();$]+)/g;
+  let match;
+
+  while ((match = tokenRegex.exec(text)) !== null) {
+    const [, braceComment, lineComment, open, close, nag, result, moveNumber, text] = match;
+
+    if (braceComment !== undefined) tokens.push({ type: "comment", value: braceComment.trim() });
+    else if (lineComment !== undefined) tokens.push({ type: "comment", value: lineComment.trim() });
+    else if (open) tokens.push({ type: "open" });
+    else if (close) tokens.push({ type: "close" });
+    else if (nag) tokens.push({ type: "nag", value: parseInt(nag) });
+    else if (result) tokens.push({ type: "result", value: result });
+    else if (moveNumber) continue;
+    else if (text) {
+      // Move numbers glued to the move, e.g. "12.Nf3" or "12...Nf3"
+      const move = text.replace(/^\d+\.+/, "");
+      const suffix = move.match(/[!?]+$/)?.[0];
+      const raw = suffix ? move.slice(0, -suffix.length) : move;
+      const san = raw.replace(/^0-0(-0)?/, castle => castle.replace(/0/g, "O"));
+      const offset = match.index + text.length - move.length;
+
+      if (san) tokens.push({ type: "move", value: san, raw, offset });
+      if (suffixNags[suffix]) tokens.push({ type: "nag", value: suffixNags[suffix] });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Play a move, or a pawn move to the last rank written without its promotion
+ * piece, which is read as a queen promotion
+ * @param {string} fen - Position before the move
+ * @param {string} san - Move as read from the PGN
+ * @returns {object|null} - Move from playMove, or null when it can't be played
+ */
+const playOrRepairMove = (fen, san) => {
+  // playMove also knows Chess960 castling
+  const move = playMove(fen, san);
+  if (move || !/^([a-h]x)?[a-h][18][+#]?$/.test(san)) return move;
+
+  return playMove(fen, san.replace(/[+#]?$/, "=Q"));
+};
+
+/**
+ * Parse one line of moves, recursing into its variations. The main line stops
+ * at its first illegal move, a variation is cut where it has one.
+ * @param {Array<object>} tokens - All tokens
+ * @param {object} state - Shared cursor: { index, result, diagnostics, locate }
+ * @param {string} startFen - Position before the first move of the line
+ * @param {boolean} isMainLine - Whether this is the game itself rather than a variation
+ * @returns {object} - Line moves and the comments written before its first move
+ */
+const parseLine = (tokens, state, startFen, isMainLine) => {
+  let fen = startFen;
+  const moves = [];
+  const comments = [];
+  let broken = false;
+  let skippedDepth = 0;
+
+  while (state.index < tokens.length) {
+    const token = tokens[state.index++];
+    const lastMove = moves[moves.length - 1];
+
+    if (broken) {
+      // Skip what is left of the line, its sub-variations included
+      if (token.type === "open") {
+        skippedDepth++;
+      } else if (token.type === "close" && skippedDepth > 0) {
+        skippedDepth--;
+      } else if (token.type === "close" && !isMainLine) {
+        break;
+      } else if (token.type === "move") {
+        state.diagnostics.skippedMoves.push({
+          move: token.raw,
+          reason: "after an illegal move",
+          ...state.locate(token.offset)
+        });
+      } else if (token.type === "result" && isMainLine) {
+        state.result = token.value;
+      }
+      continue;
+    }
+
+    if (token.type === "close") {
+      if (isMainLine) continue;
+      break;
+    }
+
+    switch (token.type) {
+      case "comment":
+        (lastMove ? lastMove.comments : comments).push(token.value);
+        break;
+      case "nag":
+        lastMove?.nags.push(token.value);
+        break;
+      case "result":
+        if (isMainLine) state.result = token.value;
+        break;
+      case "open": {
+        // A variation replaces the move before it, so it starts from that move's position
+        if (!lastMove) {
+          parseLine(tokens, state, startFen, false);
+          break;
+        }
+
+        const variationStart = moves.length > 1 ? moves[moves.length - 2].fen : startFen;
+        const variation = parseLine(tokens, state, variationStart, false);
+
+        if (variation.moves.length > 0) {
+          variation.moves[0].commentsBefore = variation.comments;
+          lastMove.variations.push(variation.moves);
+        }
+        break;
+      }
+      case "move": {
+        const move = playOrRepairMove(fen, token.value);
+        const location = state.locate(token.offset);
+
+        if (!move) {
+          const [, turn, , , , fullmove] = fen.split(" ");
+
+          if (isMainLine) {
+            state.diagnostics.illegalMove = {
+              move: token.raw,
+              moveNumber: `${fullmove}${turn === "w" ? "." : "..."}`,
+              ...location
+            };
+          } else {
+            state.diagnostics.skippedMoves.push({ move: token.raw, reason: "illegal in a variation", ...location });
+          }
+
+          broken = true;
+          break;
+        }
+
+        // Moves chess.js had to read loosely, e.g. "0-0", "Ng1f3" or "e8" for "e8=Q"
+        if (token.raw.replace(/[+#]$/, "") !== move.san.replace(/[+#]$/, "")) {
+          state.diagnostics.repairedMoves.push({ move: token.raw, san: move.san, ...location });
+        }
+
+        fen = move.fen;
+        moves.push({
+          san: move.san,
+          uci: move.uci,
+          fen: move.fen,
+          comments: [],
+          nags: [],
+          variations: []
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return { moves, comments };
+};
+
+/**
+ * Parse a game into its move tree
+ * @param {string} pgn - PGN of a game; only the first game of a file is read
+ * @returns {object} - headers, comments before the first move, main line moves, result and diagnostics
+ */
+export const parsePgnTree = (pgn) => {
+  if (!pgn || typeof pgn !== "string") {
+    throw new Error("Invalid PGN: Empty or not a string");
+  }
+
+  const game = getFirstGame(pgn);
+  const headers = readPgnHeaders(game);
+  const movetext = game.replace(/\[\w+\s+"(?:[^"\\]|\\.)*"\]/g, header => header.replace(/[^\n]/g, " "));
+
+  // Lines and columns count from the start of the text given, which getFirstGame trimmed
+  const text = pgn.replace(/\r\n?/g, "\n");
+  const gameStart = text.length - text.trimStart().length;
+  const locate = (offset) => {
+    const lines = text.slice(0, gameStart + offset).split("\n");
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+  };
+
+  const startFen = readStartFen(game);
+  const state = {
+    index: 0,
+    result: headers.Result || "*",
+    diagnostics: {
+      illegalMove: null,
+      skippedMoves: [],
+      repairedMoves: [],
+      missingHeaders: requiredHeaders.filter(name => !headers[name])
+    },
+    locate
+  };
+  const { moves, comments } = parseLine(tokenize(movetext), state, startFen, true);
+
+  return {
+    headers,
+    comments,
+    startFen,
+    moves,
+    result: state.result,
+    diagnostics: state.diagnostics
+  };
+};
+
+/**
+ * Parse a game into analysis positions, keeping annotations on each position
+ * @param {string} pgn - PGN string to parse
+ * @returns {Object} - Object with positions array, player info, the move tree and its diagnostics
+ */
+export const parseAnnotatedPgn = (pgn) => {
+  const tree = parsePgnTree(pgn);
+
+  // A game set up from a FEN may be a single position to analyse
+  if (tree.moves.length === 0 && tree.startFen === DEFAULT_POSITION && !tree.diagnostics.illegalMove) {
+    throw new Error("No moves found in PGN");
+  }
+
+  const positions = [
+    { fen: tree.startFen, comments: tree.comments },
+    ...tree.moves.map(node => ({
+      fen: node.fen,
+      move: {
+        san: node.san,
+        uci: node.uci
+      },
+      comments: node.comments,
+      nags: node.nags,
+      variations: node.variations
+    }))
+  ];
+
+  // Remaining clock and time spent, from the [%clk] comments of each move
+  addClockTimes(positions, tree.headers);
+
+  return {
+    positions,
+    // Headers of the first game only, the one the tree was built from
+    playerInfo: readPlayerInfo(tree.headers),
+    tree,
+    diagnostics: tree.diagnostics
+  };
+};
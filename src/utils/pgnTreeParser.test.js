@@ -0,0 +1,150 @@
+import {
+  parsePgnTree,
+  parseAnnotatedPgn,
+  formatNags,
+  getCommentText,
+  describeIllegalMove
+} from './pgnTreeParser';
+
+const sans = (moves) => moves.map(move => move.san);
+
+describe('moves and variations', () => {
+  test('reads the main line', () => {
+    const tree = parsePgnTree("1. e4 e5 2. Nf3 Nc6 *");
+    expect(sans(tree.moves)).toEqual(["e4", "e5", "Nf3", "Nc6"]);
+    expect(tree.moves[2].uci).toBe("g1f3");
+  });
+
+  test('reads move numbers glued to the move', () => {
+    expect(sans(parsePgnTree("1.e4 1...e5 2.Nf3 *").moves)).toEqual(["e4", "e5", "Nf3"]);
+  });
+
+  test('attaches nested variations to the move they replace', () => {
+    const tree = parsePgnTree("1. e4 e5 (1... c5 2. Nf3 (2. Nc3 Nc6) d6) 2. Nf3 *");
+    const [, e5] = tree.moves;
+
+    expect(sans(tree.moves)).toEqual(["e4", "e5", "Nf3"]);
+    expect(e5.variations).toHaveLength(1);
+    expect(sans(e5.variations[0])).toEqual(["c5", "Nf3", "d6"]);
+    expect(sans(e5.variations[0][1].variations[0])).toEqual(["Nc3", "Nc6"]);
+  });
+
+  test('keeps comments written before the first move of a variation', () => {
+    const tree = parsePgnTree("1. e4 ({Or} 1. d4 d5) e5 *");
+    expect(tree.moves[0].variations[0][0].commentsBefore).toEqual(["Or"]);
+  });
+});
+
+describe('annotations', () => {
+  test('reads NAGs and move suffixes', () => {
+    const tree = parsePgnTree("1. e4! e5 $2 2. Nf3 $1 $146 Nc6?! *");
+    expect(tree.moves.map(move => move.nags)).toEqual([[1], [2], [1, 146], [6]]);
+  });
+
+  test('formats NAGs as symbols, unknown ones as $n', () => {
+    expect(formatNags([1, 146])).toBe("!N");
+    expect(formatNags([200])).toBe("$200");
+  });
+
+  test('reads brace and rest-of-line comments', () => {
+    const tree = parsePgnTree("{Start} 1. e4 {Best by test} e5 ; Open game\n2. Nf3 *");
+    expect(tree.comments).toEqual(["Start"]);
+    expect(tree.moves[0].comments).toEqual(["Best by test"]);
+    expect(tree.moves[1].comments).toEqual(["Open game"]);
+  });
+
+  test('removes embedded commands from comment text', () => {
+    expect(getCommentText("[%clk 0:02:58] Good move [%eval 0.25]")).toBe("Good move");
+  });
+
+  test('ignores escape lines', () => {
+    const tree = parsePgnTree("% Exported by some tool\n1. e4 e5 *");
+    expect(sans(tree.moves)).toEqual(["e4", "e5"]);
+    expect(tree.diagnostics.illegalMove).toBeNull();
+    expect(tree.diagnostics.skippedMoves).toEqual([]);
+  });
+
+  test('does not read an escape line before the tags as a game', () => {
+    const { positions, tree } = parseAnnotatedPgn('% Exported by some tool\n[Event "Club"]\n\n1. e4 *');
+    expect(tree.headers.Event).toBe("Club");
+    expect(positions).toHaveLength(2);
+  });
+});
+
+describe('results', () => {
+  test('reads the result of the movetext', () => {
+    expect(parsePgnTree("1. e4 e5 1-0").result).toBe("1-0");
+    expect(parsePgnTree("1. e4 e5 1/2-1/2").result).toBe("1/2-1/2");
+  });
+
+  test('falls back on the Result tag', () => {
+    expect(parsePgnTree('[Result "0-1"]\n\n1. e4 e5').result).toBe("0-1");
+  });
+});
+
+describe('clock times', () => {
+  test('reads the clock and the time spent, adding the increment', () => {
+    const { positions } = parseAnnotatedPgn(
+      '[TimeControl "180+2"]\n\n1. e4 {[%clk 0:02:58]} e5 {[%clk 0:02:59]} 2. Nf3 {[%clk 0:02:50]} *'
+    );
+
+    expect(positions.slice(1).map(position => position.clock)).toEqual([178, 179, 170]);
+    expect(positions.slice(1).map(position => position.timeSpent)).toEqual([4, 3, 10]);
+  });
+});
+
+describe('start position', () => {
+  test('starts from the FEN tag', () => {
+    const fen = "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1";
+    const { positions, tree } = parseAnnotatedPgn(`[SetUp "1"]\n[FEN "${fen}"]\n\n1. e4 Kd7 *`);
+
+    expect(tree.startFen).toBe(fen);
+    expect(positions[0].fen).toBe(fen);
+    expect(positions.slice(1).map(position => position.move.san)).toEqual(["e4", "Kd7"]);
+  });
+
+  test('refuses a game without moves from the standard position', () => {
+    expect(() => parseAnnotatedPgn('[Event "Empty"]\n\n*')).toThrow("No moves found in PGN");
+  });
+});
+
+describe('diagnostics', () => {
+  test('stops the main line at its first illegal move, with its line and column', () => {
+    const tree = parsePgnTree('[Event "Club"]\n\n1. e4 e5\n2. Nf6 Nc6 *');
+
+    expect(sans(tree.moves)).toEqual(["e4", "e5"]);
+    expect(tree.diagnostics.illegalMove).toEqual({ move: "Nf6", moveNumber: "2.", line: 4, column: 4 });
+    expect(tree.diagnostics.skippedMoves).toEqual([
+      { move: "Nc6", reason: "after an illegal move", line: 4, column: 8 }
+    ]);
+    expect(describeIllegalMove(tree.diagnostics.illegalMove)).toBe("Illegal move Nf6 (2.) at line 4, column 4");
+  });
+
+  test('counts lines from the text given, leading blank lines and escape lines included', () => {
+    const tree = parsePgnTree("\n% Exported by some tool\n1. e4 e5 2. Ke2 Kxe2 *");
+    expect(tree.diagnostics.illegalMove).toEqual({ move: "Kxe2", moveNumber: "2...", line: 3, column: 17 });
+  });
+
+  test('cuts a variation at its illegal move and keeps the main line', () => {
+    const tree = parsePgnTree("1. e4 (1. e5 d5) e5 *");
+
+    expect(sans(tree.moves)).toEqual(["e4", "e5"]);
+    expect(tree.moves[0].variations).toEqual([]);
+    expect(tree.diagnostics.illegalMove).toBeNull();
+    expect(tree.diagnostics.skippedMoves.map(({ move, reason }) => ({ move, reason }))).toEqual([
+      { move: "e5", reason: "illegal in a variation" },
+      { move: "d5", reason: "after an illegal move" }
+    ]);
+  });
+
+  test('reports moves it had to repair', () => {
+    const tree = parsePgnTree("1. e4 e5 2. Ng1f3 *");
+    expect(sans(tree.moves)).toEqual(["e4", "e5", "Nf3"]);
+    expect(tree.diagnostics.repairedMoves).toEqual([{ move: "Ng1f3", san: "Nf3", line: 1, column: 13 }]);
+  });
+
+  test('lists the missing tags of the Seven Tag Roster', () => {
+    const tree = parsePgnTree('[Event "Club"]\n[White "A"]\n\n1. e4 *');
+    expect(tree.diagnostics.missingHeaders).toEqual(["Site", "Date", "Round", "Black", "Result"]);
+  });
+});